@@ -16,13 +16,30 @@ const errorHandler = require('errorhandler');
  * import Server Game
  */
 const Game = require('./app/server.js');
+const Config = require('./app/config.js');
 const logger = require('./app/logger.js');
+const startConsole = require('./app/admin/console.js');
+const createApi = require('./app/admin/api.js');
 
 /**
  * Load environment variables from .env file.
  */
 dotenv.load({path: '.env'});
 
+/**
+ * Settings from config.json or config.yaml, ALTERRAIN_* environment variables
+ * and --<section>.<option>=<value> arguments, see Config.
+ */
+const config = Config.load(process.argv.slice(2), process.env);
+if (config.errors.length > 0) {
+  logger.error(`Invalid configuration:\n  ${config.errors.join('\n  ')}`);
+  process.exit(1);
+}
+config.apply();
+config.describeOverrides().forEach((line) => {
+  logger.info(`Config ${line}`);
+});
+
 /**
  * Create Express server.
  */
@@ -61,15 +78,52 @@ server.listen(port, () => {
  * Basic Routing.
  */
 app.use(express.static(path.join(__dirname, 'public'), {maxAge: 31557600000}));
+app.get('/shared/protocol.js', (req, res) => {
+  res.sendFile(path.join(__dirname, 'shared', 'protocol.js'));
+});
+
+/**
+ * The map viewer, to compare terrain pipelines through '/api/terrain'.
+ */
+app.use('/map-viewer', express.static(path.join(__dirname, 'map_viewer@1.2')));
 
 /**
  * Constructing a Server Game instance, and start server game clock.
  * @type {Server}
  */
 const game = new Game(io);
-game.setup(process.argv.slice(2));
+game.setup(config.args);
 game.start();
 
+/**
+ * Status and admin REST API.
+ */
+app.use('/api', createApi(game));
+
+/**
+ * Prometheus metrics.
+ */
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(game.metrics.render(game));
+});
+
+/**
+ * Admin commands typed in the terminal, 'help' lists them.
+ */
+startConsole(game.admin);
+
+/**
+ * Warn the players, save the world and let them go when the process is asked
+ * to terminate. Asking again skips the rest of the countdown.
+ */
+['SIGINT', 'SIGTERM'].forEach((signal) => {
+  process.on(signal, () => {
+    game.shutdown((err) => {
+      process.exit(err ? 1 : 0);
+    });
+  });
+});
+
 /**
  * Error Handler.
  */
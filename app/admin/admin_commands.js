@@ -0,0 +1,512 @@
+'use strict';
+
+const logger = require('../logger.js');
+
+const World = require('../game/world.js');
+const CommandFactory = require('../game/command.js');
+
+const {TileData} = require('../../shared/constant.js');
+
+/**
+ * Actions operators can take on the running server. They are typed in the
+ * console or sent through the '/admin' socket namespace as lines like
+ * 'teleport 3 10 12', or posted to the REST API with named parameters, see
+ * AdminCommands.COMMANDS.
+ *
+ * Invalid arguments throw an Error with a message meant for the admin.
+ */
+class AdminCommands {
+  /**
+   * @param server {Server}
+   */
+  constructor(server) {
+    /**
+     * @type {Server}
+     */
+    this.server = server;
+  }
+
+  /**
+   * @param line {String} E.g. 'kick 3 spamming'
+   * @param callback {function(Error, String)} Called with the output.
+   */
+  execute(line, callback) {
+    const args = String(line).trim().split(/\s+/);
+    const name = args.shift().toLowerCase();
+
+    if (!name) {
+      callback(null, '');
+      return;
+    }
+
+    this.run(name, args, callback);
+  }
+
+  /**
+   * @param name {String} Of AdminCommands.COMMANDS
+   * @param params {Object} Arguments by their name, e.g. {playerId: 3}
+   * @param callback {function(Error, String)} Called with the output.
+   */
+  executeParams(name, params, callback) {
+    const command = findCommand(name);
+    if (!command) {
+      this.run(name, [], callback);
+      return;
+    }
+
+    const args = command.params.map((param) => {
+      return params[param] === undefined ? undefined : String(params[param]);
+    });
+    while (args.length && args[args.length - 1] === undefined) {
+      args.pop();
+    }
+
+    this.run(name, args, callback);
+  }
+
+  /**
+   * @private
+   * @param name {String}
+   * @param args {Array.<String>}
+   * @param callback {function(Error, String)}
+   */
+  run(name, args, callback) {
+    const command = findCommand(name);
+    if (!command) {
+      callback(new Error(`Unknown command '${name}', try 'help'.`));
+      return;
+    }
+
+    logger.info(`Admin command: ${name} ${args.join(' ')}`);
+
+    try {
+      if (command.async) {
+        command.run(this, args, callback);
+      } else {
+        const output = command.run(this, args);
+        const room = command.recorded ? command.recorded(this, args) : null;
+        if (room && room.recorder) {
+          room.recorder.admin(name, args);
+        }
+        callback(null, output);
+      }
+    } catch (err) {
+      callback(err);
+    }
+  }
+
+  /**
+   * @return {String}
+   */
+  help() {
+    return Object.keys(AdminCommands.COMMANDS).map((name) => {
+      return AdminCommands.COMMANDS[name].usage;
+    }).join('\n');
+  }
+
+  /**
+   * @return {String} One line per player online.
+   */
+  listPlayers() {
+    const lines = [];
+
+    this.server.connectedPlayers.forEach((client) => {
+      const player = client.room.world.players.get(client.playerId);
+      if (player) {
+        lines.push(`${player.id} in ${client.room.name} ` +
+          `at (${player._x}, ${player._y}) ` +
+          `inventory [${player.inventory.join(' ')}]` +
+          `${client.admin ? ' admin' : ''}`);
+      }
+    });
+
+    return lines.length ? lines.join('\n') : 'Nobody is online.';
+  }
+
+  /**
+   * @param playerId {Number}
+   * @param reason {String=}
+   * @return {String}
+   */
+  kick(playerId, reason = '') {
+    const client = this.getClient(playerId);
+
+    this.server.rejectClient(client.socket,
+      `Kicked by an admin. ${reason}`.trim());
+
+    return `Kicked player ${playerId}.`;
+  }
+
+  /**
+   * Kicks the player and refuses their session and address from now on, in
+   * every world.
+   * @param playerId {Number}
+   * @param reason {String=}
+   * @return {String}
+   */
+  ban(playerId, reason = '') {
+    const client = this.getClient(playerId);
+    const world = client.room.world;
+
+    world.bans.add(playerId, client.token, client.socket.handshake.address,
+      reason);
+    world.save();
+
+    this.server.rejectClient(client.socket,
+      `Banned by an admin. ${reason}`.trim());
+
+    return `Banned player ${playerId}.`;
+  }
+
+  /**
+   * @param playerId {Number}
+   * @return {String}
+   */
+  unban(playerId) {
+    let found = false;
+
+    this.server.rooms.forEach((room) => {
+      if (room.world.bans.remove(playerId)) {
+        room.world.save();
+        found = true;
+      }
+    });
+
+    if (!found) {
+      throw new Error(`Player ${playerId} is not banned.`);
+    }
+
+    return `Unbanned player ${playerId}.`;
+  }
+
+  /**
+   * @param playerId {Number}
+   * @param x {Number}
+   * @param y {Number}
+   * @return {String}
+   */
+  teleport(playerId, x, y) {
+    const world = this.getClient(playerId).room.world;
+
+    if (!world.isValidTile(x, y) || !world.isPassable(x, y, 2)) {
+      throw new Error(`(${x}, ${y}) is blocked or outside of the world.`);
+    }
+
+    world.players.get(playerId).locate(x, y);
+
+    return `Teleported player ${playerId} to (${x}, ${y}).`;
+  }
+
+  /**
+   * @param playerId {Number}
+   * @param tileId {Number}
+   * @param count {Number=}
+   * @return {String}
+   */
+  give(playerId, tileId, count = 1) {
+    const world = this.getClient(playerId).room.world;
+
+    if (tileId < 0 || tileId >= TileData.length) {
+      throw new Error(`There is no tile ${tileId}.`);
+    }
+    if (count < 1) {
+      throw new Error('Count must be positive.');
+    }
+
+    world.players.get(playerId).gainItem(tileId, count);
+
+    return `Gave ${count} of tile ${tileId} to player ${playerId}.`;
+  }
+
+  /**
+   * Sends the player to another world, see Server.movePlayer().
+   * @param playerId {Number}
+   * @param worldName {String}
+   * @return {String}
+   */
+  move(playerId, worldName) {
+    const client = this.getClient(playerId);
+    const room = this.getRoom(worldName);
+
+    if (room === client.room) {
+      throw new Error(`Player ${playerId} already is in ${room.name}.`);
+    }
+
+    this.server.movePlayer(client, room);
+
+    return `Moved player ${playerId} to ${room.name}.`;
+  }
+
+  /**
+   * @return {String} One line per world.
+   */
+  listWorlds() {
+    const lines = [];
+
+    this.server.rooms.forEach((room) => {
+      lines.push(`${room.name} ${room.world.width}x${room.world.height}, ` +
+        `${room.connectedPlayers.size} online` +
+        `${room === this.server.defaultRoom ? ', default' : ''}`);
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * @param weather {Number|String} World.WEATHER, or its name.
+   * @param worldName {String=} The default world if omitted.
+   * @return {String}
+   */
+  setWeather(weather, worldName) {
+    const room = this.getRoom(worldName);
+    const name = String(weather).toUpperCase();
+    if (World.WEATHER[name] !== undefined) {
+      weather = World.WEATHER[name];
+    }
+
+    const values = Object.keys(World.WEATHER).map((key) => World.WEATHER[key]);
+    if (values.indexOf(weather) === -1) {
+      throw new Error(`Unknown weather ${weather}, use one of ${
+        Object.keys(World.WEATHER).join(', ').toLowerCase()}.`);
+    }
+
+    room.world.setWeather(weather);
+
+    return `Weather set to ${weather} in ${room.name}.`;
+  }
+
+  /**
+   * Spawns a chest at a random place, it does not respawn once looted.
+   * @param dual {boolean=} A chest that needs two players.
+   * @param worldName {String=} The default world if omitted.
+   * @return {String}
+   */
+  spawnChest(dual = false, worldName) {
+    const room = this.getRoom(worldName);
+    const chest = room.world.spawnChest(!dual, false);
+
+    room.emitObjects('spawnChests', [chest.serialize()]);
+
+    return `Spawned a chest at (${chest._x}, ${chest._y}) in ${room.name}.`;
+  }
+
+  /**
+   * @param x {Number}
+   * @param y {Number}
+   * @param worldName {String=} The default world if omitted.
+   * @return {String}
+   */
+  spawnTree(x, y, worldName) {
+    const world = this.getRoom(worldName).world;
+    if (!world.isValidTile(x, y) || !world.isPassable(x, y, 2) ||
+        world.getPlayersAt(x, y).length !== 0) {
+      throw new Error(`(${x}, ${y}) is blocked or outside of the world.`);
+    }
+
+    world.spawnTree(x, y);
+
+    return `Spawned a tree at (${x}, ${y}).`;
+  }
+
+  /**
+   * @param callback {function(Error, String)}
+   */
+  save(callback) {
+    this.server.saveWorlds((err) => {
+      callback(err, err ? null :
+        `World${this.server.rooms.size === 1 ? '' : 's'} saved.`);
+    });
+  }
+
+  /**
+   * @param text {String}
+   * @return {String}
+   */
+  broadcast(text) {
+    text = CommandFactory.sanitizeChatText(text);
+    if (!text) {
+      throw new Error('Nothing to broadcast.');
+    }
+
+    this.server.io.emit('serverMessage', {text: text});
+
+    return `Broadcast: ${text}`;
+  }
+
+  /**
+   * @private
+   * @param playerId {Number}
+   * @return {Object} The entry of Server.connectedPlayers.
+   */
+  getClient(playerId) {
+    let found = null;
+    this.server.connectedPlayers.forEach((client) => {
+      if (client.playerId === playerId) {
+        found = client;
+      }
+    });
+
+    if (!found) {
+      throw new Error(`Player ${playerId} is not online.`);
+    }
+
+    return found;
+  }
+
+  /**
+   * @private
+   * @param name {String=} The default world if omitted.
+   * @return {Room}
+   */
+  getRoom(name) {
+    const room = name === undefined ? this.server.defaultRoom :
+      this.server.rooms.get(name);
+
+    if (!room) {
+      throw new Error(`There is no world ${name}, use one of ${
+        Array.from(this.server.rooms.keys()).join(', ')}.`);
+    }
+
+    return room;
+  }
+}
+
+/**
+ * @param name {String}
+ * @return {Object} The entry of AdminCommands.COMMANDS, or null.
+ */
+function findCommand(name) {
+  return Object.prototype.hasOwnProperty.call(AdminCommands.COMMANDS, name) ?
+    AdminCommands.COMMANDS[name] : null;
+}
+
+/**
+ * @param value {String=}
+ * @param name {String} Of the argument, for the error message.
+ * @return {Number}
+ */
+function toInt(value, name) {
+  const number = Number(value);
+  if (value === undefined || !Number.isInteger(number)) {
+    throw new Error(`${name} must be a whole number.`);
+  }
+  return number;
+}
+
+/**
+ * @const
+ * Key: command name
+ * @type {Object<String, {params: Array.<String>, usage: String,
+ * async: boolean=, recorded: Function=, run: Function}>} params names the
+ * arguments in order, run is called with the AdminCommands and the arguments,
+ * and returns the output, or passes it to the callback if async. Commands
+ * that change a world are recorded for its replay, see InputRecorder,
+ * recorded is called like run and returns the room of that world.
+ */
+AdminCommands.COMMANDS = {
+  help: {
+    params: [],
+    usage: 'help',
+    run: (admin) => admin.help(),
+  },
+  players: {
+    params: [],
+    usage: 'players',
+    run: (admin) => admin.listPlayers(),
+  },
+  worlds: {
+    params: [],
+    usage: 'worlds',
+    run: (admin) => admin.listWorlds(),
+  },
+  kick: {
+    params: ['playerId', 'reason'],
+    usage: 'kick <playerId> [reason]',
+    run: (admin, args) => {
+      return admin.kick(toInt(args[0], 'playerId'), args.slice(1).join(' '));
+    },
+  },
+  ban: {
+    params: ['playerId', 'reason'],
+    usage: 'ban <playerId> [reason]',
+    run: (admin, args) => {
+      return admin.ban(toInt(args[0], 'playerId'), args.slice(1).join(' '));
+    },
+  },
+  unban: {
+    params: ['playerId'],
+    usage: 'unban <playerId>',
+    run: (admin, args) => admin.unban(toInt(args[0], 'playerId')),
+  },
+  teleport: {
+    params: ['playerId', 'x', 'y'],
+    usage: 'teleport <playerId> <x> <y>',
+    recorded: (admin, args) => admin.getClient(+args[0]).room,
+    run: (admin, args) => {
+      return admin.teleport(toInt(args[0], 'playerId'),
+        toInt(args[1], 'x'), toInt(args[2], 'y'));
+    },
+  },
+  give: {
+    params: ['playerId', 'tileId', 'count'],
+    usage: 'give <playerId> <tileId> [count]',
+    recorded: (admin, args) => admin.getClient(+args[0]).room,
+    run: (admin, args) => {
+      return admin.give(toInt(args[0], 'playerId'),
+        toInt(args[1], 'tileId'),
+        args[2] === undefined ? 1 : toInt(args[2], 'count'));
+    },
+  },
+  move: {
+    params: ['playerId', 'world'],
+    usage: 'move <playerId> <world>',
+    run: (admin, args) => {
+      if (args[1] === undefined) {
+        throw new Error('Which world?');
+      }
+      return admin.move(toInt(args[0], 'playerId'), args[1]);
+    },
+  },
+  weather: {
+    params: ['weather', 'world'],
+    usage: 'weather <dry|rain|blizzard|sandstorm> [world]',
+    recorded: (admin, args) => admin.getRoom(args[1]),
+    run: (admin, args) => {
+      return admin.setWeather(/^\d+$/.test(args[0]) ? +args[0] : args[0],
+        args[1]);
+    },
+  },
+  chest: {
+    params: ['kind', 'world'],
+    usage: 'chest [single|dual] [world]', // kind 'dual' needs two players
+    recorded: (admin, args) => admin.getRoom(args[1]),
+    run: (admin, args) => {
+      if ([undefined, 'single', 'dual'].indexOf(args[0]) === -1) {
+        throw new Error(`Unknown kind ${args[0]}, use single or dual.`);
+      }
+      return admin.spawnChest(args[0] === 'dual', args[1]);
+    },
+  },
+  tree: {
+    params: ['x', 'y', 'world'],
+    usage: 'tree <x> <y> [world]',
+    recorded: (admin, args) => admin.getRoom(args[2]),
+    run: (admin, args) => {
+      return admin.spawnTree(toInt(args[0], 'x'), toInt(args[1], 'y'),
+        args[2]);
+    },
+  },
+  save: {
+    params: [],
+    usage: 'save',
+    async: true,
+    run: (admin, args, callback) => admin.save(callback),
+  },
+  broadcast: {
+    params: ['text'],
+    usage: 'broadcast <message>',
+    run: (admin, args) => admin.broadcast(args.join(' ')),
+  },
+};
+
+module.exports = AdminCommands;
@@ -0,0 +1,184 @@
+'use strict';
+
+const express = require('express');
+const bodyParser = require('body-parser');
+
+const Random = require('../random.js');
+const TerrainGenerator = require('../game/terrain.js');
+
+/**
+ * @type {Number} Largest width and height of a terrain preview, in tiles.
+ */
+const PREVIEW_MAX_SIZE = 512;
+
+/**
+ * @type {Number} Most work of a terrain preview, see TerrainGenerator.cost,
+ * times its tiles. The default pipeline at the largest size, which takes
+ * about a tenth of a second.
+ */
+const PREVIEW_MAX_COST = 8 * PREVIEW_MAX_SIZE * PREVIEW_MAX_SIZE;
+
+/**
+ * @param value {String=} Of the query.
+ * @param fallback {Number}
+ * @return {Number} A size of a terrain preview, NaN if it is not one.
+ */
+function previewSize(value, fallback) {
+  const size = value === undefined ? fallback : Number(value);
+  return Number.isInteger(size) && size >= 1 && size <= PREVIEW_MAX_SIZE ?
+    size : NaN;
+}
+
+/**
+ * JSON routes for dashboards and scripts. Reading is open, the admin actions
+ * and the terrain previews need the admin key as
+ * 'Authorization: Bearer <ADMIN_KEY>'. The admin actions take the parameters
+ * of AdminCommands.COMMANDS as JSON body.
+ * @param server {Server}
+ * @return {express.Router}
+ */
+module.exports = (server) => {
+  const router = new express.Router();
+
+  /**
+   * Middleware letting only requests with the admin key through.
+   */
+  function requireAdmin(req, res, next) {
+    const auth = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+    if (!auth || !server.isAdminKey(auth[1])) {
+      res.status(401).json({error: 'Not authorized'});
+      return;
+    }
+    next();
+  }
+
+  router.get('/status', (req, res) => {
+    res.json({
+      uptime: server.getSeverTime(),
+      tickRate: server.intervalFrameRate,
+      sendRate: server.sendRate,
+      tick: server.gameTick,
+      players: server.connectedPlayers.size,
+      maxPlayers: server.maximumPlayer,
+      queued: server.joinQueue.count(),
+    });
+  });
+
+  router.get('/players', (req, res) => {
+    const players = [];
+
+    server.connectedPlayers.forEach((client) => {
+      const player = client.room.world.players.get(client.playerId);
+      if (player) {
+        players.push({
+          id: player.id,
+          world: client.room.name,
+          x: player._x,
+          y: player._y,
+          d: player._direction,
+          inventory: player.inventory,
+          admin: !!client.admin,
+        });
+      }
+    });
+
+    res.json(players);
+  });
+
+  router.get('/worlds', (req, res) => {
+    res.json(Array.from(server.rooms.values()).map((room) => {
+      return room.describe();
+    }));
+  });
+
+  router.get('/world', (req, res) => {
+    const room = server.findRoom(req.query.name);
+    if (!room) {
+      res.status(404).json({error: `There is no world ${req.query.name}`});
+      return;
+    }
+
+    const world = room.world;
+    res.json({
+      name: room.name,
+      seed: world.random.seed,
+      width: world.width,
+      height: world.height,
+      stepCount: world.stepCount,
+      weather: {
+        current: world.currentWeather,
+        last: world.lastWeather,
+      },
+      objects: world.objectContainer.countByType(),
+      chunks: world.tilemap.countChunks(),
+      terrain: world.tilemap.terrain.passes,
+    });
+  });
+
+  router.get('/terrain/pipelines', (req, res) => {
+    res.json({
+      pipelines: TerrainGenerator.PIPELINES,
+      passes: Object.keys(TerrainGenerator.PASSES),
+    });
+  });
+
+  // Generates a whole world's terrain without creating the world, the same
+  // a new world of that size and seed would get. It runs between the ticks,
+  // hence the key and the limit on the work.
+  router.get('/terrain', requireAdmin, (req, res) => {
+    const width = previewSize(req.query.width, 128);
+    const height = previewSize(req.query.height, 128);
+    if (isNaN(width) || isNaN(height)) {
+      res.status(400).json({error: 'The width and height must be whole ' +
+        `numbers from 1 to ${PREVIEW_MAX_SIZE}`});
+      return;
+    }
+
+    let generator;
+    try {
+      const pipeline = req.query.passes ? JSON.parse(req.query.passes) :
+        req.query.pipeline || 'default';
+      generator = TerrainGenerator.create(pipeline, width, height);
+    } catch (err) {
+      res.status(400).json({error: err.message});
+      return;
+    }
+
+    if (generator.cost * width * height > PREVIEW_MAX_COST) {
+      res.status(400).json({error: 'The terrain is too much work to ' +
+        'preview, make it smaller or use fewer passes and octaves'});
+      return;
+    }
+
+    const random = new Random(req.query.seed);
+    generator.drawSeeds(random);
+    const tiles = generator.generate(0, 0, width, height);
+
+    const data = [];
+    for (let x = 0; x < width; x++) {
+      data[x] = Array.from(tiles.subarray(x * height, (x + 1) * height));
+    }
+
+    res.json({
+      seed: random.seed,
+      width: width,
+      height: height,
+      passes: generator.passes,
+      tiles: data,
+    });
+  });
+
+  router.post('/admin/:command', requireAdmin, bodyParser.json(),
+    (req, res) => {
+      server.admin.executeParams(req.params.command, req.body || {},
+        (err, output) => {
+          if (err) {
+            res.status(400).json({error: err.message});
+          } else {
+            res.json({output: output});
+          }
+        });
+    });
+
+  return router;
+};
@@ -0,0 +1,38 @@
+'use strict';
+
+const readline = require('readline');
+
+/**
+ * Reads admin commands from the terminal the server runs in.
+ * @param commands {AdminCommands}
+ * @param input {stream.Readable=}
+ * @param output {stream.Writable=}
+ * @return {readline.Interface}
+ */
+module.exports = (commands, input = process.stdin, output = process.stdout) => {
+  const rl = readline.createInterface({
+    input: input,
+    output: output,
+    prompt: 'admin> ',
+  });
+
+  rl.on('line', (line) => {
+    commands.execute(line, (err, result) => {
+      if (err) {
+        output.write(`${err.message}\n`);
+      } else if (result) {
+        output.write(`${result}\n`);
+      }
+      rl.prompt();
+    });
+  });
+
+  // readline takes Ctrl-C from the process, pass it on to shut down properly
+  rl.on('SIGINT', () => {
+    process.emit('SIGINT');
+  });
+
+  rl.prompt();
+
+  return rl;
+};
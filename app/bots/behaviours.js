@@ -0,0 +1,102 @@
+'use strict';
+
+const util = require('../util.js');
+const Bot = require('./bot.js');
+const Chest = require('../objects/chest.js');
+const {Commands, Tiles} = require('../../shared/constant.js');
+
+/**
+ * @type {Number} Chance to keep walking in the same direction.
+ */
+const KEEP_DIRECTION = 0.75;
+
+/**
+ * Walks around at random, mostly straight on.
+ * @param bot {Bot}
+ * @return {Object} The 'inputCommand'.
+ */
+function wander(bot) {
+  const ahead = bot.neighbour();
+  let d = bot.d;
+
+  if (bot.isBlocked(ahead.x, ahead.y) || Math.random() > KEEP_DIRECTION) {
+    d = util.pick(Bot.DIRECTIONS);
+  }
+
+  return {type: Commands.MOVEMENT, params: d};
+}
+
+/**
+ * Walks up to the target and uses it once it faces it.
+ * @param bot {Bot}
+ * @param target {{x: Number, y: Number}}
+ * @return {Object} The 'inputCommand'.
+ */
+function approach(bot, target) {
+  const pos = bot.position();
+  const distance = Math.abs(target.x - pos.x) + Math.abs(target.y - pos.y);
+  const ahead = bot.neighbour();
+
+  if (distance === 1 && ahead.x === target.x && ahead.y === target.y) {
+    return {type: Commands.INTERACTION};
+  }
+
+  // next to it walking is turning, the target blocks the way
+  return {type: Commands.MOVEMENT, params: bot.directionTowards(target)};
+}
+
+/**
+ * @param bot {Bot}
+ * @return {Number} A tile it has and can place in front of it, or null.
+ */
+function placeableTile(bot) {
+  const ahead = bot.neighbour();
+  const target = bot.tileAt(ahead.x, ahead.y);
+  if (target === undefined ||
+      (bot.isBlocked(ahead.x, ahead.y) && target !== Tiles.WATER)) {
+    return null;
+  }
+
+  const tiles = [];
+  bot.inventory.forEach((count, tileId) => {
+    const onWater = tileId === Tiles.BRIDGE || tileId === Tiles.ICE;
+    if (count > 0 && tileId !== target &&
+        (target === Tiles.WATER ? onWater : tileId !== Tiles.BRIDGE)) {
+      tiles.push(tileId);
+    }
+  });
+
+  return tiles.length ? util.pick(tiles) : null;
+}
+
+/**
+ * Key: behaviour name
+ * @type {Object<String, function(Bot): Object>} Each picks the next
+ * 'inputCommand' of a bot, or null to wait.
+ */
+const Behaviours = {
+  walk: (bot) => wander(bot),
+
+  trees: (bot) => {
+    const tree = bot.nearest(bot.trees, (durability) => durability > 0);
+    return tree ? approach(bot, tree) : wander(bot);
+  },
+
+  tiles: (bot) => {
+    const tileId = Math.random() < 0.5 ? placeableTile(bot) : null;
+    if (tileId === null) {
+      return wander(bot);
+    }
+
+    return {type: Commands.ALTER_TILE, params: {tileId: tileId}};
+  },
+
+  chests: (bot) => {
+    const chest = bot.nearest(bot.chests, (chest) => {
+      return chest.state !== Chest.STATE_LOOTED;
+    });
+    return chest ? approach(bot, chest) : wander(bot);
+  },
+};
+
+module.exports = Behaviours;
@@ -0,0 +1,468 @@
+'use strict';
+
+const io = require('socket.io-client');
+
+const Protocol = require('../../shared/protocol.js');
+const {Commands, TileData} = require('../../shared/constant.js');
+
+/**
+ * @param x {Number}
+ * @param y {Number}
+ * @return {String} Key of the trees and chests.
+ */
+function key(x, y) {
+  return `${x},${y}`;
+}
+
+/**
+ * A headless player for load tests. It talks to the server like
+ * 'public/js/client.js' does, keeps as much of the world as its behaviour
+ * needs, and measures how long the server takes to apply its moves.
+ */
+class Bot {
+  /**
+   * @param url {String} Of the game server, e.g. 'http://localhost:8080'.
+   * @param behaviour {function(Bot): Object} Returns the next 'inputCommand',
+   * or null to wait, see Behaviours.
+   * @param thinkInterval {Number=} Milliseconds between two commands.
+   */
+  constructor(url, behaviour, thinkInterval = 250) {
+    /**
+     * @type {String}
+     */
+    this.url = url;
+
+    /**
+     * @type {function(Bot): Object}
+     */
+    this.behaviour = behaviour;
+
+    /**
+     * @type {Number}
+     */
+    this.thinkInterval = thinkInterval;
+
+    /**
+     * @type {Socket}
+     */
+    this.socket = null;
+
+    /**
+     * @type {String} Bot.STATE
+     */
+    this.state = Bot.STATE.CONNECTING;
+
+    /**
+     * @type {String} Why the server rejected it, if it did.
+     */
+    this.rejectReason = null;
+
+    /**
+     * @type {Number} Player id, once in the world.
+     */
+    this.id = null;
+
+    /**
+     * Position as last sent by the server, in tiles, and direction.
+     */
+    this.x = 0;
+    this.y = 0;
+    this.d = 2;
+
+    /**
+     * @type {Array.<Array.<Number>>} Tile types of the chunks received,
+     * indexed [x][y].
+     */
+    this.tiles = [];
+
+    /**
+     * @type {Map.<String, Number>} Key: 'x,y', Value: durability
+     */
+    this.trees = new Map();
+
+    /**
+     * @type {Map.<String, {state: Number, playerRequired: Number}>}
+     * Key: 'x,y'
+     */
+    this.chests = new Map();
+
+    /**
+     * @type {Array.<Number>} Key: Tiles Enum. Value: item count.
+     */
+    this.inventory = [];
+
+    /**
+     * @type {Object} Key: tick, Value: player states of that tick by id, the
+     * bases of the deltas.
+     */
+    this.snapshots = {};
+
+    /**
+     * @type {Number} Of the last move sent.
+     */
+    this.seq = 0;
+
+    /**
+     * @type {Map.<Number, Number>} Key: seq, Value: time the move was sent.
+     */
+    this.sentMoves = new Map();
+
+    /**
+     * @type {Array.<Number>} Milliseconds from sending a move until an
+     * update said it was applied, since the runner last took them.
+     */
+    this.latencies = [];
+
+    /**
+     * @type {Number} Commands sent.
+     */
+    this.sent = 0;
+
+    /**
+     * @type {Number} Update entries received.
+     */
+    this.updates = 0;
+
+    this.timer = null;
+  }
+
+  connect() {
+    this.socket = io(this.url, {
+      transports: ['websocket'],
+      forceNew: true,
+      reconnection: false,
+    });
+
+    this.socket.on('connect', () => {
+      this.socket.emit('hello', {
+        version: Protocol.VERSION,
+        features: [Protocol.FEATURES.DELTA],
+      });
+    });
+    this.socket.on('queue', () => {
+      this.state = Bot.STATE.QUEUED;
+    });
+    this.socket.on('rejected', (data) => {
+      this.rejectReason = data.reason;
+    });
+    this.socket.on('disconnect', () => this.onDisconnect());
+    this.socket.on('connect_error', () => this.onDisconnect());
+
+    this.socket.on('initWorld', (data) => this.onInitWorld(data));
+    this.socket.on('chunks', (data) => this.onChunks(data));
+    this.socket.on('update', (buffer) => this.onUpdate(buffer));
+    this.socket.on('worldUpdate', (data) => {
+      data.tiles.forEach((tile) => this.setTile(tile[0], tile[1], tile[2]));
+    });
+    this.socket.on('syncState', (data) => this.onSyncState(data));
+    this.socket.on('objectUpdate', (trees) => {
+      trees.forEach((tree) => this.trees.set(key(tree.x, tree.y),
+        tree.durability));
+    });
+    this.socket.on('treeCut', (tree) => {
+      this.trees.set(key(tree.x, tree.y), tree.durability);
+    });
+    this.socket.on('objectRemoval', (data) => {
+      this.trees.delete(key(data.x, data.y));
+      this.chests.delete(key(data.x, data.y));
+    });
+    this.socket.on('spawnChests', (chests) => {
+      chests.forEach((chest) => this.setChest(chest));
+    });
+    this.socket.on('chestUpdate', (chest) => this.setChest(chest));
+    this.socket.on('inventoryUpdate', (data) => {
+      if (data.id === this.id) {
+        this.inventory = data.inventory;
+      }
+    });
+  }
+
+  disconnect() {
+    if (this.socket) {
+      this.socket.disconnect();
+    }
+    this.onDisconnect();
+  }
+
+  /**
+   * @param data {Object} See 'initWorld' in 'public/js/client.js'.
+   */
+  onInitWorld(data) {
+    this.id = data.id;
+    this.inventory = data.inventory;
+    this.tiles = [];
+
+    Protocol.decodeList(Protocol.PLAYER, data.players).forEach((p) => {
+      if (p.id === this.id) {
+        this.x = p.x;
+        this.y = p.y;
+        this.d = p.d;
+      }
+    });
+
+    this.trees.clear();
+    this.chests.clear();
+
+    this.state = Bot.STATE.PLAYING;
+
+    clearInterval(this.timer);
+    this.timer = setInterval(() => this.think(), this.thinkInterval);
+  }
+
+  /**
+   * @param data {Object} See 'chunks' in 'public/js/client.js'.
+   */
+  onChunks(data) {
+    Protocol.decodeChunks(data.tiles).forEach((chunk) => {
+      chunk.tiles.forEach((column, i) => {
+        const x = chunk.x + i;
+        this.tiles[x] = this.tiles[x] || [];
+        column.forEach((tile, j) => {
+          this.tiles[x][chunk.y + j] = tile;
+        });
+      });
+    });
+
+    Protocol.decodeList(Protocol.TREE, data.trees).forEach((tree) => {
+      this.trees.set(key(tree.x, tree.y), tree.durability);
+    });
+    Protocol.decodeList(Protocol.CHEST, data.chests).forEach((chest) => {
+      this.setChest(chest);
+    });
+  }
+
+  /**
+   * Follows the own position the way the browser client does, see
+   * DeltaEncoder.
+   * @param buffer {ArrayBuffer|Buffer}
+   * @param now {Number=}
+   */
+  onUpdate(buffer, now = Date.now()) {
+    Protocol.decodeUpdates(buffer).forEach((data) => {
+      const base = data.k ? {} : this.snapshots[data.b];
+      if (!base) {
+        return;
+      }
+
+      const snapshot = Object.assign({}, base);
+      data.players.forEach((p) => {
+        const old = base[p.id] || [];
+        snapshot[p.id] = [
+          p.x !== undefined ? p.x : old[0],
+          p.y !== undefined ? p.y : old[1],
+          p.d !== undefined ? p.d : old[2],
+        ];
+      });
+
+      const own = snapshot[this.id];
+      if (own) {
+        this.x = own[0];
+        this.y = own[1];
+        this.d = own[2];
+      }
+
+      this.sentMoves.forEach((time, seq) => {
+        if (seq <= data.s) {
+          this.latencies.push(now - time);
+          this.sentMoves.delete(seq);
+        }
+      });
+
+      this.snapshots[data.t] = snapshot;
+      const oldestBase = data.k ? data.t : data.b;
+      Object.keys(this.snapshots).forEach((tick) => {
+        if (+tick < oldestBase) {
+          delete this.snapshots[tick];
+        }
+      });
+
+      this.updates++;
+      if (this.socket) {
+        this.socket.emit('ack', data.t);
+      }
+    });
+  }
+
+  /**
+   * @param data {Object} See 'syncState' in 'public/js/client.js'.
+   */
+  onSyncState(data) {
+    data.tiles.forEach((tile) => this.setTile(tile[0], tile[1], tile[2]));
+    data.trees.forEach((tree) => {
+      this.trees.set(key(tree.x, tree.y), tree.durability);
+    });
+    data.chests.forEach((chest) => this.setChest(chest));
+  }
+
+  onDisconnect() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    this.state = this.rejectReason ? Bot.STATE.REJECTED :
+      Bot.STATE.DISCONNECTED;
+  }
+
+  /**
+   * Sends what the behaviour picks.
+   * @param now {Number=}
+   */
+  think(now = Date.now()) {
+    if (this.state !== Bot.STATE.PLAYING) {
+      return;
+    }
+
+    const cmd = this.behaviour(this);
+    if (!cmd) {
+      return;
+    }
+
+    if (cmd.type === Commands.MOVEMENT) {
+      cmd.seq = ++this.seq;
+      this.sentMoves.set(cmd.seq, now);
+    }
+
+    this.sent++;
+    this.socket.emit('inputCommand', cmd);
+  }
+
+  /**
+   * @param x {Number}
+   * @param y {Number}
+   * @param type {Number} Tiles Enum
+   */
+  setTile(x, y, type) {
+    if (this.tiles[x]) {
+      this.tiles[x][y] = type;
+    }
+  }
+
+  /**
+   * @param chest {{x: Number, y: Number, state: Number,
+   * playerRequired: Number}}
+   */
+  setChest(chest) {
+    this.chests.set(key(chest.x, chest.y), {
+      state: chest.state,
+      playerRequired: chest.playerRequired,
+    });
+  }
+
+  /**
+   * @param x {Number}
+   * @param y {Number}
+   * @return {Number} Tiles Enum, undefined outside of the world.
+   */
+  tileAt(x, y) {
+    return this.tiles[x] ? this.tiles[x][y] : undefined;
+  }
+
+  /**
+   * @param x {Number}
+   * @param y {Number}
+   * @return {boolean} If the tile cannot be walked on, as far as it knows.
+   */
+  isBlocked(x, y) {
+    const tile = this.tileAt(x, y);
+
+    return tile === undefined || TileData[tile] !== 0 ||
+      this.trees.has(key(x, y)) || this.chests.has(key(x, y));
+  }
+
+  /**
+   * @return {{x: Number, y: Number}} The tile it stands on or walks to.
+   */
+  position() {
+    return {x: Math.round(this.x), y: Math.round(this.y)};
+  }
+
+  /**
+   * @param d {Number=} Direction, the one it faces by default.
+   * @return {{x: Number, y: Number}} The tile next to it in the direction.
+   */
+  neighbour(d = this.d) {
+    const pos = this.position();
+
+    return {
+      x: pos.x + (d === 6 ? 1 : d === 4 ? -1 : 0),
+      y: pos.y + (d === 2 ? 1 : d === 8 ? -1 : 0),
+    };
+  }
+
+  /**
+   * @param target {{x: Number, y: Number}}
+   * @return {Number} A direction closer to the target, preferring the
+   * longer way and tiles that are not blocked.
+   */
+  directionTowards(target) {
+    const pos = this.position();
+    const dx = target.x - pos.x;
+    const dy = target.y - pos.y;
+    const horizontal = dx > 0 ? 6 : 4;
+    const vertical = dy > 0 ? 2 : 8;
+
+    const options = Math.abs(dx) >= Math.abs(dy) ?
+      [horizontal, vertical] : [vertical, horizontal];
+    if (dx === 0) {
+      options.splice(options.indexOf(horizontal), 1);
+    }
+    if (dy === 0) {
+      options.splice(options.indexOf(vertical), 1);
+    }
+
+    const free = options.find((d) => {
+      const next = this.neighbour(d);
+      return !this.isBlocked(next.x, next.y);
+    });
+
+    return free || options[0] || this.d;
+  }
+
+  /**
+   * @param objects {Map.<String, *>} Its trees or chests.
+   * @param filter {function(*): boolean=} Only objects with matching values.
+   * @return {{x: Number, y: Number}} The closest, or null.
+   */
+  nearest(objects, filter = () => true) {
+    const pos = this.position();
+    let best = null;
+    let bestDistance = Infinity;
+
+    objects.forEach((value, at) => {
+      if (!filter(value)) {
+        return;
+      }
+
+      const xy = at.split(',');
+      const x = +xy[0];
+      const y = +xy[1];
+      const distance = Math.abs(x - pos.x) + Math.abs(y - pos.y);
+      if (distance < bestDistance) {
+        best = {x: x, y: y};
+        bestDistance = distance;
+      }
+    });
+
+    return best;
+  }
+}
+
+/**
+ * @const
+ * @enum {String}
+ */
+Bot.STATE = {
+  CONNECTING: 'connecting',
+  QUEUED: 'queued',
+  PLAYING: 'playing',
+  REJECTED: 'rejected',
+  DISCONNECTED: 'disconnected',
+};
+
+/**
+ * @const
+ * @type {Array.<Number>} The directions it can move in, in num-pad
+ * representation.
+ */
+Bot.DIRECTIONS = [2, 4, 6, 8];
+
+module.exports = Bot;
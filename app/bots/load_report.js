@@ -0,0 +1,181 @@
+'use strict';
+
+const Bot = require('./bot.js');
+
+/**
+ * @type {Array.<String>} Counters of '/metrics' reported by their increase.
+ */
+const SERVER_COUNTERS = [
+  'alterrain_tick_duration_seconds_sum',
+  'alterrain_tick_duration_seconds_count',
+  'alterrain_tick_overruns_total',
+  'alterrain_skipped_steps_total',
+];
+
+/**
+ * Sums up the bots of a load test and the server's own metrics, each report
+ * covers the time since the previous one.
+ */
+class LoadReport {
+  constructor() {
+    /**
+     * @type {Number} Commands sent by all bots at the previous report.
+     */
+    this.sent = 0;
+
+    /**
+     * @type {Number} Update entries received at the previous report.
+     */
+    this.updates = 0;
+
+    /**
+     * @type {Object<String, Number>} Counters of '/metrics' at the previous
+     * report.
+     */
+    this.metrics = null;
+  }
+
+  /**
+   * @param bots {Array.<Bot>} Their latencies are taken.
+   * @param seconds {Number} Since the previous report.
+   * @param metricsText {String=} The server's '/metrics', if it was read.
+   * @return {Object} {states, latency, sentRate, updateRate, server}
+   */
+  sample(bots, seconds, metricsText) {
+    const states = {};
+    Object.keys(Bot.STATE).forEach((name) => {
+      states[Bot.STATE[name]] = 0;
+    });
+
+    let latencies = [];
+    let sent = 0;
+    let updates = 0;
+    bots.forEach((bot) => {
+      states[bot.state]++;
+      latencies = latencies.concat(bot.latencies);
+      bot.latencies = [];
+      sent += bot.sent;
+      updates += bot.updates;
+    });
+    latencies.sort((a, b) => a - b);
+
+    const report = {
+      states: states,
+      latency: {
+        count: latencies.length,
+        p50: LoadReport.percentile(latencies, 50),
+        p95: LoadReport.percentile(latencies, 95),
+        p99: LoadReport.percentile(latencies, 99),
+        max: latencies.length ? latencies[latencies.length - 1] : null,
+      },
+      sentRate: (sent - this.sent) / seconds,
+      updateRate: (updates - this.updates) / seconds,
+      server: null,
+    };
+    this.sent = sent;
+    this.updates = updates;
+
+    if (metricsText) {
+      const metrics = LoadReport.parseMetrics(metricsText);
+      const last = this.metrics || {};
+      const increase = (name) => (metrics[name] || 0) - (last[name] || 0);
+
+      const ticks = increase('alterrain_tick_duration_seconds_count');
+      report.server = {
+        ticksPerSecond: ticks / seconds,
+        tickMs: ticks ? increase('alterrain_tick_duration_seconds_sum') /
+          ticks * 1000 : 0,
+        overruns: increase('alterrain_tick_overruns_total'),
+        skipped: increase('alterrain_skipped_steps_total'),
+        players: metrics.alterrain_connected_players,
+        queued: metrics.alterrain_queued_players,
+      };
+
+      this.keepCounters(metrics);
+    }
+
+    return report;
+  }
+
+  /**
+   * The first report counts from here, instead of the start of the server.
+   * @param metricsText {String=} The server's '/metrics', if it was read.
+   */
+  start(metricsText) {
+    if (metricsText) {
+      this.keepCounters(LoadReport.parseMetrics(metricsText));
+    }
+  }
+
+  /**
+   * @private
+   * @param metrics {Object<String, Number>}
+   */
+  keepCounters(metrics) {
+    this.metrics = {};
+    SERVER_COUNTERS.forEach((name) => {
+      this.metrics[name] = metrics[name];
+    });
+  }
+
+  /**
+   * @param report {Object} See sample().
+   * @return {String} One line.
+   */
+  static format(report) {
+    const states = Object.keys(report.states).filter((state) => {
+      return report.states[state] > 0;
+    }).map((state) => `${report.states[state]} ${state}`).join(', ');
+
+    const ms = (value) => value === null ? '-' : `${Math.round(value)}ms`;
+    const latency = report.latency;
+    let line = `bots: ${states || 'none'} | move latency p50 ${
+      ms(latency.p50)} p95 ${ms(latency.p95)} p99 ${ms(latency.p99)} max ${
+      ms(latency.max)} | ${Math.round(report.sentRate)} commands/s, ${
+      Math.round(report.updateRate)} updates/s`;
+
+    const server = report.server;
+    if (server) {
+      line += ` | server: ${Math.round(server.ticksPerSecond)} ticks/s of ${
+        server.tickMs.toFixed(2)}ms, ${server.overruns} overruns, ${
+        server.skipped} skipped steps, ${server.players} players, ${
+        server.queued} queued`;
+    }
+
+    return line;
+  }
+
+  /**
+   * @param sorted {Array.<Number>} Ascending.
+   * @param p {Number} From 0 to 100.
+   * @return {Number} Nearest-rank percentile, null without values.
+   */
+  static percentile(sorted, p) {
+    if (sorted.length === 0) {
+      return null;
+    }
+
+    const rank = Math.ceil(p / 100 * sorted.length);
+    return sorted[Math.max(0, rank - 1)];
+  }
+
+  /**
+   * @param text {String} The Prometheus text format, see Metrics.render().
+   * @return {Object<String, Number>} Key: name with labels as written, e.g.
+   * 'alterrain_commands_total{type="MOVEMENT",status="accepted"}'
+   */
+  static parseMetrics(text) {
+    const metrics = {};
+
+    text.split('\n').forEach((line) => {
+      const match = /^([^#\s][^\s]*)\s+(\S+)$/.exec(line);
+      if (match) {
+        metrics[match[1]] = +match[2];
+      }
+    });
+
+    return metrics;
+  }
+}
+
+module.exports = LoadReport;
@@ -0,0 +1,356 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const TerrainGenerator = require('./game/terrain.js');
+
+const {
+  ServerConfig,
+  WorldConfig,
+  TerrainConfig,
+  ChatConfig,
+} = require('../shared/constant.js');
+
+/**
+ * @type {String} Prefix of the environment variables, e.g.
+ * ALTERRAIN_SERVER_MAX_PLAYERS=80
+ */
+const ENV_PREFIX = 'ALTERRAIN_';
+
+/**
+ * @type {Array.<String>} Looked for in the project directory when no file is
+ * given with --config=<file> or ALTERRAIN_CONFIG.
+ */
+const DEFAULT_FILES = ['config.json', 'config.yaml', 'config.yml'];
+
+/**
+ * @param min {Number=}
+ * @param max {Number=}
+ * @return {Object} Option of a whole number.
+ */
+function integer(min, max) {
+  return {type: 'integer', min: min, max: max};
+}
+
+/**
+ * @param min {Number=}
+ * @param max {Number=}
+ * @return {Object} Option of any number.
+ */
+function number(min, max) {
+  return {type: 'number', min: min, max: max};
+}
+
+/**
+ * Key: section name, as in the file
+ * @type {Object<String, {defaults: Object, options: Object}>} The options of
+ * each section are named like its defaults in '/shared/constant.js'.
+ */
+const SECTIONS = {
+  server: {
+    defaults: ServerConfig,
+    options: {
+      MAX_PLAYERS: integer(1),
+      RESERVED_SLOTS: integer(0),
+      STEP_RATE: integer(1, 1000),
+      SEND_RATE: integer(1, 1000),
+      MAX_CATCH_UP_STEPS: integer(1),
+      TIMEOUT_INTERVAL: number(0),
+      AUTOSAVE_INTERVAL: number(0),
+      SESSION_GRACE_PERIOD: number(0),
+      INTEREST_RADIUS: integer(1),
+      KEYFRAME_INTERVAL: integer(1),
+      HANDSHAKE_TIMEOUT: number(1),
+      SHUTDOWN_COUNTDOWN: integer(0),
+    },
+  },
+  world: {
+    defaults: WorldConfig,
+    options: {
+      WIDTH: integer(16, 65535),
+      HEIGHT: integer(16, 65535),
+      CHUNK_SIZE: integer(4, 64),
+      SEED: {type: 'string', nullable: true},
+      WEATHER_DURATION: number(1000),
+      TREE_GEN_SPEED: number(0, 333),
+    },
+  },
+  terrain: {
+    defaults: TerrainConfig,
+    options: {
+      FREQUENCY: number(0.1, 100),
+      WATER_MAX: number(0, 1),
+      SAND_MAX: number(0, 1),
+      GRASS_MAX: number(0, 1),
+      ICE_RATIO: number(0, 1),
+      BEACH_RATIO: number(0, 1),
+      DESERT_RATIO: number(0, 1),
+      FOREST_RATIO: number(0, 1),
+      SNOW_RATIO: number(0, 1),
+      COAST_WIDTH: integer(0),
+      PIPELINE: {type: 'string'},
+    },
+  },
+  chat: {
+    defaults: ChatConfig,
+    options: {
+      MAX_LENGTH: integer(1, 1000),
+      LOCAL_RANGE: integer(1),
+    },
+  },
+};
+
+/**
+ * @param key {String} e.g. 'maxPlayers', 'MAX_PLAYERS' or 'max_players'
+ * @return {String} e.g. 'MAX_PLAYERS'
+ */
+function constantCase(key) {
+  return key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+/**
+ * @param key {String} e.g. 'MAX_PLAYERS'
+ * @return {String} e.g. 'maxPlayers'
+ */
+function camelCase(key) {
+  return key.toLowerCase().replace(/_([a-z0-9])/g, (m, c) => c.toUpperCase());
+}
+
+/**
+ * @param option {Object} Of SECTIONS.
+ * @param value {*} As read, the environment and the command line only give
+ * strings.
+ * @return {{value: *, error: String}} The value to use, or why it cannot be
+ * used.
+ */
+function check(option, value) {
+  if (option.type === 'string') {
+    if (value === null && option.nullable) {
+      return {value: null};
+    }
+    if (typeof value === 'number' || typeof value === 'string') {
+      return {value: String(value)};
+    }
+    return {error: 'must be a string'};
+  }
+
+  if (typeof value === 'string' && value.trim() !== '') {
+    value = Number(value);
+  }
+  if (typeof value !== 'number' || !isFinite(value)) {
+    return {error: 'must be a number'};
+  }
+  if (option.type === 'integer' && !Number.isInteger(value)) {
+    return {error: 'must be a whole number'};
+  }
+  if (option.min !== undefined && value < option.min) {
+    return {error: `must be at least ${option.min}`};
+  }
+  if (option.max !== undefined && value > option.max) {
+    return {error: `must be at most ${option.max}`};
+  }
+  return {value: value};
+}
+
+/**
+ * The settings of the server, from the defaults in '/shared/constant.js'
+ * overridden in turn by a JSON or YAML file, the environment and the command
+ * line. Every value is checked before any of them is applied.
+ */
+class Config {
+  constructor() {
+    /**
+     * Key: section name
+     * @type {Object<String, Object>} The values of each section, named as
+     * in '/shared/constant.js'.
+     */
+    this.values = {};
+
+    /**
+     * Key: 'section.optionName'
+     * @type {Object<String, String>} Where each value that is not the default
+     * comes from.
+     */
+    this.sources = {};
+
+    /**
+     * @type {Array.<String>} Everything that is wrong, reported at once.
+     */
+    this.errors = [];
+
+    /**
+     * @type {Array.<String>} The command line arguments that are not
+     * settings, see loadArgs().
+     */
+    this.args = [];
+
+    Object.keys(SECTIONS).forEach((name) => {
+      this.values[name] = Object.assign({}, SECTIONS[name].defaults);
+    });
+  }
+
+  /**
+   * @param section {String} e.g. 'server'
+   * @param key {String} e.g. 'maxPlayers' or 'MAX_PLAYERS'
+   * @param value {*}
+   * @param source {String} Named in the errors, e.g. the file.
+   */
+  set(section, key, value, source) {
+    const name = `${section}.${camelCase(constantCase(key))}`;
+    const options = SECTIONS[section] && SECTIONS[section].options;
+    const option = options && options[constantCase(key)];
+    if (!option) {
+      this.errors.push(`${source}: unknown setting ${name}`);
+      return;
+    }
+
+    const result = check(option, value);
+    if (result.error) {
+      this.errors.push(`${source}: ${name} ${result.error}, got ${
+        JSON.stringify(value)}`);
+      return;
+    }
+
+    this.values[section][constantCase(key)] = result.value;
+    this.sources[name] = source;
+  }
+
+  /**
+   * @param filename {String} JSON, or YAML if it ends with .yaml or .yml,
+   * e.g. {server: {maxPlayers: 80}, world: {seed: 'island'}}
+   */
+  loadFile(filename) {
+    let data;
+    try {
+      const text = fs.readFileSync(filename, 'utf8');
+      data = /\.ya?ml$/.test(filename) ? yaml.safeLoad(text) :
+        JSON.parse(text);
+    } catch (err) {
+      this.errors.push(`${filename}: ${err.message}`);
+      return;
+    }
+
+    Object.keys(data || {}).forEach((section) => {
+      const values = data[section];
+      if (!SECTIONS[section] || !values || typeof values !== 'object') {
+        this.errors.push(`${filename}: unknown section ${section}`);
+        return;
+      }
+      Object.keys(values).forEach((key) => {
+        this.set(section, key, values[key], filename);
+      });
+    });
+  }
+
+  /**
+   * @param env {Object<String, String>} e.g. process.env, with
+   * ALTERRAIN_<SECTION>_<OPTION>=<value>
+   */
+  loadEnv(env) {
+    Object.keys(env).forEach((variable) => {
+      if (variable.indexOf(ENV_PREFIX) !== 0 ||
+          variable === `${ENV_PREFIX}CONFIG`) {
+        return;
+      }
+
+      const rest = variable.substring(ENV_PREFIX.length);
+      const split = rest.indexOf('_');
+      this.set(rest.substring(0, split).toLowerCase(),
+        rest.substring(split + 1), env[variable], variable);
+    });
+  }
+
+  /**
+   * @param args {Array.<String>} Command line arguments, settings look like
+   * --<section>.<option>=<value>
+   * @return {Array.<String>} The other arguments.
+   */
+  loadArgs(args) {
+    return args.filter((arg) => {
+      const match = /^--(\w+)\.(\w+)=(.*)$/.exec(arg);
+      if (match) {
+        this.set(match[1], match[2], match[3], `--${match[1]}.${match[2]}`);
+      }
+      return !match && !/^--config=/.test(arg);
+    });
+  }
+
+  /**
+   * Checks the settings that depend on each other.
+   */
+  checkCombined() {
+    const server = this.values.server;
+    const terrain = this.values.terrain;
+
+    if (server.SEND_RATE > server.STEP_RATE) {
+      this.errors.push('server.sendRate must be at most server.stepRate');
+    }
+    if (server.RESERVED_SLOTS >= server.MAX_PLAYERS) {
+      this.errors.push('server.reservedSlots must be less than ' +
+        'server.maxPlayers');
+    }
+    if (terrain.WATER_MAX > terrain.SAND_MAX ||
+        terrain.SAND_MAX > terrain.GRASS_MAX) {
+      this.errors.push('terrain.waterMax, terrain.sandMax and ' +
+        'terrain.grassMax must not decrease');
+    }
+    if (!TerrainGenerator.PIPELINES.hasOwnProperty(terrain.PIPELINE)) {
+      this.errors.push('terrain.pipeline must be one of ' +
+        Object.keys(TerrainGenerator.PIPELINES).join(', '));
+    }
+  }
+
+  /**
+   * Overwrites the defaults in '/shared/constant.js', before the server and
+   * the world read them.
+   */
+  apply() {
+    Object.keys(SECTIONS).forEach((name) => {
+      Object.assign(SECTIONS[name].defaults, this.values[name]);
+    });
+  }
+
+  /**
+   * @return {Array.<String>} e.g. 'server.maxPlayers=80 (config.yaml)'
+   */
+  describeOverrides() {
+    return Object.keys(this.sources).map((name) => {
+      const [section, key] = name.split('.');
+      return `${name}=${JSON.stringify(
+        this.values[section][constantCase(key)])} (${this.sources[name]})`;
+    });
+  }
+
+  /**
+   * @param args {Array.<String>} Command line arguments, with
+   * --config=<file> to read a file other than config.json, config.yaml or
+   * config.yml of the project directory.
+   * @param env {Object<String, String>} ALTERRAIN_CONFIG=<file> works as
+   * --config.
+   * @param dir {String=} Where the default files are looked for.
+   * @return {Config} Check config.errors before applying it, config.args has
+   * the other command line arguments.
+   */
+  static load(args, env, dir = path.join(__dirname, '..')) {
+    const config = new Config();
+
+    const fileArg = args.filter((arg) => /^--config=/.test(arg)).pop();
+    const filename = fileArg ? fileArg.substring('--config='.length) :
+      env[`${ENV_PREFIX}CONFIG`] || DEFAULT_FILES.map((file) => {
+        return path.join(dir, file);
+      }).find((file) => fs.existsSync(file));
+
+    if (filename) {
+      config.loadFile(filename);
+    }
+    config.loadEnv(env);
+    config.args = config.loadArgs(args);
+    config.checkCombined();
+
+    return config;
+  }
+}
+
+module.exports = Config;
@@ -0,0 +1,54 @@
+'use strict';
+
+/**
+ * Turns the irregular wall-clock time between timer calls into a whole number
+ * of constant simulation steps. The remainder carries over to the next call.
+ *
+ * After a stall, e.g. a long garbage collection or an autosave, at most
+ * maxSteps are caught up at once and the rest of the backlog is skipped, so
+ * the server does not spiral trying to replay every missed step.
+ */
+class FixedTimestep {
+  /**
+   * @param stepDelta {Number} Duration of a step in milliseconds.
+   * @param maxSteps {Number} Steps to run at most per call.
+   */
+  constructor(stepDelta, maxSteps) {
+    /**
+     * @type {Number}
+     */
+    this.stepDelta = stepDelta;
+
+    /**
+     * @type {Number}
+     */
+    this.maxSteps = maxSteps;
+
+    /**
+     * @type {Number} Time in milliseconds not stepped yet.
+     */
+    this.accumulator = 0;
+  }
+
+  /**
+   * @param elapsed {Number} Milliseconds since the last call.
+   * @return {{steps: Number, skipped: Number}} Steps to run now, and steps
+   * that were dropped because the server fell too far behind.
+   */
+  advance(elapsed) {
+    this.accumulator += Math.max(0, elapsed);
+
+    let steps = Math.floor(this.accumulator / this.stepDelta);
+    let skipped = 0;
+    if (steps > this.maxSteps) {
+      skipped = steps - this.maxSteps;
+      steps = this.maxSteps;
+    }
+
+    this.accumulator -= (steps + skipped) * this.stepDelta;
+
+    return {steps: steps, skipped: skipped};
+  }
+}
+
+module.exports = FixedTimestep;
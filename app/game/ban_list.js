@@ -0,0 +1,72 @@
+'use strict';
+
+/**
+ * Players an admin banned, matched by their session token as well as their
+ * address, so a new session from the same place is refused too. Saved
+ * together with the world.
+ *
+ * @implements {Serializable}
+ */
+class BanList {
+  constructor() {
+    /**
+     * @type {Array.<{playerId: Number, token: String, address: String,
+     * reason: String, time: Number}>}
+     */
+    this.bans = [];
+  }
+
+  /**
+   * @param playerId {Number}
+   * @param token {String}
+   * @param address {String}
+   * @param reason {String}
+   */
+  add(playerId, token, address, reason) {
+    this.bans.push({
+      playerId: playerId,
+      token: token,
+      address: address,
+      reason: reason,
+      time: Date.now(),
+    });
+  }
+
+  /**
+   * @param playerId {Number}
+   * @return {boolean} false if the player was not banned.
+   */
+  remove(playerId) {
+    const count = this.bans.length;
+    this.bans = this.bans.filter((ban) => ban.playerId !== playerId);
+    return this.bans.length !== count;
+  }
+
+  /**
+   * @param token {String=}
+   * @param address {String=}
+   * @return {Object} The ban record, or null.
+   */
+  find(token, address) {
+    return this.bans.find((ban) => {
+      return (!!token && ban.token === token) ||
+        (!!address && ban.address === address);
+    }) || null;
+  }
+
+  /**
+   * @param records {Array.<Object>} As produced by toJSON().
+   */
+  loadData(records) {
+    this.bans = records.slice();
+  }
+
+  /**
+   * @return {Array.<Object>}
+   */
+  toJSON() {
+    return this.bans;
+  }
+}
+
+module.exports = BanList;
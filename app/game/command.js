@@ -1,24 +1,33 @@
 'use strict';
 
+const logger = require('../logger.js');
+
+const {
+  Commands,
+  ChatScope,
+  ChatConfig,
+} = require('../../shared/constant.js');
+
 /**
  * @instance
- * @type {{makeMoveCommand: function((Character|Player), Number=): Function,
+ * @type {{makeMoveCommand: function((Character|Player), Number=, Number=):
+ * Function,
  * makeChangeTileCommand: function(Player, {tileId}):
  * Function, makeCommunicateCommand: function(Player, Object): Function,
- * makeInteractCommand: function(Player, Object): Function}}
+ * makeInteractCommand: function(Player, Object): Function,
+ * makeCommand: function(Player, Object): Function}}
  */
 const CommandFactory = {
   /**
    * @param player {Character || Player}
    * @param params {Number}
+   * @param seq {Number=} Sequence number the client tagged the move with.
    * @return {Function}
    */
-  makeMoveCommand: (player, params = 2) => {
+  makeMoveCommand: (player, params = 2, seq) => {
     let dir = params;
     return () => {
-      if (!player.isMoving()) {
-        player.moveStraight(dir);
-      }
+      player.requestMove(dir, seq);
     };
   },
 
@@ -37,15 +46,52 @@ const CommandFactory = {
 
   /**
    * @param player {Character || Player}
-   * @param params {Object}
+   * @param params {Object=} Without params it is a shout.
+   * @param params.scope {Number} ChatScope
+   * @param params.text {String}
    * @return {Function}
    */
   makeCommunicateCommand: (player, params) => {
+    params = params || {scope: ChatScope.SHOUT};
+
+    const scope = params.scope;
+    const text = sanitizeChatText(params.text);
+
     return () => {
-      // Temp, should not emit at here
-      player.world.server.io.emit('playSound', {
+      const server = player.world.server;
+
+      switch (scope) {
+        case ChatScope.SHOUT:
+          server.emitNear(player._x, player._y, 'playSound', {
+            id: player.id,
+          });
+          return;
+        case ChatScope.GLOBAL:
+        case ChatScope.LOCAL:
+          if (!text) {
+            return;
+          }
+          break;
+        default:
+          logger.error(`Invalid chat scope ${scope}`);
+          return;
+      }
+
+      const message = {
         id: player.id,
-      });
+        scope: scope,
+        text: text,
+      };
+
+      logger.data(`[chat] Player ${player.id}: ${text}`);
+
+      if (scope === ChatScope.GLOBAL) {
+        server.io.emit('chat', message);
+      } else {
+        const nearby = player.world.getPlayersInRange(player._x, player._y,
+          ChatConfig.LOCAL_RANGE);
+        server.emitToPlayers(nearby.map((p) => p.id), 'chat', message);
+      }
     };
   },
 
@@ -59,6 +105,62 @@ const CommandFactory = {
       player.onInteraction(player);
     };
   },
+
+  /**
+   * @param player {Character || Player}
+   * @param cmd {Object} A validated 'inputCommand', see InputGuard.
+   * @param cmd.type {Number} Commands
+   * @param cmd.params {*}
+   * @param cmd.seq {Number=}
+   * @return {Function} null for an unknown type.
+   */
+  makeCommand: (player, cmd) => {
+    switch (cmd.type) {
+      case Commands.MOVEMENT:
+        return CommandFactory.makeMoveCommand(player, cmd.params, cmd.seq);
+      case Commands.ALTER_TILE:
+        return CommandFactory.makeChangeTileCommand(player, cmd.params);
+      case Commands.COMMUNICATION:
+        return CommandFactory.makeCommunicateCommand(player, cmd.params);
+      case Commands.INTERACTION:
+        return CommandFactory.makeInteractCommand(player, cmd.params);
+      default:
+        return null;
+    }
+  },
 };
 
+/**
+ * @param code {Number} A code point.
+ * @return {boolean} true for control characters, zero width, text direction
+ * marks and isolates.
+ */
+function isUnprintable(code) {
+  return code < 0x20 || code >= 0x7f && code <= 0x9f ||
+    code >= 0x200b && code <= 0x200f || code >= 0x202a && code <= 0x202e ||
+    code >= 0x2066 && code <= 0x2069;
+}
+
+/**
+ * Strips control and formatting characters, collapses whitespace and cuts the
+ * message to ChatConfig.MAX_LENGTH characters.
+ * @param text {*}
+ * @return {String} The cleaned text, empty if nothing is left.
+ */
+function sanitizeChatText(text) {
+  if (typeof text !== 'string') {
+    return '';
+  }
+
+  const printable = Array.from(text.replace(/\s+/g, ' '))
+    .filter((c) => !isUnprintable(c.codePointAt(0)))
+    .join('')
+    .trim();
+
+  // by code point, not to split a surrogate pair
+  return Array.from(printable).slice(0, ChatConfig.MAX_LENGTH).join('');
+}
+
+CommandFactory.sanitizeChatText = sanitizeChatText;
+
 module.exports = CommandFactory;
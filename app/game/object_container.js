@@ -14,6 +14,14 @@ class ObjectContainer {
       height: world.height,
       maxElements: 5,
     });
+
+    /**
+     * The same objects in the order they were added, which the quadtree does
+     * not keep. Updating and saving in this order makes a restored world
+     * draw random numbers in the same order, see InputRecorder.
+     * @type {Set.<GameObject>}
+     */
+    this.objects = new Set();
   }
 
   /**
@@ -22,11 +30,9 @@ class ObjectContainer {
   update(dt) {
     let count = 0;
 
-    this.tree.each((elt) => {
-      if (elt) {
-        elt.object.onUpdate(dt);
-        count++;
-      }
+    this.objects.forEach((object) => {
+      object.onUpdate(dt);
+      count++;
     });
 
     // logger.info(`updating [${count}/${this.tree.size}] objects.`);
@@ -44,6 +50,7 @@ class ObjectContainer {
       height: 1,
       object: object,
     });
+    this.objects.add(object);
 
     return object;
   }
@@ -79,6 +86,25 @@ class ObjectContainer {
     }
   }
 
+  /**
+   * @param x {Number}
+   * @param y {Number}
+   * @param width {Number}
+   * @param height {Number}
+   * @return {Array.<GameObject>} The objects within the area.
+   */
+  objectsIn(x, y, width, height) {
+    return this.tree.colliding({
+      x: x,
+      y: y,
+      width: width,
+      height: height,
+    }).map((elt) => elt.object).filter((object) => {
+      return object._x >= x && object._x < x + width &&
+        object._y >= y && object._y < y + height;
+    });
+  }
+
   /**
    * @param object {GameObject}
    * @return {boolean}
@@ -87,6 +113,7 @@ class ObjectContainer {
     let arr = this.tree.find((elt) => elt.object === object);
     let success = false;
 
+    this.objects.delete(object);
     arr.forEach((elt)=>{
       this.tree.remove(elt);
       success = true;
@@ -99,19 +126,29 @@ class ObjectContainer {
     logger.debug(this.tree.pretty());
   }
 
-  serialize() {
-    let treeStr = 't:';
-    let chestStr = 'c:';
+  /**
+   * @return {Object<String, Number>} How many objects there are of each type,
+   * e.g. {tree: 120, chest: 6}
+   */
+  countByType() {
+    let counts = {};
 
     this.tree.each((elt) => {
-      if (elt.object.type !== 'tree') {
-        treeStr += `${elt.object.serialize()}|`;
-      } else {
-        chestStr += `${elt.object.serialize()}|`;
+      if (elt) {
+        const type = elt.object.type;
+        counts[type] = (counts[type] || 0) + 1;
       }
     });
 
-    return treeStr + chestStr;
+    return counts;
+  }
+
+  /**
+   * @return {Array.<GameObject>} Every object, persisted through their own
+   * toJSON().
+   */
+  toJSON() {
+    return Array.from(this.objects);
   }
 }
 
@@ -0,0 +1,175 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const logger = require('../logger.js');
+
+/**
+ * Keeps the state of players between connections, keyed by a session token
+ * the client presents when it connects again.
+ *
+ * A record is kept for the grace period after its player disconnected, and
+ * is saved together with the world.
+ *
+ * @implements {Serializable}
+ */
+class SessionStore {
+  /**
+   * @param world {World}
+   * @param gracePeriod {Number} In seconds.
+   */
+  constructor(world, gracePeriod) {
+    /**
+     * @type {World}
+     */
+    this.world = world;
+
+    /**
+     * @type {Number} In milliseconds.
+     */
+    this.gracePeriod = gracePeriod * 1000;
+
+    /**
+     * Key: session token
+     * @type {Map<String, Object>}
+     */
+    this.sessions = new Map();
+  }
+
+  /**
+   * @param playerId {Number}
+   * @return {Object} The new session record.
+   */
+  create(playerId) {
+    const record = {
+      token: crypto.randomBytes(16).toString('hex'),
+      playerId: playerId,
+      online: true,
+      lastSeen: Date.now(),
+    };
+
+    this.sessions.set(record.token, record);
+
+    return record;
+  }
+
+  /**
+   * @param token {String=}
+   * @return {Object} The session record to resume, or null if the token is
+   * unknown, expired or already in use.
+   */
+  resume(token) {
+    const record = this.sessions.get(token);
+
+    if (!record || record.online) {
+      return null;
+    }
+
+    if (this.isExpired(record)) {
+      this.sessions.delete(token);
+      return null;
+    }
+
+    record.online = true;
+    return record;
+  }
+
+  /**
+   * Remember the state of a player who left.
+   * @param token {String}
+   * @param player {Player}
+   * @return {Object} The updated session record.
+   */
+  suspend(token, player) {
+    const record = this.sessions.get(token);
+
+    if (!record) {
+      logger.error(`Unknown session for player ${player.id}`);
+      return null;
+    }
+
+    updateRecord(record, player);
+    record.online = false;
+
+    return record;
+  }
+
+  /**
+   * Forget a session for good, its player went on elsewhere.
+   * @param token {String}
+   * @return {boolean} false if there was no such session.
+   */
+  end(token) {
+    return this.sessions.delete(token);
+  }
+
+  /**
+   * @param record {Object}
+   * @return {boolean}
+   */
+  isExpired(record) {
+    return !record.online && Date.now() - record.lastSeen > this.gracePeriod;
+  }
+
+  /**
+   * Forget players who have been away longer than the grace period.
+   */
+  prune() {
+    this.sessions.forEach((record, token) => {
+      if (this.isExpired(record)) {
+        this.sessions.delete(token);
+      }
+    });
+  }
+
+  /**
+   * Players who are online when loading are treated as just disconnected.
+   * @param records {Array.<Object>}
+   */
+  loadData(records) {
+    records.forEach((record) => {
+      this.loadRecord(record);
+    });
+  }
+
+  /**
+   * @param record {Object}
+   */
+  loadRecord(record) {
+    record = Object.assign({}, record, {online: false});
+    this.sessions.set(record.token, record);
+  }
+
+  /**
+   * @return {Array.<Object>}
+   */
+  toJSON() {
+    let arr = [];
+
+    this.sessions.forEach((record) => {
+      if (record.online) {
+        const player = this.world.players.get(record.playerId);
+        if (player) {
+          updateRecord(record, player);
+        }
+      }
+      arr.push(record);
+    });
+
+    return arr;
+  }
+}
+
+/**
+ * @param record {Object}
+ * @param player {Player}
+ */
+function updateRecord(record, player) {
+  record.x = player._x;
+  record.y = player._y;
+  record.d = player._direction;
+  record.inventory = player.inventory.slice();
+  record.lastSeen = Date.now();
+}
+
+module.exports = SessionStore;
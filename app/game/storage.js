@@ -0,0 +1,175 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+
+const logger = require('../logger.js');
+
+/**
+ * @type {String} Directory where all saved world data lives.
+ */
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+/**
+ * Reads and writes the saved data of a single world under 'data/'.
+ *
+ * Writes go to a temporary file first and are then renamed over the real
+ * one, so a crash in the middle of a save never leaves a half-written file.
+ *
+ * Next to the world file lives an append-only journal with one JSON entry per
+ * line, recording what changed since the last full save.
+ */
+class WorldStorage {
+  /**
+   * @param name {String} World name, e.g. 'myworld' or 'myworld.json'.
+   */
+  constructor(name) {
+    /**
+     * @type {String}
+     */
+    this.name = path.basename(name, '.json');
+
+    /**
+     * @type {String} Absolute path to the world file.
+     */
+    this.filename = path.join(DATA_DIR, `${this.name}.json`);
+
+    /**
+     * @type {String} Absolute path to the journal file.
+     */
+    this.journalFilename = path.join(DATA_DIR, `${this.name}.journal`);
+
+    /**
+     * @type {Number} File descriptor of the opened journal, or null.
+     */
+    this.journalFd = null;
+  }
+
+  /**
+   * @return {boolean}
+   */
+  exists() {
+    return fs.existsSync(this.filename);
+  }
+
+  /**
+   * Only used when booting, when blocking is fine.
+   * @return {Object} The parsed world data.
+   */
+  loadSync() {
+    return JSON.parse(fs.readFileSync(this.filename, 'utf8'));
+  }
+
+  /**
+   * @param data {Object} JSON serializable world data.
+   */
+  saveSync(data) {
+    const tmp = `${this.filename}.tmp`;
+
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, this.filename);
+  }
+
+  /**
+   * @param data {Object} JSON serializable world data.
+   * @param callback {Function=} Called with an error, if any.
+   */
+  save(data, callback = () => {}) {
+    const tmp = `${this.filename}.tmp`;
+
+    fs.writeFile(tmp, JSON.stringify(data), (err) => {
+      if (err) {
+        logger.error(`Failed to write ${tmp}: ${err.message}`);
+        return callback(err);
+      }
+
+      fs.rename(tmp, this.filename, (err) => {
+        if (err) {
+          logger.error(`Failed to save ${this.filename}: ${err.message}`);
+        }
+        callback(err);
+      });
+    });
+  }
+
+  /**
+   * Opens the journal for appending, creating it if needed.
+   */
+  openJournal() {
+    if (this.journalFd === null) {
+      this.journalFd = fs.openSync(this.journalFilename, 'a');
+    }
+  }
+
+  closeJournal() {
+    if (this.journalFd !== null) {
+      fs.closeSync(this.journalFd);
+      this.journalFd = null;
+    }
+  }
+
+  /**
+   * Entries are written synchronously, so they are on disk once this returns.
+   * @param entries {Array.<Object>}
+   */
+  appendJournal(entries) {
+    fs.writeSync(this.journalFd, journalLines(entries));
+  }
+
+  /**
+   * Replace the journal content, e.g. with the entries a save did not cover.
+   * @param entries {Array.<Object>}
+   */
+  rewriteJournal(entries) {
+    const tmp = `${this.journalFilename}.tmp`;
+    const wasOpen = this.journalFd !== null;
+
+    this.closeJournal();
+    fs.writeFileSync(tmp, journalLines(entries));
+    fs.renameSync(tmp, this.journalFilename);
+
+    if (wasOpen) {
+      this.openJournal();
+    }
+  }
+
+  /**
+   * @return {Array.<Object>} Journal entries in the order they were written.
+   */
+  readJournal() {
+    if (!fs.existsSync(this.journalFilename)) {
+      return [];
+    }
+
+    const lines = fs.readFileSync(this.journalFilename, 'utf8').split('\n');
+    const entries = [];
+
+    for (let i = 0; i < lines.length; i++) {
+      if (lines[i] === '') {
+        continue;
+      }
+
+      try {
+        entries.push(JSON.parse(lines[i]));
+      } catch (e) {
+        // Only the last line can be torn by a crash, nothing follows it.
+        logger.warn(`Ignoring damaged journal entry at line ${i + 1}.`);
+        break;
+      }
+    }
+
+    return entries;
+  }
+}
+
+/**
+ * @param entries {Array.<Object>}
+ * @return {String}
+ */
+function journalLines(entries) {
+  return entries.map((entry) => `${JSON.stringify(entry)}\n`).join('');
+}
+
+WorldStorage.DATA_DIR = DATA_DIR;
+
+module.exports = WorldStorage;
@@ -0,0 +1,526 @@
+'use strict';
+
+const noise = require('../libs/perlin.js');
+
+const {Tiles, TerrainConfig} = require('../../shared/constant.js');
+
+/**
+ * @type {Number} Tiles per unit of noise, at TerrainConfig.FREQUENCY 1. The
+ * terrain used to be stretched over the whole world, which was this wide.
+ */
+const NOISE_SCALE = 88;
+
+/**
+ * @param options {Object} Of a pass, gets the fallback if the option is not
+ * given, see TerrainGenerator.passes.
+ * @param key {String}
+ * @param fallback {*}
+ * @return {*} The option, or the fallback if it is not given.
+ * @throws {Error} If the option is not of the type of the fallback.
+ */
+function option(options, key, fallback) {
+  const value = options[key];
+  if (value === undefined) {
+    options[key] = fallback;
+    return fallback;
+  }
+
+  if (typeof value !== typeof fallback ||
+      typeof value === 'number' && !isFinite(value)) {
+    throw new Error(`The ${options.pass} pass needs ${key} to be a ` +
+      typeof fallback);
+  }
+  return value;
+}
+
+/**
+ * Calls back with each tile of the area.
+ * @param area {Object} See TerrainGenerator.generate().
+ * @param callback {function(Number, Number, Number)} Gets x, y and the index
+ * of the tile in the tiles and the layers.
+ */
+function forEachTile(area, callback) {
+  for (let i = 0; i < area.width; i++) {
+    for (let j = 0; j < area.height; j++) {
+      callback(area.x + i, area.y + j, i * area.height + j);
+    }
+  }
+}
+
+/**
+ * Fractal noise of the next seed, mostly from 0 to 1, into a new layer.
+ * @param options {{layer: String=, frequency: Number=, octaves: Number=}}
+ * The layer is 'height' by default.
+ * @param generator {TerrainGenerator}
+ * @return {function(Object)}
+ */
+function noiseLayer(options, generator) {
+  const layer = generator.addLayer(option(options, 'layer', 'height'));
+  const freq = option(options, 'frequency', TerrainConfig.FREQUENCY);
+  const octaves = option(options, 'octaves', 3);
+  if (!Number.isInteger(octaves) || octaves < 1 ||
+      octaves > TerrainGenerator.MAX_OCTAVES) {
+    throw new Error(`The ${options.pass} pass needs from 1 to ` +
+      `${TerrainGenerator.MAX_OCTAVES} octaves`);
+  }
+  const seed = generator.addSeed();
+  generator.cost += octaves - 1;
+
+  return (area) => {
+    const values = new Float64Array(area.width * area.height);
+    noise.seed(area.seeds[seed]);
+
+    forEachTile(area, (x, y, n) => {
+      const nx = x / NOISE_SCALE;
+      const ny = y / NOISE_SCALE;
+
+      // The finer octaves weigh more with the frequency, as they always did.
+      let value = noise.perlin2(freq * nx, freq * ny);
+      for (let k = 1; k < octaves; k++) {
+        value += freq / (1 << k) *
+          noise.perlin2(freq * (1 << k) * nx, freq * (1 << k) * ny);
+      }
+
+      // Rounded as when the layers were Float32Arrays, so that chunks are
+      // generated as they were before.
+      values[n] = Math.fround((value + 1) / 2);
+    });
+
+    area.layers[layer] = values;
+  };
+}
+
+/**
+ * Lowers a layer towards the edge of the world, so that the land ends in the
+ * sea.
+ * @param options {{layer: String=, width: Number=}} The width in tiles is
+ * TerrainConfig.COAST_WIDTH by default.
+ * @param generator {TerrainGenerator}
+ * @return {function(Object)}
+ */
+function coastMask(options, generator) {
+  const layer = generator.requireLayer(option(options, 'layer', 'height'),
+    options.pass);
+  const width = option(options, 'width', TerrainConfig.COAST_WIDTH);
+
+  return (area) => {
+    const values = area.layers[layer];
+
+    forEachTile(area, (x, y, n) => {
+      const distance = Math.min(x, y, generator.width - 1 - x,
+        generator.height - 1 - y);
+      if (distance < width) {
+        values[n] -= 1 - distance / width;
+      }
+    });
+  };
+}
+
+/**
+ * Lowers a layer with the distance from the middle of the world, which makes
+ * one large island.
+ * @param options {{layer: String=, strength: Number=}} How much lower it is
+ * at the edge, 0.6 by default.
+ * @param generator {TerrainGenerator}
+ * @return {function(Object)}
+ */
+function islandMask(options, generator) {
+  const layer = generator.requireLayer(option(options, 'layer', 'height'),
+    options.pass);
+  const strength = option(options, 'strength', 0.6);
+
+  return (area) => {
+    const values = area.layers[layer];
+
+    forEachTile(area, (x, y, n) => {
+      const dx = 2 * x / Math.max(1, generator.width - 1) - 1;
+      const dy = 2 * y / Math.max(1, generator.height - 1) - 1;
+      const distance = Math.min(1, Math.sqrt(dx * dx + dy * dy));
+      values[n] -= strength * distance * distance;
+    });
+  };
+}
+
+/**
+ * Classifies the tiles by height and moisture.
+ * @param options {Object} The layers 'height' and 'moisture', and the
+ * thresholds of TerrainConfig in camel case, e.g. waterMax.
+ * @param generator {TerrainGenerator}
+ * @return {function(Object)}
+ */
+function biomeClassifier(options, generator) {
+  const height = generator.requireLayer(option(options, 'height', 'height'),
+    options.pass);
+  const moisture = generator.requireLayer(
+    option(options, 'moisture', 'moisture'), options.pass);
+  const waterMax = option(options, 'waterMax', TerrainConfig.WATER_MAX);
+  const sandMax = option(options, 'sandMax', TerrainConfig.SAND_MAX);
+  const grassMax = option(options, 'grassMax', TerrainConfig.GRASS_MAX);
+  const iceRatio = option(options, 'iceRatio', TerrainConfig.ICE_RATIO);
+  const beachRatio = option(options, 'beachRatio', TerrainConfig.BEACH_RATIO);
+  const desertRatio = option(options, 'desertRatio',
+    TerrainConfig.DESERT_RATIO);
+  const forestRatio = option(options, 'forestRatio',
+    TerrainConfig.FOREST_RATIO);
+  const snowRatio = option(options, 'snowRatio', TerrainConfig.SNOW_RATIO);
+  generator.addTiles();
+
+  /**
+   * @param e {Number} The elevation.
+   * @param m {Number} The moisture.
+   * @return {Number} See Tiles.
+   */
+  function classify(e, m) {
+    if (e < waterMax) {
+      return m < iceRatio ? Tiles.ICE : Tiles.WATER;
+    }
+    if (e < sandMax) {
+      return m < beachRatio ? Tiles.SAND : Tiles.GRASS;
+    }
+    if (e < grassMax) {
+      if (m < desertRatio) {
+        return Tiles.DESERT;
+      }
+      return m < forestRatio ? Tiles.FOREST : Tiles.GRASS;
+    }
+    return m < snowRatio ? Tiles.SNOW : Tiles.STONE;
+  }
+
+  return (area) => {
+    const e = area.layers[height];
+    const m = area.layers[moisture];
+
+    forEachTile(area, (x, y, n) => {
+      area.tiles[n] = classify(e[n], m[n]);
+    });
+  };
+}
+
+/**
+ * Classifies the tiles by height alone: water, sand, grass and stone.
+ * @param options {{height: String=, waterMax: Number=, sandMax: Number=,
+ * grassMax: Number=}} The thresholds are those of TerrainConfig by default.
+ * @param generator {TerrainGenerator}
+ * @return {function(Object)}
+ */
+function elevationClassifier(options, generator) {
+  const height = generator.requireLayer(option(options, 'height', 'height'),
+    options.pass);
+  const waterMax = option(options, 'waterMax', TerrainConfig.WATER_MAX);
+  const sandMax = option(options, 'sandMax', TerrainConfig.SAND_MAX);
+  const grassMax = option(options, 'grassMax', TerrainConfig.GRASS_MAX);
+  generator.addTiles();
+
+  return (area) => {
+    const e = area.layers[height];
+
+    forEachTile(area, (x, y, n) => {
+      if (e[n] < waterMax) {
+        area.tiles[n] = Tiles.WATER;
+      } else if (e[n] < sandMax) {
+        area.tiles[n] = Tiles.SAND;
+      } else {
+        area.tiles[n] = e[n] < grassMax ? Tiles.GRASS : Tiles.STONE;
+      }
+    });
+  };
+}
+
+/**
+ * Replaces one tile with another where a layer is within a range, e.g.
+ * {pass: 'replace', from: 'WATER', to: 'ICE', layer: 'moisture', below: 0.2}
+ * @param options {{from: String, to: String, layer: String=, above: Number=,
+ * below: Number=}} Tiles by their name in Tiles. Without a layer every tile
+ * is replaced.
+ * @param generator {TerrainGenerator}
+ * @return {function(Object)}
+ */
+function replaceTiles(options, generator) {
+  generator.requireTiles(options.pass);
+  if (!Tiles.hasOwnProperty(options.from) ||
+      !Tiles.hasOwnProperty(options.to)) {
+    throw new Error(`The ${options.pass} pass needs the tiles 'from' and ` +
+      `'to', one of ${Object.keys(Tiles).join(', ')}`);
+  }
+  const from = Tiles[options.from];
+  const to = Tiles[options.to];
+
+  const layer = options.layer === undefined ? null :
+    generator.requireLayer(options.layer, options.pass);
+  // Unbounded when omitted, which JSON could not keep.
+  const above = options.above === undefined ? -Infinity :
+    option(options, 'above', 0);
+  const below = options.below === undefined ? Infinity :
+    option(options, 'below', 0);
+
+  return (area) => {
+    const values = layer ? area.layers[layer] : null;
+
+    forEachTile(area, (x, y, n) => {
+      if (area.tiles[n] === from &&
+          (!values || values[n] >= above && values[n] < below)) {
+        area.tiles[n] = to;
+      }
+    });
+  };
+}
+
+/**
+ * Generates terrain through an ordered list of passes, each one an entry of
+ * TerrainGenerator.PASSES with its options, e.g.
+ * [{pass: 'noise', layer: 'height'}, {pass: 'coast'},
+ *  {pass: 'noise', layer: 'moisture'}, {pass: 'biomes'}]
+ *
+ * Noise layers write named layers of numbers over the tiles, masks change
+ * them, a classifier turns them into tiles and post-processing changes the
+ * tiles. A pass only sees the area being generated and its position in the
+ * world, so that any chunk comes out the same whenever it is generated.
+ */
+class TerrainGenerator {
+  /**
+   * @param passes {Array.<Object>} See above, saved with the world.
+   * @param width {Number} Of the world, in tiles.
+   * @param height {Number}
+   * @throws {Error} If a pass is unknown or misses what it needs.
+   */
+  constructor(passes, width, height) {
+    /**
+     * @type {Array.<Object>} Copies of the passes with every option they use
+     * set, the defaults of TerrainConfig when they were created. Saved with
+     * the world, so that changing the configuration does not change the
+     * terrain of a world later on.
+     */
+    this.passes = [];
+
+    this.width = width;
+    this.height = height;
+
+    /**
+     * @type {Array.<Number>} One for each noise layer, in their order.
+     */
+    this.seeds = [];
+
+    /**
+     * @type {Number} How many seeds the passes need.
+     */
+    this.seedCount = 0;
+
+    /**
+     * @type {Set<String>} Names of the layers made by the passes so far.
+     */
+    this.layers = new Set();
+
+    /**
+     * @type {boolean} Whether a classifier came before.
+     */
+    this.classified = false;
+
+    /**
+     * @type {Number} Steps of the passes and noise samples for each tile,
+     * how long generating takes.
+     */
+    this.cost = 0;
+
+    if (!Array.isArray(passes)) {
+      throw new Error('The terrain passes must be a list');
+    }
+    if (passes.length > TerrainGenerator.MAX_PASSES) {
+      throw new Error('The terrain can have at most ' +
+        `${TerrainGenerator.MAX_PASSES} passes`);
+    }
+
+    /**
+     * @type {Array.<function(Object)>}
+     */
+    this.steps = passes.map((options) => {
+      const name = options && options.pass;
+      if (!TerrainGenerator.PASSES.hasOwnProperty(name)) {
+        throw new Error(`There is no terrain pass ${name}, use one of ` +
+          Object.keys(TerrainGenerator.PASSES).join(', '));
+      }
+      this.cost++;
+      const resolved = Object.assign({}, options);
+      this.passes.push(resolved);
+      return TerrainGenerator.PASSES[name](resolved, this);
+    });
+
+    if (!this.classified) {
+      throw new Error('The terrain needs a classifier, e.g. biomes');
+    }
+  }
+
+  /**
+   * For the passes while they are created.
+   * @return {Number} Index of a seed of its own in the area's seeds.
+   */
+  addSeed() {
+    return this.seedCount++;
+  }
+
+  /**
+   * For the passes while they are created.
+   * @param name {String}
+   * @return {String} The name.
+   */
+  addLayer(name) {
+    this.layers.add(name);
+    return name;
+  }
+
+  /**
+   * For the passes while they are created.
+   * @param name {String}
+   * @param pass {String} Named in the error.
+   * @return {String} The name.
+   * @throws {Error} If no pass before made the layer.
+   */
+  requireLayer(name, pass) {
+    if (!this.layers.has(name)) {
+      throw new Error(`The ${pass} pass needs a ${name} layer before it`);
+    }
+    return name;
+  }
+
+  /**
+   * For the classifiers while they are created.
+   */
+  addTiles() {
+    this.classified = true;
+  }
+
+  /**
+   * For the post-processing passes while they are created.
+   * @param pass {String} Named in the error.
+   * @throws {Error} If no classifier came before.
+   */
+  requireTiles(pass) {
+    if (!this.classified) {
+      throw new Error(`The ${pass} pass needs a classifier before it`);
+    }
+  }
+
+  /**
+   * @param random {Random} Of a new world.
+   * @return {Array.<Number>} As many new seeds as the passes need.
+   */
+  drawSeeds(random) {
+    this.seeds = [];
+    for (let i = 0; i < this.seedCount; i++) {
+      this.seeds.push(random.frac());
+    }
+    return this.seeds;
+  }
+
+  /**
+   * @param x {Number} First tile of the area.
+   * @param y {Number}
+   * @param width {Number}
+   * @param height {Number}
+   * @return {Uint8Array} The tiles of the area, laid out column by column.
+   */
+  generate(x, y, width, height) {
+    const area = {
+      x: x,
+      y: y,
+      width: width,
+      height: height,
+      seeds: this.seeds,
+      layers: {},
+      tiles: new Uint8Array(width * height),
+    };
+
+    this.steps.forEach((step) => step(area));
+
+    return area.tiles;
+  }
+
+  /**
+   * @param pipeline {String|Array.<Object>} A name of
+   * TerrainGenerator.PIPELINES, or the passes.
+   * @param width {Number}
+   * @param height {Number}
+   * @return {TerrainGenerator}
+   * @throws {Error} If there is no such pipeline.
+   */
+  static create(pipeline, width, height) {
+    if (typeof pipeline !== 'string') {
+      return new TerrainGenerator(pipeline, width, height);
+    }
+
+    if (!TerrainGenerator.PIPELINES.hasOwnProperty(pipeline)) {
+      throw new Error(`There is no terrain pipeline ${pipeline}, use one of ` +
+        Object.keys(TerrainGenerator.PIPELINES).join(', '));
+    }
+    return new TerrainGenerator(TerrainGenerator.PIPELINES[pipeline], width,
+      height);
+  }
+
+  /**
+   * Adds a pass that pipelines can use by name.
+   * @param name {String}
+   * @param create {function(Object, TerrainGenerator): function(Object)}
+   * Gets the options of the pass and the generator, to claim seeds and
+   * layers, and returns what changes an area.
+   */
+  static register(name, create) {
+    TerrainGenerator.PASSES[name] = create;
+  }
+}
+
+/**
+ * @const
+ * @type {Number} Most passes in a pipeline.
+ */
+TerrainGenerator.MAX_PASSES = 16;
+
+/**
+ * @const
+ * @type {Number} Most octaves of a noise layer.
+ */
+TerrainGenerator.MAX_OCTAVES = 8;
+
+/**
+ * Key: name of the pass
+ * @type {Object<String, Function>} See TerrainGenerator.register().
+ */
+TerrainGenerator.PASSES = {
+  noise: noiseLayer,
+  coast: coastMask,
+  island: islandMask,
+  biomes: biomeClassifier,
+  elevation: elevationClassifier,
+  replace: replaceTiles,
+};
+
+/**
+ * Key: name, as in TerrainConfig.PIPELINE
+ * @type {Object<String, Array.<Object>>} The passes of each pipeline. A world
+ * saves its passes, changing them here only changes new worlds.
+ */
+TerrainGenerator.PIPELINES = {
+  default: [
+    {pass: 'noise', layer: 'height'},
+    {pass: 'coast'},
+    {pass: 'noise', layer: 'moisture'},
+    {pass: 'biomes'},
+  ],
+  island: [
+    {pass: 'noise', layer: 'height'},
+    {pass: 'island'},
+    {pass: 'coast'},
+    {pass: 'noise', layer: 'moisture'},
+    {pass: 'biomes'},
+  ],
+  frozen: [
+    {pass: 'noise', layer: 'height'},
+    {pass: 'coast'},
+    {pass: 'noise', layer: 'moisture'},
+    {pass: 'biomes'},
+    {pass: 'replace', from: 'WATER', to: 'ICE', layer: 'moisture',
+      below: 0.4},
+    {pass: 'replace', from: 'GRASS', to: 'SNOW', layer: 'moisture',
+      below: 0.3},
+  ],
+};
+
+module.exports = TerrainGenerator;
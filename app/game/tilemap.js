@@ -1,14 +1,32 @@
 'use strict';
 
-const noise = require('../libs/perlin.js');
+const TerrainGenerator = require('./terrain.js');
 
-const {TileData} = require('../../shared/constant.js');
+const {
+  TileData,
+  TerrainConfig,
+  WorldConfig,
+} = require('../../shared/constant.js');
 
 /**
+ * The tiles of a world, split into square chunks of WorldConfig.CHUNK_SIZE.
+ *
+ * A chunk is generated by the world's terrain pipeline from its seeds the
+ * first time it is needed, which is always the same for the same position.
+ * Chunks nobody is near are unloaded: dropped if they are still as
+ * generated, otherwise kept in a compact form and saved with the world.
+ *
  * @implements {Serializable}
  */
 class Tilemap {
-  constructor(world) {
+  /**
+   * @param world {World}
+   * @param data {Object=} As saved by toJSON(), generates new terrain when
+   * omitted.
+   * @param pipeline {String|Array.<Object>=} How new terrain is generated,
+   * see TerrainGenerator.create(). A saved tilemap keeps its own.
+   */
+  constructor(world, data = null, pipeline = TerrainConfig.PIPELINE) {
     /**
      * @type {World} Reference to the World instance.
      */
@@ -17,87 +35,87 @@ class Tilemap {
     this.width = this.world.width;
     this.height = this.world.height;
 
-    this.grassTiles = [];
-    this.forestTiles = [];
-
     /**
-     * 0 = grass
-     * 1 = sand
-     * 2 = stone - temp
-     * 3 = water - can not pass
-     * @type {Array.<Array.<Number>>} The game world represented in a 2D array.
+     * @type {Number} In tiles, a saved world keeps its own.
      */
-    this.data = [];
+    this.chunkSize = data && data.chunkSize || WorldConfig.CHUNK_SIZE;
 
     /**
-     * @type {Array.<Array.<Number>>} The heightmap, used to procedurally
-     * generate the tilemap.
+     * Key: see Tilemap.key()
+     * @type {Map<String, Object>} Chunks in memory, {cx, cy, x, y, width,
+     * height, tiles, changed} where the tiles are laid out column by column.
      */
-    this.heightmap = [];
+    this.chunks = new Map();
 
     /**
-     * @type {Array.<Array.<Number>>} The moisture, used to procedurally
-     * generate the tilemap.
+     * Key: see Tilemap.key()
+     * @type {Map<String, Uint8Array>} Tiles of the unloaded chunks that
+     * changed since they were generated.
      */
-    this.moisture = [];
+    this.stored = new Map();
 
-    for (let i = 0; i < this.world.height; i++) {
-      this.data[i] = [];
-      this.heightmap[i] = [];
-      this.moisture[i] = [];
-    }
+    /**
+     * @type {Set<String>} Keys of the chunks whose trees were planted, see
+     * World.populateChunk().
+     */
+    this.populated = new Set();
 
-    this.frequency = 4.3;
-    this.waterMax = 0.3;
-    this.sandMax = 0.45;
-    this.grassMax = 0.65;
-    this.stoneMax = 1;
+    /**
+     * @type {TerrainGenerator} Saved tilemaps from before there were
+     * pipelines used the default one.
+     */
+    this.terrain = TerrainGenerator.create(data ?
+      data.terrain || 'default' : pipeline, this.width, this.height);
 
-    this.iceRatio = 0.1;
-    this.beachRatio = 0.5;
-    this.forestRatio = 0.66;
-    this.desertRatio = 0.33;
-    this.snowRatio = 0.5;
+    /**
+     * @type {Array.<Number>} Seeds of the noise layers of the terrain.
+     */
+    this.seeds = this.terrain.seeds;
 
-    this.generateTerrain();
+    if (data) {
+      this.loadData(data);
+    } else {
+      this.seeds = this.terrain.drawSeeds(this.world.random);
+    }
   }
 
   /**
-   * @param callback {Function}
+   * @param data {Object} As saved by toJSON(), or a whole tilemap in 'data'
+   * as saved before there were chunks.
    */
-  foreach(callback) {
-    for (let i = 0; i < this.world.width; i++) {
-      for (let j = 0; j < this.world.height; j++) {
-        callback(i, j, this.data[i][j]);
-      }
+  loadData(data) {
+    if (data.data) {
+      this.loadTiles(data.data);
+      return;
     }
-  }
-
-  generateTerrain() {
-    this.generateNoise(this.heightmap, this.world.width,
-      this.world.height, this.frequency);
-
-    this.islandMask1 = this.generateIslandMask(this.world.width,
-      this.world.height, -32, -32, -31, -31);
-    this.islandMask2 = this.generateIslandMask(this.world.width,
-      this.world.height, 44, 44, 45, 45);
-    this.islandMask3 = this.generateIslandMask(this.world.width,
-      this.world.height, 102, 102, 103, 103);
 
-    this.blendMasks(this.heightmap,
-      [this.islandMask1, this.islandMask2, this.islandMask3]);
-
-    this.generateNoise(this.moisture, this.world.width,
-      this.world.height, this.frequency);
-
-    this.generateTileMap(this.data, this.heightmap, this.moisture);
+    this.seeds = this.terrain.seeds = data.seeds;
+    Object.keys(data.chunks).forEach((key) => {
+      this.stored.set(key, new Uint8Array(Buffer.from(data.chunks[key],
+        'base64')));
+    });
+    data.populated.forEach((key) => this.populated.add(key));
   }
 
   /**
-   * @return {Array<Array<Number>>}
+   * Splits a whole saved tilemap into chunks, as if they had all been
+   * changed and planted already.
+   * @private
+   * @param tiles {Array.<Array.<Number>>} Indexed [x][y].
    */
-  getData() {
-    return this.data;
+  loadTiles(tiles) {
+    this.forEachChunk(0, 0, Infinity, Infinity, (cx, cy) => {
+      const chunk = this.emptyChunk(cx, cy);
+      for (let i = 0; i < chunk.width; i++) {
+        for (let j = 0; j < chunk.height; j++) {
+          chunk.tiles[i * chunk.height + j] = tiles[chunk.x + i][chunk.y + j];
+        }
+      }
+
+      const key = Tilemap.key(cx, cy);
+      this.stored.set(key, chunk.tiles);
+      this.populated.add(key);
+    });
   }
 
   /**
@@ -106,7 +124,8 @@ class Tilemap {
    * @return {Number}
    */
   getTileAt(x, y) {
-    return this.data[x][y];
+    const chunk = this.chunkAt(x, y);
+    return chunk.tiles[(x - chunk.x) * chunk.height + y - chunk.y];
   }
 
   /**
@@ -116,7 +135,7 @@ class Tilemap {
    * @return {boolean}
    */
   checkPassage(x, y, bit) {
-    let tile = this.data[x][y];
+    let tile = this.getTileAt(x, y);
 
     return TileData[tile] === 0;
   }
@@ -127,186 +146,240 @@ class Tilemap {
    * @param tileId {Number}
    */
   setTile(x, y, tileId) {
-    this.data[x][y] = tileId;
+    const chunk = this.chunkAt(x, y);
+    chunk.tiles[(x - chunk.x) * chunk.height + y - chunk.y] = tileId;
+    chunk.changed = true;
   }
 
-  /** OLD - uses elevation only and returns only 3 biomes
-   * Returns the type of terrain that corresponds to the
-   * given parameters
-   * @param e The 2D array that represents the elevation
-   * @param m The 2D array that represents the moisture
-   * @returns {number} an integer that corresponds to a specific tile type
+  /**
+   * Every tile, which generates the whole world. Only meant for small ones.
+   * @return {Array<Array<Number>>} Indexed [x][y].
    */
-  getBiomeType(e, m) {
-    if (e < this.waterMax) {
-      return 3; // water
-    }
-    if (e < this.sandMax) {
-      return 1; // sand
-    }
-    if (e < this.grassMax) {
-      return 0; // grass
-    }
-    if (e <= this.stoneMax) {
-      return 2;
+  getData() {
+    const data = [];
+    for (let x = 0; x < this.width; x++) {
+      data[x] = [];
+      for (let y = 0; y < this.height; y++) {
+        data[x][y] = this.getTileAt(x, y);
+      }
     }
+    return data;
   }
 
   /**
-   * Returns the type of terrain that corresponds to the
-   * given parameters
-   * @param e The 2D array that represents the elevation
-   * @param m The 2D array that represents the moisture
-   * @returns {number} an integer that corresponds to a specific tile type
+   * @param x {Number}
+   * @param y {Number}
+   * @return {Object} The loaded chunk of a tile.
    */
-   getBiomeTypeBetter(e, m) {
-    if (e < this.waterMax) {
-      if (m < this.iceRatio) {
-        return 8; // ice
-      }
-      return 3; // water
-    }
-    if (e < this.sandMax) {
-      if (m < this.beachRatio) {
-        return 1; // sand
-      }
-      return 0; // grass
-    }
-    if (e < this.grassMax) {
-      if (m < this.desertRatio) {
-        return 7; // desert
-      }
-      if (m < this.forestRatio) {
-        return 5; // forest
-      }
-      return 0; // grass
-    }
-    // if (e <= this.stoneMax) {
-    if (m < this.snowRatio) {
-      return 6; // snow
-    }
-    return 2; // stone
-    // }
+  chunkAt(x, y) {
+    return this.loadChunk(Math.floor(x / this.chunkSize),
+      Math.floor(y / this.chunkSize));
   }
 
   /**
-   * Returns a 2D array of a circular gradient
-   * @param width The width of the 2D array
-   * @param height The height of the 2D array
-   * @param x1 The min range for the x position of the gradient
-   * @param y1 The min range for the y position of the gradient
-   * @param x2 The max range for the x position of the gradient
-   * @param y2 The max range for the y position of the gradient
+   * @param cx {Number}
+   * @param cy {Number}
+   * @return {Object} The chunk, loaded from what was stored or generated.
    */
-  generateIslandMask(width, height, x1, y1, x2, y2) {
-    let maskArray = [];
-    for (let i = 0; i < height; i++) {
-      maskArray[i] = [];
+  loadChunk(cx, cy) {
+    const key = Tilemap.key(cx, cy);
+    let chunk = this.chunks.get(key);
+
+    if (!chunk) {
+      chunk = this.emptyChunk(cx, cy);
+      chunk.changed = this.stored.has(key);
+      chunk.tiles = chunk.changed ? this.stored.get(key) :
+        this.generateChunk(chunk);
+
+      this.stored.delete(key);
+      this.chunks.set(key, chunk);
     }
 
-    let centerX = x1 + Math.floor((Math.random() * ((x2 - x1) + 1)));
-    let centerY = y1 + Math.floor((Math.random() * ((y2 - y1) + 1)));
+    return chunk;
+  }
 
-    for (let i = 0; i < width; i++) {
-      for (let j = 0; j < height; j++) {
-        let distX = (centerX - i) * (centerX - i);
-        let distY = (centerY - j) * (centerY - j);
-        let distToCenter = Math.sqrt(distX + distY);
-        distToCenter /= width;
-        maskArray[i][j] = distToCenter;
-      }
+  /**
+   * The tiles of a chunk without loading it.
+   * @param cx {Number}
+   * @param cy {Number}
+   * @return {Array.<Array.<Number>>} Indexed [x][y] from its first tile.
+   */
+  readChunk(cx, cy) {
+    const key = Tilemap.key(cx, cy);
+    const chunk = this.chunks.get(key) || this.emptyChunk(cx, cy);
+    const tiles = this.chunks.has(key) ? chunk.tiles :
+      this.stored.get(key) || this.generateChunk(chunk);
+
+    const data = [];
+    for (let i = 0; i < chunk.width; i++) {
+      data[i] = Array.from(tiles.subarray(i * chunk.height,
+        (i + 1) * chunk.height));
     }
-    return maskArray;
+    return data;
   }
 
-  blendMasks(arr, masks) {
-    let blendMap = [];
-    for (let i = 0; i < arr[0].length; i++) {
-      blendMap[i] = [];
-    }
-    let blendMapMax = -10;
-    let blendMapMin = 10;
-    for (let i = 0; i < arr.length; i++) {
-      for (let j = 0; j < arr[i].length; j++) {
-        let blendValue = 1;
-        for (let n = 0; n < masks.length; n++) {
-          blendValue *= masks[n][i][j];
-        }
-        if (blendValue > blendMapMax) {
-          blendMapMax = blendValue;
-        }
-        if (blendValue < blendMapMin) {
-          blendMapMin = blendValue;
+  /**
+   * Unloads the chunks that are not needed, changed ones are stored.
+   * @param needed {Set<String>} Keys of the chunks to keep.
+   * @return {Number} How many were unloaded.
+   */
+  unloadExcept(needed) {
+    let count = 0;
+
+    this.chunks.forEach((chunk, key) => {
+      if (!needed.has(key)) {
+        if (chunk.changed) {
+          this.stored.set(key, chunk.tiles);
         }
-        blendMap[i][j] = blendValue;
+        this.chunks.delete(key);
+        count++;
       }
-    }
+    });
 
-    for (let i = 0; i < blendMap.length; i++) {
-      for (let j = 0; j < blendMap[i].length; j++) {
-        blendMap[i][j] = (blendMap[i][j] - blendMapMin) /
-          (blendMapMax - blendMapMin);
-      }
-    }
+    return count;
+  }
 
-    for (let i = 0; i < arr.length; i++) {
-      for (let j = 0; j < arr[i].length; j++) {
-        arr[i][j] -= blendMap[i][j];
-      }
-    }
+  /**
+   * @param x {Number} In tiles.
+   * @param y {Number}
+   * @param range {Number} In chunks.
+   * @return {Array.<{cx: Number, cy: Number, key: String}>} The chunks in the
+   * world up to the range away from the chunk of the position, in both
+   * directions.
+   */
+  chunksAround(x, y, range) {
+    const centerX = Math.floor(x / this.chunkSize);
+    const centerY = Math.floor(y / this.chunkSize);
+
+    const chunks = [];
+    this.forEachChunk(centerX - range, centerY - range, centerX + range,
+      centerY + range, (cx, cy) => {
+        chunks.push({cx: cx, cy: cy, key: Tilemap.key(cx, cy)});
+      });
+    return chunks;
   }
 
   /**
-   * Returns the type of terrain that corresponds to the
-   * given parameters
-   * @param arr The 2D array to fill
-   * @param width The width of the 2D array
-   * @param height The height of the 2D array
+   * Calls back with the tiles of the chunks, without loading them.
+   * @param keys {Iterable<String>} See Tilemap.key().
+   * @param callback {function(Number, Number, Number)} Gets x, y and the tile.
    */
-  generateNoise(arr, width, height) {
-    noise.seed(Math.random());
-    let freq = 2.2;
-
-    for (let i = 0; i < width; i++) {
-      for (let j = 0; j < height; j++) {
-        let nx = i / this.world.width - 0.5;
-        let ny = j / this.world.height - 0.5;
-        arr[i][j] = noise.perlin2(freq * nx, freq * ny)
-          + freq / 2 * noise.perlin2(freq * 2 * nx, freq * 2 * ny)
-          + freq / 4 * noise.perlin2(freq * 4 + nx, freq * 4 + ny);
-        arr[i][j] = (arr[i][j] + 1) / 2;
-      }
-    }
+  foreachIn(keys, callback) {
+    keys.forEach((key) => {
+      const pos = key.split(',');
+      const x = +pos[0] * this.chunkSize;
+      const y = +pos[1] * this.chunkSize;
+
+      this.readChunk(+pos[0], +pos[1]).forEach((column, i) => {
+        column.forEach((tile, j) => callback(x + i, y + j, tile));
+      });
+    });
+  }
+
+  /**
+   * @return {{loaded: Number, stored: Number, populated: Number}}
+   */
+  countChunks() {
+    return {
+      loaded: this.chunks.size,
+      stored: this.stored.size,
+      populated: this.populated.size,
+    };
   }
 
   /**
-   * Creates the tilemap of the game world based on different
-   * layers of noise
-   * @param tilemap The 2D array to generate tiles in
-   * @param heightmap A 2D array of noise representing elevation
-   * @param moisture
+   * @private
+   * @param minX {Number} First chunk, inclusive.
+   * @param minY {Number}
+   * @param maxX {Number} Last chunk, inclusive.
+   * @param maxY {Number}
+   * @param callback {function(Number, Number)} Gets the position of each of
+   * these chunks that is in the world.
    */
-  generateTileMap(tilemap, heightmap, moisture) {
-    for (let i = 0; i < tilemap.length; i++) {
-      for (let j = 0; j < tilemap.length; j++) {
-        let e = heightmap[i][j];
-        let m = moisture[i][j];
-        let tileType = this.getBiomeTypeBetter(e, m);
-        tilemap[i][j] = tileType;
+  forEachChunk(minX, minY, maxX, maxY, callback) {
+    maxX = Math.min(maxX, Math.ceil(this.width / this.chunkSize) - 1);
+    maxY = Math.min(maxY, Math.ceil(this.height / this.chunkSize) - 1);
+
+    for (let cx = Math.max(0, minX); cx <= maxX; cx++) {
+      for (let cy = Math.max(0, minY); cy <= maxY; cy++) {
+        callback(cx, cy);
       }
     }
   }
 
-  serialize() {
-    let str = `${this.width} ${this.height} `;
+  /**
+   * @private
+   * @param cx {Number}
+   * @param cy {Number}
+   * @return {Object} A chunk without tiles, cut off at the edge of the world.
+   */
+  emptyChunk(cx, cy) {
+    const x = cx * this.chunkSize;
+    const y = cy * this.chunkSize;
+    const width = Math.min(this.chunkSize, this.width - x);
+    const height = Math.min(this.chunkSize, this.height - y);
+
+    return {
+      cx: cx,
+      cy: cy,
+      x: x,
+      y: y,
+      width: width,
+      height: height,
+      tiles: new Uint8Array(width * height),
+      changed: false,
+    };
+  }
 
-    for (let i = 0; i < this.width; i++) {
-      for (let j = 0; j < this.height; j++) {
-        str += `${this.data[i][j]} `;
+  /**
+   * Generates the tiles of a chunk, only from its position and the seeds.
+   * @private
+   * @param chunk {Object}
+   * @return {Uint8Array}
+   */
+  generateChunk(chunk) {
+    return this.terrain.generate(chunk.x, chunk.y, chunk.width, chunk.height);
+  }
+
+  /**
+   * @return {Object} The terrain passes, the seeds and the chunks that are
+   * not as generated, in a stable order.
+   */
+  toJSON() {
+    const chunks = {};
+    this.stored.forEach((tiles, key) => {
+      chunks[key] = tiles;
+    });
+    this.chunks.forEach((chunk, key) => {
+      if (chunk.changed) {
+        chunks[key] = chunk.tiles;
       }
-    }
+    });
+
+    const encoded = {};
+    Object.keys(chunks).sort().forEach((key) => {
+      encoded[key] = Buffer.from(chunks[key].buffer, chunks[key].byteOffset,
+        chunks[key].byteLength).toString('base64');
+    });
+
+    return {
+      width: this.width,
+      height: this.height,
+      chunkSize: this.chunkSize,
+      terrain: this.terrain.passes,
+      seeds: this.seeds,
+      chunks: encoded,
+      populated: Array.from(this.populated),
+    };
+  }
 
-    return str;
+  /**
+   * @param cx {Number}
+   * @param cy {Number}
+   * @return {String} Key of a chunk, e.g. '3,-1'.
+   */
+  static key(cx, cy) {
+    return `${cx},${cy}`;
   }
 }
 
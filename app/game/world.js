@@ -1,21 +1,22 @@
 'use strict';
 
-const path = require('path');
-const fs = require('fs');
-
 const EventEmitter = require('events');
 
-const util = require('../util.js');
+const Random = require('../random.js');
 
 const Tilemap = require('./tilemap.js');
 const ObjectContainer = require('./object_container.js');
+const InterestManager = require('../network/interest.js');
+const WorldStorage = require('./storage.js');
+const SessionStore = require('./session_store.js');
+const BanList = require('./ban_list.js');
 
 const Player = require('../objects/player.js');
 const Chest = require('../objects/chest.js');
 const DualChest = require('../objects/dual_chest.js');
 const Tree = require('../objects/tree.js');
 
-const {Tiles, WorldConfig} = require('../../shared/constant.js');
+const {Tiles, WorldConfig, ServerConfig} = require('../../shared/constant.js');
 const logger = require('../logger.js');
 
 /**
@@ -25,28 +26,38 @@ const logger = require('../logger.js');
  */
 class World {
   /**
-   * @param server{Server}
-   * @param filename {String=}
+   * @param server{Room} What the world broadcasts through, see Room.
+   * @param worldSettings {Object=}
+   * @param worldSettings.filename {String=} Name of the world under 'data/'.
+   * @param worldSettings.seed {Number|String=} Seed for generating a new world.
+   * @param worldSettings.width {Number=} Of a new world, in tiles,
+   * WorldConfig.WIDTH if omitted.
+   * @param worldSettings.height {Number=} Of a new world, in tiles,
+   * WorldConfig.HEIGHT if omitted.
+   * @param worldSettings.terrain {String|Array.<Object>=} Terrain pipeline of
+   * a new world, TerrainConfig.PIPELINE if omitted, see TerrainGenerator.
+   * @param worldSettings.data {Object=} A world as saved by toJSON() to start
+   * from instead, it is never saved.
    */
-  constructor(server, filename) {
+  constructor(server, worldSettings = {}) {
     this.setupEventEmitter();
 
     /**
-     * @type {Server}
+     * @type {Room}
      */
     this.server = server;
 
     /**
      * @constant
-     * @type {Number} World width.
+     * @type {Number} World width, a saved world keeps its own.
      */
-    this.width = WorldConfig.WIDTH;
+    this.width = worldSettings.width || WorldConfig.WIDTH;
 
     /**
      * @constant
-     * @type {Number} World height.
+     * @type {Number} World height, a saved world keeps its own.
      */
-    this.height = WorldConfig.HEIGHT;
+    this.height = worldSettings.height || WorldConfig.HEIGHT;
 
     /**
      * @type {Number} Counter for game ticks since game clock tarted.
@@ -58,6 +69,21 @@ class World {
      */
     this.players = new Map();
 
+    /**
+     * @type {Number} The last id given to a player, never reused.
+     */
+    this.lastPlayerId = 0;
+
+    /**
+     * @type {SessionStore} Players who may come back, and their state.
+     */
+    this.sessions = new SessionStore(this, ServerConfig.SESSION_GRACE_PERIOD);
+
+    /**
+     * @type {BanList} Players not allowed to join any more.
+     */
+    this.bans = new BanList();
+
     /**
      * @type {ObjectContainer}
      */
@@ -69,10 +95,24 @@ class World {
      */
     this.tilemap = null;
 
+    /**
+     * Key: player id
+     * @type {Map<Number, String>} The chunk each player was in at the last
+     * step, see Tilemap.key().
+     */
+    this.playerChunks = new Map();
+
+    /**
+     * @type {Number} Trees regrow after the rain up to this many, the trees
+     * planted in the chunks so far.
+     */
+    this.maxTreeNumber = 0;
+
     /**
      * @type {World.WEATHER|number}
      */
     this.currentWeather = World.WEATHER.DRY;
+    this.lastWeather = World.WEATHER.DRY;
     this.weatherCount = 0;
     this.weatherDuration = WorldConfig.WEATHER_DURATION;
 
@@ -80,7 +120,41 @@ class World {
 
     this.treeGenChance = WorldConfig.TREE_GEN_SPEED;
 
-    this.initWorldData(filename);
+    /**
+     * @type {Array.<Object>} Journal entries not yet written to disk.
+     */
+    this.journal = [];
+
+    /**
+     * @type {Array.<Object>} Journal entries on disk, kept until a save
+     * covers them.
+     */
+    this.journalOnDisk = [];
+
+    /**
+     * @type {Number} Sequence number of the last journal entry.
+     */
+    this.journalSeq = 0;
+
+    /**
+     * @type {boolean} Changes are only journaled once the world is set up.
+     */
+    this.journaling = false;
+
+    this.isSaving = false;
+
+    /**
+     * @type {Random} Every random decision about the world is drawn from here.
+     */
+    this.random = null;
+
+    if (worldSettings.data) {
+      this.storage = null;
+      this.loadWorldData(worldSettings.data);
+    } else {
+      this.initWorldData(worldSettings.filename, worldSettings.seed,
+        worldSettings.terrain);
+    }
 
     this.on('objectRemoval', (obj) => {
       this.removeObject(obj);
@@ -93,15 +167,290 @@ class World {
 
   /**
    * Initialized the game world either by existing data or generate new.
-   * @param filename {String=}
-   * @return {boolean}
+   * @param filename {String=} Name of the world under 'data/'. Without one the
+   * world is generated and never saved.
+   * @param seed {Number|String=} Only used when a new world is generated.
+   * @param terrain {String|Array.<Object>=} Only used when a new world is
+   * generated, see Tilemap.
+   * @return {boolean} true if the world was loaded from existing data.
    */
-  initWorldData(filename = null) {
-    logger.info('Creating new Tilemap...');
+  initWorldData(filename = null, seed = null, terrain = undefined) {
+    /**
+     * @type {WorldStorage}
+     */
+    this.storage = filename ? new WorldStorage(filename) : null;
+
+    if (this.storage && this.storage.exists()) {
+      logger.info(`Loading world from ${this.storage.filename}...`);
 
-    this.tilemap = new Tilemap(this);
-    this.initializeTrees();
+      this.loadWorldData(this.storage.loadSync());
+      this.replayJournal(this.storage.readJournal());
+      this.startJournal();
+      return true;
+    }
+
+    this.random = new Random(seed);
+
+    logger.info(`Creating new Tilemap with seed ${this.random.seed}...`);
+
+    this.tilemap = new Tilemap(this, null, terrain);
     this.initializeChests();
+
+    if (this.storage) {
+      this.startJournal();
+      logger.info(`New world saved to ${this.storage.filename}.`);
+    }
+
+    return false;
+  }
+
+  /**
+   * Saves the current state, which makes the old journal obsolete, and starts
+   * journaling from there.
+   * @private
+   */
+  startJournal() {
+    this.storage.saveSync(this.toJSON());
+    this.storage.rewriteJournal([]);
+    this.storage.openJournal();
+
+    this.journaling = true;
+  }
+
+  /**
+   * Applies the journal entries that the loaded save does not cover.
+   * @private
+   * @param entries {Array.<Object>}
+   */
+  replayJournal(entries) {
+    let count = 0;
+
+    entries.forEach((entry) => {
+      if (entry.n > this.journalSeq) {
+        this.applyJournalEntry(entry);
+        this.journalSeq = entry.n;
+        count++;
+      }
+    });
+
+    logger.info(`Replayed ${count} journal entries.`);
+  }
+
+  /**
+   * @private
+   * @param entry {Object} See record().
+   */
+  applyJournalEntry(entry) {
+    let existing;
+
+    switch (entry.e) {
+      case World.JOURNAL.TILE:
+        this.tilemap.setTile(entry.x, entry.y, entry.t);
+        break;
+      case World.JOURNAL.REMOVE:
+        existing = this.objectContainer.colliding(entry.x, entry.y);
+        if (existing) {
+          this.objectContainer.remove(existing);
+        }
+        break;
+      case World.JOURNAL.OBJECT:
+        existing = this.objectContainer.colliding(entry.o.x, entry.o.y);
+        if (existing && existing.type === entry.o.type) {
+          existing.loadData(entry.o);
+        } else {
+          if (existing) {
+            this.objectContainer.remove(existing);
+          }
+          this.restoreObject(entry.o);
+        }
+        break;
+      case World.JOURNAL.PLAYER:
+        this.sessions.loadRecord(entry.p);
+        break;
+      case World.JOURNAL.END:
+        this.sessions.end(entry.t);
+        break;
+      case World.JOURNAL.CHUNK:
+        this.tilemap.populated.add(entry.k);
+        this.maxTreeNumber += entry.c;
+        break;
+      default:
+        logger.error(`Unknown journal entry ${entry.e}`);
+    }
+  }
+
+  /**
+   * Journal a change, so it survives a crash before the next save.
+   * @param event {String} World.JOURNAL
+   * @param data {Object}
+   */
+  record(event, data) {
+    if (!this.journaling) {
+      return;
+    }
+
+    data.n = ++this.journalSeq;
+    data.e = event;
+
+    this.journal.push(data);
+  }
+
+  /**
+   * Journal the current state of an object that was spawned or changed.
+   * @param object {GameObject}
+   */
+  recordObject(object) {
+    this.record(World.JOURNAL.OBJECT, {o: object.toJSON()});
+  }
+
+  /**
+   * Write out the journal entries of this tick.
+   */
+  flushJournal() {
+    if (this.journal.length === 0) {
+      return;
+    }
+
+    try {
+      this.storage.appendJournal(this.journal);
+    } catch (err) {
+      logger.error(`Failed to write journal: ${err.message}`);
+      return;
+    }
+
+    Array.prototype.push.apply(this.journalOnDisk, this.journal);
+    this.journal = [];
+  }
+
+  /**
+   * Restores the world from data produced by toJSON().
+   * @param data {Object}
+   */
+  loadWorldData(data) {
+    // Version 1 has the whole tilemap, which is split into chunks.
+    if (data.version !== World.SAVE_VERSION && data.version !== 1) {
+      throw new Error(`Unsupported world save version ${data.version}`);
+    }
+
+    this.width = data.tilemap.width;
+    this.height = data.tilemap.height;
+    this.objectContainer = new ObjectContainer(this);
+    this.tilemap = new Tilemap(this, data.tilemap);
+
+    this.random = new Random(data.seed);
+
+    this.stepCount = data.stepCount;
+    this.maxTreeNumber = data.maxTreeNumber;
+    this.journalSeq = data.journalSeq || 0;
+    this.lastPlayerId = data.lastPlayerId || 0;
+    this.sessions.loadData(data.players || []);
+    this.bans.loadData(data.bans || []);
+
+    this.currentWeather = data.weather.current;
+    this.lastWeather = data.weather.last;
+    this.weatherCount = data.weather.count;
+
+    this.chestObjects = [];
+    data.objects.forEach((obj) => {
+      this.restoreObject(obj);
+    });
+
+    // Objects draw from it when they are created, undo that.
+    this.random.state = data.randomState;
+
+    logger.info(`Loaded ${this.objectContainer.tree.size} objects.`);
+  }
+
+  /**
+   * @private
+   * @param data {Object} Saved object data, see GameObject.toJSON().
+   * @return {GameObject}
+   */
+  restoreObject(data) {
+    let object;
+    switch (data.type) {
+      case 'tree':
+        object = new Tree(this, data.x, data.y);
+        break;
+      case 'chest':
+        if (data.dual) {
+          object = new DualChest(this, data.x, data.y);
+        } else {
+          object = new Chest(this, data.x, data.y, data.canRespawn);
+        }
+        this.chestObjects.push(object);
+        break;
+      default:
+        logger.error(`Unknown saved object type ${data.type}`);
+        return null;
+    }
+
+    object.loadData(data);
+    return this.objectContainer.add(object);
+  }
+
+  /**
+   * Writes the world to its file under 'data/', if it has one.
+   * @param callback {Function=} Called with an error, if any.
+   */
+  save(callback = () => {}) {
+    if (!this.storage) {
+      return callback(null);
+    }
+
+    if (this.isSaving) {
+      this.once('saved', () => {
+        this.save(callback);
+      });
+      return;
+    }
+
+    this.flushJournal();
+    this.sessions.prune();
+
+    const seq = this.journalSeq;
+    this.isSaving = true;
+
+    this.storage.save(this.toJSON(), (err) => {
+      this.isSaving = false;
+
+      if (!err) {
+        // Only keep what happened while the file was being written.
+        this.journalOnDisk = this.journalOnDisk.filter((entry) => {
+          return entry.n > seq;
+        });
+        this.storage.rewriteJournal(this.journalOnDisk);
+
+        logger.info(`World saved to ${this.storage.filename}.`);
+      }
+
+      this.emit('saved', err);
+      callback(err);
+    });
+  }
+
+  /**
+   * @return {Object} Everything needed to restore this world.
+   */
+  toJSON() {
+    return {
+      version: World.SAVE_VERSION,
+      seed: this.random.seed,
+      randomState: this.random.state,
+      stepCount: this.stepCount,
+      maxTreeNumber: this.maxTreeNumber,
+      journalSeq: this.journalSeq,
+      lastPlayerId: this.lastPlayerId,
+      weather: {
+        current: this.currentWeather,
+        last: this.lastWeather,
+        count: this.weatherCount,
+      },
+      tilemap: this.tilemap.toJSON(),
+      objects: this.objectContainer.toJSON(),
+      players: this.sessions.toJSON(),
+      bans: this.bans.toJSON(),
+    };
   }
 
   /**
@@ -129,14 +478,7 @@ class World {
   onPlayerSpawn() {
     let chest = this.spawnChest(false, false);
 
-    this.server.io.emit('spawnChests', [
-      {
-        x: chest._x,
-        y: chest._y,
-        state: chest.state,
-        playerRequired: chest.playerRequired,
-      },
-    ]);
+    this.server.emitObjects('spawnChests', [chest.serialize()]);
 
     logger.data(`a chest spawned at (${chest._x},${chest._y}).`);
   }
@@ -157,32 +499,95 @@ class World {
   }
 
   /**
-   * Spawns trees around the world based on a given tilemap.
-   * Will spawn trees on grass tiles only.
+   * Loads the chunks around a position, planting the trees of those that are
+   * new. Unloaded chunks come back as they were.
+   * @param x {Number}
+   * @param y {Number}
+   * @param range {Number=} In chunks, by default the chunks clients may be
+   * sent around their player and one more.
    */
-  initializeTrees() {
+  loadChunksAround(x, y, range = this.chunkRange() + 1) {
+    this.tilemap.chunksAround(x, y, range).forEach((pos) => {
+      const chunk = this.tilemap.loadChunk(pos.cx, pos.cy);
+      if (!this.tilemap.populated.has(pos.key)) {
+        this.populateChunk(chunk, pos.key);
+      }
+    });
+  }
+
+  /**
+   * @return {Number} How many chunks around their own the clients are sent,
+   * enough to cover ServerConfig.INTEREST_RADIUS with one chunk to spare.
+   */
+  chunkRange() {
+    return Math.ceil(ServerConfig.INTEREST_RADIUS / this.tilemap.chunkSize) +
+      1;
+  }
+
+  /**
+   * Spawns trees on the forest and grass tiles of a chunk the first time it
+   * is loaded.
+   * @private
+   * @param chunk {Object} See Tilemap.
+   * @param key {String}
+   */
+  populateChunk(chunk, key) {
     let count = 0;
-    for (let x = 0; x < this.width; x++) {
-      for (let y = 0; y < this.height; y++) {
+    for (let x = chunk.x; x < chunk.x + chunk.width; x++) {
+      for (let y = chunk.y; y < chunk.y + chunk.height; y++) {
         let tileType = this.tilemap.getTileAt(x, y);
-        if (tileType === Tiles.FOREST) { // forest
-          if (Math.random() < 0.8) {
-            // Set the object type as a tree
-            let tree = new Tree(this, x, y);
-            count++;
-            this.objectContainer.add(tree);
-          }
+        let chance = 0;
+        if (tileType === Tiles.FOREST) {
+          chance = 0.8;
         } else if (tileType === Tiles.GRASS) {
-          if (Math.random() < 0.025) {
-            let tree = new Tree(this, x, y);
-            count++;
-            this.objectContainer.add(tree);
-          }
+          chance = 0.025;
+        }
+
+        if (this.random.frac() < chance &&
+            !this.objectContainer.colliding(x, y) &&
+            this.getPlayersAt(x, y).length === 0) {
+          let tree = new Tree(this, x, y);
+          count++;
+          this.objectContainer.add(tree);
+          this.recordObject(tree);
         }
       }
     }
 
-    this.maxTreeNumber = count;
+    this.tilemap.populated.add(key);
+    this.maxTreeNumber += count;
+    this.record(World.JOURNAL.CHUNK, {k: key, c: count});
+  }
+
+  /**
+   * Loads the chunks around players who moved to another chunk, and now and
+   * then unloads the chunks nobody is near.
+   * @private
+   */
+  updateChunks() {
+    this.players.forEach((player) => {
+      const key = Tilemap.key(
+        Math.floor(player._x / this.tilemap.chunkSize),
+        Math.floor(player._y / this.tilemap.chunkSize));
+
+      if (this.playerChunks.get(player.id) !== key) {
+        this.playerChunks.set(player.id, key);
+        this.loadChunksAround(player._x, player._y);
+      }
+    });
+
+    if (this.stepCount % World.UNLOAD_INTERVAL === 0) {
+      const needed = new Set();
+      this.players.forEach((player) => {
+        this.tilemap.chunksAround(player._x, player._y, this.chunkRange() + 2)
+          .forEach((pos) => needed.add(pos.key));
+      });
+
+      const count = this.tilemap.unloadExcept(needed);
+      if (count > 0) {
+        logger.debug(`Unloaded ${count} chunks.`);
+      }
+    }
   }
 
   /**
@@ -191,27 +596,20 @@ class World {
    * @return {Chest}
    */
   spawnChest(normal = true, canSpawn = false) {
-    let newX;
-    let newY;
-
-    let success;
-    do {
-      newX = Math.floor(Math.random() * this.width);
-      newY = Math.floor(Math.random() * this.height);
-
-      success = this.isPassable(newX, newY, 2) &&
-        this.getPlayersAt(newX, newY).length === 0;
-    } while (!success);
+    const pos = this.randomTile((x, y) => {
+      return this.isPassable(x, y, 2) && this.getPlayersAt(x, y).length === 0;
+    });
 
     let chest;
     if (normal) {
-      chest = new Chest(this, newX, newY, canSpawn);
+      chest = new Chest(this, pos.x, pos.y, canSpawn);
     } else {
-      chest = new DualChest(this, newX, newY, canSpawn);
+      chest = new DualChest(this, pos.x, pos.y, canSpawn);
     }
 
     this.chestObjects.push(chest);
     this.objectContainer.add(chest);
+    this.recordObject(chest);
 
     return chest;
   }
@@ -224,6 +622,7 @@ class World {
     let tree = new Tree(this, x, y);
 
     this.objectContainer.add(tree);
+    this.recordObject(tree);
 
     this.outgoingBuffer.push({
       x: x,
@@ -247,6 +646,24 @@ class World {
     return arr;
   }
 
+  /**
+   * @param x {Number}
+   * @param y {Number}
+   * @param range {Number} Distance in tiles.
+   * @return {Array.<Player>}
+   */
+  getPlayersInRange(x, y, range) {
+    let arr = [];
+    this.players.forEach((player) => {
+      const dx = player._x - x;
+      const dy = player._y - y;
+      if (dx * dx + dy * dy <= range * range) {
+        arr.push(player);
+      }
+    });
+    return arr;
+  }
+
   /**
    * @param x {Number}
    * @param y {Number}
@@ -258,6 +675,139 @@ class World {
     return this.players.set(playerId, player);
   }
 
+  /**
+   * @return {Number} An id no player had before.
+   */
+  nextPlayerId() {
+    return ++this.lastPlayerId;
+  }
+
+  /**
+   * @return {{x: Number, y: Number}} A random tile a player can stand on.
+   */
+  findSpawnPosition() {
+    return this.randomTile((x, y) => this.isPassable(x, y, 2));
+  }
+
+  /**
+   * A random tile of the chunks the players are sent, which are in memory,
+   * so that placing something does not generate terrain nobody is near. Only
+   * without players, or when none of these chunks has a suitable tile after
+   * World.RANDOM_TILE_TRIES, a random chunk of the world is tried.
+   * @param accept {function(Number, Number): boolean} Whether a tile is
+   * suitable.
+   * @return {{x: Number, y: Number}}
+   */
+  randomTile(accept) {
+    const size = this.tilemap.chunkSize;
+    const chunks = [];
+    this.players.forEach((player) => {
+      Array.prototype.push.apply(chunks, this.tilemap.chunksAround(player._x,
+        player._y, this.chunkRange()));
+    });
+
+    for (let tries = 0; ; tries++) {
+      if (chunks.length === 0 || tries === World.RANDOM_TILE_TRIES) {
+        chunks.push({
+          cx: this.random.integerInRange(0, Math.ceil(this.width / size) - 1),
+          cy: this.random.integerInRange(0, Math.ceil(this.height / size) - 1),
+        });
+        tries = 0;
+      }
+
+      const pos = chunks[this.random.integerInRange(0, chunks.length - 1)];
+      const x = pos.cx * size + this.random.integerInRange(0,
+        Math.min(size, this.width - pos.cx * size) - 1);
+      const y = pos.cy * size + this.random.integerInRange(0,
+        Math.min(size, this.height - pos.cy * size) - 1);
+      if (accept(x, y)) {
+        return {x: x, y: y};
+      }
+    }
+  }
+
+  /**
+   * Adds the player of a session to the world. A returning player is put back
+   * where they left, unless that spot is blocked by now.
+   * @param session {Object} See SessionStore.
+   * @return {Player}
+   */
+  spawnPlayer(session) {
+    let pos = {x: session.x, y: session.y};
+
+    if (session.x === undefined || !this.isValidTile(pos.x, pos.y) ||
+        !this.isPassable(pos.x, pos.y, 2)) {
+      pos = this.findSpawnPosition();
+    }
+
+    this.addPlayer(pos.x, pos.y, session.playerId);
+    this.loadChunksAround(pos.x, pos.y);
+
+    const player = this.players.get(session.playerId);
+    if (session.d !== undefined) {
+      player.setDirection(session.d);
+    }
+    if (session.inventory) {
+      player.inventory = session.inventory.slice();
+    }
+
+    return player;
+  }
+
+  /**
+   * Removes the player and remembers their state for the session.
+   * @param token {String} Session token
+   * @param playerId {Number}
+   */
+  leavePlayer(token, playerId) {
+    const player = this.players.get(playerId);
+
+    if (player) {
+      const record = this.sessions.suspend(token, player);
+      if (record) {
+        this.record(World.JOURNAL.PLAYER, {p: Object.assign({}, record)});
+      }
+    }
+
+    return this.removePlayer(playerId);
+  }
+
+  /**
+   * Removes the player for good, they go on in another world.
+   * @param token {String} Session token, it cannot be resumed anymore.
+   * @param playerId {Number}
+   * @return {Object} The last state of the player, see SessionStore.
+   */
+  releasePlayer(token, playerId) {
+    const player = this.players.get(playerId);
+    const record = this.sessions.suspend(token, player);
+
+    this.sessions.end(token);
+    this.record(World.JOURNAL.END, {t: token});
+    this.removePlayer(playerId);
+
+    return record;
+  }
+
+  /**
+   * Takes in a player from another world, who keeps their id and inventory
+   * but starts at a new place.
+   * @param record {Object} As returned by releasePlayer().
+   * @return {Object} A new session to resume, see SessionStore.
+   */
+  adoptPlayer(record) {
+    const session = this.sessions.create(record.playerId);
+
+    session.inventory = record.inventory;
+    session.d = record.d;
+    session.online = false;
+    this.lastPlayerId = Math.max(this.lastPlayerId, record.playerId);
+
+    this.record(World.JOURNAL.PLAYER, {p: Object.assign({}, session)});
+
+    return session;
+  }
+
   /**
    * @param x {Number}
    * @param y {Number}
@@ -273,10 +823,11 @@ class World {
 
     if (this.tilemap.getTileAt(x, y) !== tileId) {
       this.tilemap.setTile(x, y, tileId);
+      this.record(World.JOURNAL.TILE, {x: x, y: y, t: tileId});
 
-      this.server.io.emit('worldUpdate', {
+      this.server.emitNear(x, y, 'worldUpdate', {
         tiles: [[x, y, tileId]],
-      });
+      }, InterestManager.SYNC.TILE, [x, y, tileId]);
 
       return true;
     }
@@ -313,6 +864,7 @@ class World {
    * @return {boolean}
    */
   removePlayer(playerId) {
+    this.playerChunks.delete(playerId);
     return this.players.delete(playerId);
   }
 
@@ -321,24 +873,19 @@ class World {
    */
   removeObject(object) {
     this.objectContainer.remove(object);
+    this.record(World.JOURNAL.REMOVE, {x: object._x, y: object._y});
 
     logger.data(`object removed, now has ${
       this.objectContainer.tree.size
     } objects. `);
 
-    this.server.io.emit('objectRemoval', {
+    this.server.interest.forget(object._x, object._y);
+    this.server.emitOnChunk(object._x, object._y, 'objectRemoval', {
       x: object._x,
       y: object._y,
     });
   }
 
-  /**
-   * @return {Array.<Array.<Number>>}
-   */
-  getTileMap() {
-    return this.tilemap.getData();
-  }
-
   /**
    * @deprecated
    * @return {Array.<Tree>}
@@ -367,48 +914,42 @@ class World {
       character.update();
     });
 
+    this.updateChunks();
+
     // update weather
     this.weatherCount += dt;
     if (this.weatherCount >= this.weatherDuration) {
-      this.weatherCount = 0;
-
-      this.lastWeather = this.currentWeather;
-      this.currentWeather = util.pick([
+      this.setWeather(this.random.pick([
         World.WEATHER.DRY,
         World.WEATHER.RAIN,
         World.WEATHER.BLIZZARD,
         World.WEATHER.SANDSTORM,
-      ]);
-
-      this.emit('weatherChange', this.currentWeather);
-
-      this.server.io.emit('weatherChange', this.currentWeather);
-      this.onWeatherChange();
-
-      logger.data(`World Weather has changed from ${
-        this.lastWeather
-        } to ${
-        this.currentWeather
-      }.`);
+      ]));
     }
 
     // emit buffer
     if (this.outgoingBuffer.length !== 0) {
-      this.server.io.emit('objectUpdate', this.outgoingBuffer);
+      this.server.emitObjects('objectUpdate', this.outgoingBuffer);
       this.outgoingBuffer.length = 0;
     }
+
+    this.flushJournal();
   }
 
   /**
-   * O(n^2 * 2 log n) algorithm.
+   * Only on the loaded chunks that were populated, those far from every
+   * player are not generated again for it.
    */
   spawnRandomTree() {
     let count = 0;
     const grassChance = this.treeGenChance / 1000;
     const forestChance = this.treeGenChance / 333;
+    const keys = Array.from(this.tilemap.chunks.keys()).filter((key) => {
+      return this.tilemap.populated.has(key);
+    });
 
-    this.tilemap.foreach((x, y, type)=> {
-      const rnd = Math.random();
+    this.tilemap.foreachIn(keys, (x, y, type)=> {
+      const rnd = this.random.frac();
       if (type === Tiles.GRASS) {
         if (rnd <= grassChance && !this.objectContainer.colliding(x, y) &&
           this.getPlayersAt(x, y).length === 0) {
@@ -431,6 +972,28 @@ class World {
       } and ${forestChance}.`);
   }
 
+  /**
+   * Changes the weather now, the next change is a full duration later.
+   * @param weather {Number} World.WEATHER
+   */
+  setWeather(weather) {
+    this.weatherCount = 0;
+
+    this.lastWeather = this.currentWeather;
+    this.currentWeather = weather;
+
+    this.emit('weatherChange', this.currentWeather);
+
+    this.server.io.emit('weatherChange', this.currentWeather);
+    this.onWeatherChange();
+
+    logger.data(`World Weather has changed from ${
+      this.lastWeather
+      } to ${
+      this.currentWeather
+    }.`);
+  }
+
   onWeatherChange() {
     if (this.lastWeather === World.WEATHER.RAIN &&
         this.currentWeather !== World.WEATHER.RAIN) {
@@ -461,4 +1024,38 @@ World.WEATHER = {
   SANDSTORM: 3,
 };
 
+/**
+ * @const
+ * @enum
+ * @type {{TILE: string, REMOVE: string, OBJECT: string, PLAYER: string,
+ * CHUNK: string, END: string}} Journal entry types.
+ */
+World.JOURNAL = {
+  TILE: 'tile',
+  REMOVE: 'remove',
+  OBJECT: 'object',
+  PLAYER: 'player',
+  CHUNK: 'chunk',
+  END: 'end',
+};
+
+/**
+ * @const
+ * @type {number} Steps between looking for chunks nobody is near.
+ */
+World.UNLOAD_INTERVAL = 300;
+
+/**
+ * @const
+ * @type {number} Random tiles looked at in the chunks near the players,
+ * before World.randomTile() tries another one.
+ */
+World.RANDOM_TILE_TRIES = 100;
+
+/**
+ * @const
+ * @type {number} Bumped whenever the format of toJSON() changes.
+ */
+World.SAVE_VERSION = 2;
+
 module.exports = World;
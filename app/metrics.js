@@ -0,0 +1,266 @@
+'use strict';
+
+const {Commands} = require('../shared/constant.js');
+
+/**
+ * @type {Array.<Number>} Upper bounds in seconds of the duration histograms,
+ * a tick at 60 fps has about 0.016.
+ */
+const DURATION_BUCKETS = [
+  0.0005, 0.001, 0.0025, 0.005, 0.01, 0.016, 0.025, 0.05, 0.1, 0.25,
+];
+
+/**
+ * Socket.io packet of an event, binary or not, and its name. Acks and other
+ * packets have no name.
+ * @type {RegExp}
+ */
+const EVENT_PACKET = /^[25](?:\d+-)?(?:\/[^,]*,)?\d*\["([^"]*)"/;
+
+/**
+ * @param labels {Object<String, String>=}
+ * @return {String} E.g. '{event="update"}', empty without labels.
+ */
+function formatLabels(labels) {
+  const keys = Object.keys(labels || {});
+  if (keys.length === 0) {
+    return '';
+  }
+
+  return `{${keys.map((key) => {
+    const value = String(labels[key]).replace(/[\\"]/g, '\\$&')
+      .replace(/\n/g, '\\n');
+    return `${key}="${value}"`;
+  }).join(',')}}`;
+}
+
+/**
+ * A value per label set that only goes up.
+ */
+class Counter {
+  /**
+   * @param name {String}
+   * @param help {String}
+   */
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+
+    /**
+     * Key: formatted labels
+     * @type {Map<String, Number>}
+     */
+    this.values = new Map();
+  }
+
+  /**
+   * @param labels {Object<String, String>=}
+   * @param amount {Number=}
+   */
+  inc(labels, amount = 1) {
+    const key = formatLabels(labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+
+  /**
+   * @return {String} In the Prometheus text format.
+   */
+  render() {
+    let str = `# HELP ${this.name} ${this.help}\n# TYPE ${this.name} counter\n`;
+    this.values.forEach((value, labels) => {
+      str += `${this.name}${labels} ${value}\n`;
+    });
+    return str;
+  }
+}
+
+/**
+ * Counts observations into buckets of their size.
+ */
+class Histogram {
+  /**
+   * @param name {String}
+   * @param help {String}
+   * @param buckets {Array.<Number>} Upper bounds, ascending.
+   */
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.buckets = buckets;
+    this.counts = buckets.map(() => 0);
+    this.sum = 0;
+    this.count = 0;
+  }
+
+  /**
+   * @param value {Number}
+   */
+  observe(value) {
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        this.counts[i]++;
+      }
+    });
+    this.sum += value;
+    this.count++;
+  }
+
+  /**
+   * @return {String} In the Prometheus text format.
+   */
+  render() {
+    let str = `# HELP ${this.name} ${this.help}\n` +
+      `# TYPE ${this.name} histogram\n`;
+    this.buckets.forEach((bound, i) => {
+      str += `${this.name}_bucket{le="${bound}"} ${this.counts[i]}\n`;
+    });
+    str += `${this.name}_bucket{le="+Inf"} ${this.count}\n`;
+    str += `${this.name}_sum ${this.sum}\n`;
+    str += `${this.name}_count ${this.count}\n`;
+    return str;
+  }
+}
+
+/**
+ * @param name {String}
+ * @param help {String}
+ * @param values {Array.<{labels: Object, value: Number}>}
+ * @return {String} A gauge in the Prometheus text format, read on demand.
+ */
+function renderGauge(name, help, values) {
+  let str = `# HELP ${name} ${help}\n# TYPE ${name} gauge\n`;
+  values.forEach((entry) => {
+    str += `${name}${formatLabels(entry.labels)} ${entry.value}\n`;
+  });
+  return str;
+}
+
+/**
+ * What the server measures about itself, served in the Prometheus text
+ * format on '/metrics'.
+ */
+class Metrics {
+  constructor() {
+    this.tickDuration = new Histogram('alterrain_tick_duration_seconds',
+      'Duration of a whole server tick, the steps due and sending updates.',
+      DURATION_BUCKETS);
+
+    this.serverStepDuration = new Histogram(
+      'alterrain_server_step_duration_seconds',
+      'Duration of Server.step, input commands and the world step.',
+      DURATION_BUCKETS);
+
+    this.worldStepDuration = new Histogram(
+      'alterrain_world_step_duration_seconds',
+      'Duration of World.step.',
+      DURATION_BUCKETS);
+
+    this.tickOverruns = new Counter('alterrain_tick_overruns_total',
+      'Ticks that took longer than a step, the world falls behind.');
+    this.tickOverruns.inc(null, 0);
+
+    this.skippedSteps = new Counter('alterrain_skipped_steps_total',
+      'Steps dropped after a stall, beyond what is caught up.');
+    this.skippedSteps.inc(null, 0);
+
+    this.sentBytes = new Counter('alterrain_sent_bytes_total',
+      'Bytes sent to clients by event, binary attachments included.');
+
+    this.sentMessages = new Counter('alterrain_sent_messages_total',
+      'Messages sent to clients by event.');
+
+    this.commands = new Counter('alterrain_commands_total',
+      'Input commands received by type, accepted or dropped.');
+  }
+
+  /**
+   * Counts what is sent through the connection of a socket, including the
+   * broadcasts it receives.
+   * @param socket {Socket}
+   */
+  watchSocket(socket) {
+    // binary attachments follow the packet of their event
+    let event = 'other';
+
+    socket.conn.on('packetCreate', (packet) => {
+      if (packet.type !== 'message') {
+        return;
+      }
+
+      let size;
+      if (typeof packet.data === 'string') {
+        const match = EVENT_PACKET.exec(packet.data);
+        event = match ? match[1] : 'other';
+        size = Buffer.byteLength(packet.data);
+        this.sentMessages.inc({event: event});
+      } else {
+        size = packet.data.byteLength;
+      }
+
+      this.sentBytes.inc({event: event}, size);
+    });
+  }
+
+  /**
+   * @param type {*} Commands type, as sent by the client.
+   * @param accepted {boolean}
+   */
+  countCommand(type, accepted) {
+    const name = Object.keys(Commands).find((key) => Commands[key] === type);
+
+    this.commands.inc({
+      type: name || 'UNKNOWN',
+      status: accepted ? 'accepted' : 'dropped',
+    });
+  }
+
+  /**
+   * @param server {Server} For the current player and object counts.
+   * @return {String}
+   */
+  render(server) {
+    const objects = [];
+    const players = [];
+
+    server.rooms.forEach((room) => {
+      const counts = room.world.objectContainer.countByType();
+      Object.keys(counts).forEach((type) => {
+        objects.push({labels: {world: room.name, type: type},
+          value: counts[type]});
+      });
+      players.push({labels: {world: room.name},
+        value: room.connectedPlayers.size});
+    });
+
+    return [
+      this.tickDuration.render(),
+      this.serverStepDuration.render(),
+      this.worldStepDuration.render(),
+      this.tickOverruns.render(),
+      this.skippedSteps.render(),
+      this.sentBytes.render(),
+      this.sentMessages.render(),
+      this.commands.render(),
+      renderGauge('alterrain_connected_players', 'Players on the server.', [
+        {labels: null, value: server.connectedPlayers.size},
+      ]),
+      renderGauge('alterrain_queued_players', 'Clients waiting to join.', [
+        {labels: null, value: server.joinQueue.count()},
+      ]),
+      renderGauge('alterrain_world_players', 'Players by world.', players),
+      renderGauge('alterrain_objects', 'Objects by world and type.',
+        objects),
+    ].join('');
+  }
+}
+
+/**
+ * @param start {Array.<Number>} From process.hrtime().
+ * @return {Number} Seconds since start.
+ */
+Metrics.secondsSince = (start) => {
+  const diff = process.hrtime(start);
+  return diff[0] + diff[1] / 1e9;
+};
+
+module.exports = Metrics;
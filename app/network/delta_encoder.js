@@ -0,0 +1,155 @@
+'use strict';
+
+/**
+ * @type {Number} How many unacknowledged snapshots are kept per client. A
+ * client falling further behind gets a keyframe.
+ */
+const MAX_SNAPSHOTS = 128;
+
+/**
+ * Encodes the 'update' event of each client relative to the last player
+ * states the client acknowledged, so only changed fields are sent, and
+ * nothing at all while everybody stands still.
+ *
+ * Entries look like {t: tick, b: baseTick, s: inputSeq,
+ * players: [{id, x, y, d}, ...]}, where a field that did not change since the
+ * base tick is left out. s is the last move of the client's own player the
+ * server applied, see Character.inputSeq.
+ * Keyframes {t: tick, k: 1, s, players: ...} carry every field and need no
+ * base, the client starts over from them after missing something. They are
+ * sent with Protocol.encodeUpdates of 'shared/protocol.js'.
+ */
+class DeltaEncoder {
+  /**
+   * @param keyframeInterval {Number} In ticks.
+   */
+  constructor(keyframeInterval) {
+    this.keyframeInterval = keyframeInterval;
+  }
+
+  /**
+   * @param client {Object} An entry of Server.connectedPlayers.
+   * @param deltas {boolean=} false to only send keyframes, for clients that
+   * cannot decode deltas.
+   */
+  addClient(client, deltas = true) {
+    client.deltas = deltas;
+
+    /**
+     * Key: player id, Value: [x, y, d]
+     * @type {Map<Number, Array.<Number>>} States the client acknowledged.
+     */
+    client.ackedState = null;
+    client.ackedTick = -1;
+    client.ackedSeq = 0;
+
+    /**
+     * Key: tick
+     * @type {Map<Number, {states: Map<Number, Array.<Number>>, seq: Number}>}
+     * Sent, not acknowledged.
+     */
+    client.snapshots = new Map();
+
+    client.lastKeyframe = -Infinity;
+  }
+
+  /**
+   * @param client {Object}
+   * @param players {Array.<Player>} The players the client can see.
+   * @param tick {Number}
+   * @param inputSeq {Number=} Last move applied of the client's own player.
+   * @return {Object} The update entry, or null if there is nothing to send.
+   */
+  encode(client, players, tick, inputSeq = 0) {
+    const snapshot = new Map();
+    players.forEach((player) => {
+      snapshot.set(player.id,
+        [player._realX, player._realY, player._direction]);
+    });
+
+    const needsKeyframe = !client.deltas || !client.ackedState ||
+      tick - client.lastKeyframe >= this.keyframeInterval ||
+      client.snapshots.size >= MAX_SNAPSHOTS;
+
+    let entry;
+    if (needsKeyframe) {
+      entry = {
+        t: tick,
+        k: 1,
+        s: inputSeq,
+        players: describeStates(snapshot, null),
+      };
+      client.lastKeyframe = tick;
+    } else {
+      // a move that changed nothing, e.g. into a wall, is acknowledged too
+      const changed = describeStates(snapshot, client.ackedState);
+      if (changed.length === 0 && inputSeq === client.ackedSeq) {
+        return null;
+      }
+      entry = {t: tick, b: client.ackedTick, s: inputSeq, players: changed};
+    }
+
+    if (client.snapshots.size >= MAX_SNAPSHOTS) {
+      client.snapshots.clear();
+    }
+    client.snapshots.set(tick, {states: snapshot, seq: inputSeq});
+
+    return entry;
+  }
+
+  /**
+   * The client received the update of a tick, which becomes the new base.
+   * @param client {Object}
+   * @param tick {Number}
+   */
+  acknowledge(client, tick) {
+    const snapshot = client.snapshots.get(tick);
+    if (!snapshot || tick <= client.ackedTick) {
+      return;
+    }
+
+    client.ackedTick = tick;
+    client.ackedState = snapshot.states;
+    client.ackedSeq = snapshot.seq;
+
+    client.snapshots.forEach((value, key) => {
+      if (key <= tick) {
+        client.snapshots.delete(key);
+      }
+    });
+  }
+}
+
+/**
+ * @const
+ * @type {Array.<String>} Names of the fields of a state.
+ */
+const FIELDS = ['x', 'y', 'd'];
+
+/**
+ * @param states {Map<Number, Array.<Number>>}
+ * @param base {Map<Number, Array.<Number>>=} Fields equal to the base are
+ * left out, players equal to the base are left out.
+ * @return {Array.<Object>}
+ */
+function describeStates(states, base) {
+  const players = [];
+
+  states.forEach((state, id) => {
+    const old = base && base.get(id);
+
+    if (!old || state.some((value, i) => value !== old[i])) {
+      const player = {id: id};
+      state.forEach((value, i) => {
+        if (!old || value !== old[i]) {
+          player[FIELDS[i]] = value;
+        }
+      });
+      players.push(player);
+    }
+  });
+
+  return players;
+}
+
+module.exports = DeltaEncoder;
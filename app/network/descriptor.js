@@ -1,15 +1,18 @@
 'use strict';
 
+const Protocol = require('../../shared/protocol.js');
+
 /**
  * @param container {Array | Map} Serializable Container
- * @return {string}
+ * @param schema {Array.<Array.<String>>} E.g. Protocol.TREE
+ * @return {ArrayBuffer}
  */
-module.exports = (container) => {
-  let str = '';
+module.exports = (container, schema) => {
+  let records = [];
 
   container.forEach((elt) => {
-    str += `${elt.serialize()}|`;
+    records.push(elt.serialize());
   });
 
-  return str;
+  return Protocol.encodeList(schema, records);
 };
@@ -0,0 +1,36 @@
+'use strict';
+
+const Protocol = require('../../shared/protocol.js');
+
+/**
+ * Decides whether the server can talk to a client, from the 'hello' event
+ * the client sends before joining the world.
+ * @param hello {*} {version: Number, features: Array.<String>}, as sent by
+ * the client.
+ * @return {Object} {version, features} to use with the client, or {reason}
+ * to show to the player when refused.
+ */
+module.exports = (hello) => {
+  if (!hello || !Number.isInteger(hello.version) ||
+      !Array.isArray(hello.features)) {
+    return {reason: 'Invalid handshake, please refresh the page.'};
+  }
+
+  if (hello.version < Protocol.MIN_VERSION) {
+    return {reason: 'Your game is out of date, please refresh the page.'};
+  }
+
+  if (hello.version > Protocol.VERSION) {
+    return {reason: 'The server is out of date, please try again later.'};
+  }
+
+  const supported = Object.keys(Protocol.FEATURES)
+    .map((key) => Protocol.FEATURES[key]);
+
+  return {
+    version: hello.version,
+    features: supported.filter((feature) => {
+      return hello.features.indexOf(feature) !== -1;
+    }),
+  };
+};
@@ -0,0 +1,141 @@
+'use strict';
+
+const logger = require('../logger.js');
+
+const {Commands} = require('../../shared/constant.js');
+const validateCommand = require('./input_schema.js');
+
+/**
+ * Keeps scripted clients from flooding the input queues. Each command must
+ * pass its schema and a token bucket per player and command type, or it is
+ * dropped.
+ *
+ * Every dropped command is a strike, and strikes are forgiven over time. A
+ * player collecting too many is warned, then kicked.
+ */
+class InputGuard {
+  /**
+   * @param limits {Object} See InputLimits in 'shared/constant.js'.
+   */
+  constructor(limits) {
+    this.limits = limits;
+
+    /**
+     * Key: Commands type
+     * @type {Map<Number, {RATE: Number, BURST: Number}>}
+     */
+    this.buckets = new Map();
+    Object.keys(Commands).forEach((name) => {
+      if (limits[name]) {
+        this.buckets.set(Commands[name], limits[name]);
+      }
+    });
+  }
+
+  /**
+   * @param client {Object} An entry of Server.connectedPlayers.
+   */
+  addClient(client) {
+    /**
+     * Key: Commands type
+     * @type {Map<Number, {tokens: Number, time: Number}>}
+     */
+    client.inputTokens = new Map();
+
+    client.strikes = 0;
+    client.strikeTime = 0;
+    client.warned = false;
+  }
+
+  /**
+   * @param client {Object}
+   * @param cmd {*} As sent by the client.
+   * @param now {Number=} In milliseconds.
+   * @return {Object} null to accept the command, otherwise {action, reason}
+   * where action is one of InputGuard.ACTION.
+   */
+  check(client, cmd, now = Date.now()) {
+    const reason = validateCommand(cmd) ||
+      (this.takeToken(client, cmd.type, now) ? null : InputGuard.TOO_MANY);
+
+    if (!reason) {
+      return null;
+    }
+
+    // forgive strikes of the past
+    client.strikes = Math.max(0, client.strikes -
+      (now - client.strikeTime) / 1000 * this.limits.STRIKE_DECAY);
+    client.strikeTime = now;
+    client.strikes++;
+
+    if (client.strikes >= this.limits.STRIKES_KICK) {
+      logger.warn(`Player ${client.playerId} kicked: ${reason}`);
+      return {action: InputGuard.ACTION.KICK, reason: reason};
+    }
+
+    if (client.strikes >= this.limits.STRIKES_WARN) {
+      if (!client.warned) {
+        client.warned = true;
+        logger.warn(`Player ${client.playerId} warned: ${reason}`);
+        return {action: InputGuard.ACTION.WARN, reason: reason};
+      }
+    } else {
+      client.warned = false;
+    }
+
+    logger.debug(`Player ${client.playerId} command dropped: ${reason}`);
+    return {action: InputGuard.ACTION.DROP, reason: reason};
+  }
+
+  /**
+   * @private
+   * @param client {Object}
+   * @param type {Number} Commands type
+   * @param now {Number} In milliseconds.
+   * @return {boolean} false if the bucket is empty.
+   */
+  takeToken(client, type, now) {
+    const limit = this.buckets.get(type);
+    if (!limit) {
+      return true;
+    }
+
+    let bucket = client.inputTokens.get(type);
+    if (!bucket) {
+      bucket = {tokens: limit.BURST, time: now};
+      client.inputTokens.set(type, bucket);
+    }
+
+    bucket.tokens = Math.min(limit.BURST,
+      bucket.tokens + (now - bucket.time) / 1000 * limit.RATE);
+    bucket.time = now;
+
+    if (bucket.tokens < 1) {
+      return false;
+    }
+
+    bucket.tokens--;
+    return true;
+  }
+}
+
+/**
+ * @const
+ * @enum
+ * @type {{DROP: string, WARN: string, KICK: string}} What to do about a
+ * command that was not accepted. It is dropped in any case.
+ */
+InputGuard.ACTION = {
+  DROP: 'drop',
+  WARN: 'warn',
+  KICK: 'kick',
+};
+
+/**
+ * @const
+ * @type {String} Reason of the commands beyond the limits, the others are
+ * those of the schema.
+ */
+InputGuard.TOO_MANY = 'too many commands';
+
+module.exports = InputGuard;
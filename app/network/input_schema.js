@@ -0,0 +1,83 @@
+'use strict';
+
+const {
+  Commands,
+  TileData,
+  ChatScope,
+  ChatConfig,
+} = require('../../shared/constant.js');
+
+/**
+ * @type {Array.<Number>} In num-pad representation.
+ */
+const DIRECTIONS = [2, 4, 6, 8];
+
+/**
+ * @type {Number} Sent as u32 in the updates, see Protocol.encodeUpdates.
+ */
+const MAX_SEQ = 0xffffffff;
+
+/**
+ * Key: Commands type
+ * @type {Object<Number, function(*): String>} Returns why the params are
+ * invalid, or null.
+ */
+const SCHEMAS = {
+  [Commands.MOVEMENT]: (params) => {
+    return DIRECTIONS.indexOf(params) === -1 ? 'invalid direction' : null;
+  },
+
+  [Commands.ALTER_TILE]: (params) => {
+    if (!params || !Number.isInteger(params.tileId) ||
+        params.tileId < 0 || params.tileId >= TileData.length) {
+      return 'invalid tile';
+    }
+    return null;
+  },
+
+  [Commands.COMMUNICATION]: (params) => {
+    // without params it is a shout
+    if (params === undefined || params === null) {
+      return null;
+    }
+
+    const scopes = Object.keys(ChatScope).map((key) => ChatScope[key]);
+    if (scopes.indexOf(params.scope) === -1) {
+      return 'invalid chat scope';
+    }
+
+    // sanitizing can shorten the text by collapsing whitespace, so twice
+    // the length that is kept is accepted
+    if (params.text !== undefined && (typeof params.text !== 'string' ||
+        params.text.length > ChatConfig.MAX_LENGTH * 2)) {
+      return 'invalid chat text';
+    }
+    return null;
+  },
+
+  [Commands.INTERACTION]: () => null,
+};
+
+/**
+ * Checks an 'inputCommand' event before any of it is trusted.
+ * @param cmd {*} As sent by the client.
+ * @return {String} Why the command is invalid, or null if it is valid.
+ */
+module.exports = (cmd) => {
+  if (!cmd || typeof cmd !== 'object') {
+    return 'invalid command';
+  }
+
+  const schema = SCHEMAS[cmd.type];
+  if (!schema) {
+    return 'unknown command type';
+  }
+
+  // moves are numbered for the client to match them with the updates
+  if (cmd.seq !== undefined && (!Number.isInteger(cmd.seq) || cmd.seq < 0 ||
+      cmd.seq > MAX_SEQ)) {
+    return 'invalid sequence number';
+  }
+
+  return schema(cmd.params);
+};
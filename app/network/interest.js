@@ -0,0 +1,348 @@
+'use strict';
+
+const Tilemap = require('../game/tilemap.js');
+
+/**
+ * @type {Number} Players leave the view a bit further out than they enter it,
+ * so walking along the edge does not spam enter/leave events.
+ */
+const LEAVE_MARGIN = 2;
+
+/**
+ * Decides what each client gets to know about. A client only receives the
+ * players and updates within a square radius around its own player.
+ *
+ * Updates of tiles, trees and chests outside of that radius are not lost,
+ * only the latest state of each is kept back and sent silently once the
+ * player comes close. That is only done on the chunks the client has, the
+ * others carry their state when they are sent.
+ *
+ * The terrain is sent by chunk, a bit ahead of the radius. A client forgets
+ * the chunks it left behind, which are sent again when it comes back. Objects
+ * appearing and disappearing are only sent to the clients that have their
+ * chunk, the others get them with the chunk.
+ */
+class InterestManager {
+  /**
+   * @param server {Room} The world and its clients.
+   * @param radius {Number} In tiles.
+   */
+  constructor(server, radius) {
+    /**
+     * @type {Room}
+     */
+    this.server = server;
+
+    /**
+     * @type {Number}
+     */
+    this.radius = radius;
+  }
+
+  /**
+   * Prepares a connected client, which always sees its own player.
+   * @param client {Object} An entry of Room.connectedPlayers.
+   */
+  addClient(client) {
+    /**
+     * @type {Set<Number>} Ids of the players this client knows about.
+     */
+    client.visiblePlayers = new Set([client.playerId]);
+
+    /**
+     * Key: see Tilemap.key(), then '<kind> <x> <y>'
+     * @type {Map<String, Map<String, {kind: String, state: *}>>} Updates
+     * held back, by chunk.
+     */
+    client.deferred = new Map();
+
+    /**
+     * @type {Set<String>} Keys of the chunks this client has, see
+     * Tilemap.key().
+     */
+    client.chunks = new Set();
+
+    /**
+     * @type {String} The chunk its player was in when it got all the chunks
+     * around.
+     */
+    client.chunkKey = null;
+  }
+
+  /**
+   * Nobody should keep seeing a player whose client left.
+   * @param client {Object}
+   */
+  removeClient(client) {
+    this.server.connectedPlayers.forEach((other) => {
+      if (other.visiblePlayers) {
+        other.visiblePlayers.delete(client.playerId);
+      }
+    });
+  }
+
+  /**
+   * @param client {Object}
+   * @param x {Number}
+   * @param y {Number}
+   * @param radius {Number=}
+   * @return {boolean} true if the position is in view of the client's player.
+   */
+  isInRange(client, x, y, radius = this.radius) {
+    const player = this.server.world.players.get(client.playerId);
+
+    return !!player &&
+      Math.abs(player._x - x) <= radius && Math.abs(player._y - y) <= radius;
+  }
+
+  /**
+   * Emit an event to the clients near a position. The others get the state
+   * later, when they come close.
+   * @param x {Number}
+   * @param y {Number}
+   * @param event {String}
+   * @param data {*}
+   * @param kind {String=} InterestManager.SYNC, nothing is kept back without.
+   * @param state {*=} What to send silently to the clients out of range.
+   */
+  emitNear(x, y, event, data, kind, state) {
+    const chunk = this.chunkKeyAt(x, y);
+    const key = `${kind} ${x} ${y}`;
+
+    this.server.connectedPlayers.forEach((client) => {
+      if (!client.deferred) {
+        return;
+      }
+
+      const deferred = client.deferred.get(chunk);
+      if (this.isInRange(client, x, y)) {
+        client.socket.emit(event, data);
+        if (deferred) {
+          deferred.delete(key);
+        }
+      } else if (kind && client.chunks.has(chunk)) {
+        if (!deferred) {
+          client.deferred.set(chunk, new Map());
+        }
+        client.deferred.get(chunk).set(key, {kind: kind, state: state});
+      }
+    });
+  }
+
+  /**
+   * Emit objects, e.g. new chests, to the clients that have the chunks they
+   * are on. The others get them with their chunk, see Room.describeChunks().
+   * @param event {String}
+   * @param objects {Array.<{x: Number, y: Number}>} Each client is sent those
+   * on its chunks, nothing if there are none.
+   */
+  emitObjects(event, objects) {
+    this.server.connectedPlayers.forEach((client) => {
+      if (!client.chunks) {
+        return;
+      }
+
+      const held = objects.filter((obj) => this.hasChunkAt(client, obj.x,
+        obj.y));
+      if (held.length > 0) {
+        client.socket.emit(event, held);
+      }
+    });
+  }
+
+  /**
+   * Emit an event about a position to the clients that have its chunk.
+   * @param x {Number}
+   * @param y {Number}
+   * @param event {String}
+   * @param data {*}
+   */
+  emitOnChunk(x, y, event, data) {
+    this.server.connectedPlayers.forEach((client) => {
+      if (client.chunks && this.hasChunkAt(client, x, y)) {
+        client.socket.emit(event, data);
+      }
+    });
+  }
+
+  /**
+   * @param client {Object}
+   * @param x {Number}
+   * @param y {Number}
+   * @return {boolean} true if the client has the chunk of the position.
+   */
+  hasChunkAt(client, x, y) {
+    return client.chunks.has(this.chunkKeyAt(x, y));
+  }
+
+  /**
+   * @private
+   * @param x {Number}
+   * @param y {Number}
+   * @return {String} Key of the chunk of the position, see Tilemap.key().
+   */
+  chunkKeyAt(x, y) {
+    const size = this.server.world.tilemap.chunkSize;
+    return Tilemap.key(Math.floor(x / size), Math.floor(y / size));
+  }
+
+  /**
+   * Drop what was kept back for a position, e.g. when its object is removed.
+   * @param x {Number}
+   * @param y {Number}
+   */
+  forget(x, y) {
+    const chunk = this.chunkKeyAt(x, y);
+
+    this.server.connectedPlayers.forEach((client) => {
+      const deferred = client.deferred && client.deferred.get(chunk);
+      if (deferred) {
+        deferred.delete(`${InterestManager.SYNC.TREE} ${x} ${y}`);
+        deferred.delete(`${InterestManager.SYNC.CHEST} ${x} ${y}`);
+      }
+    });
+  }
+
+  /**
+   * Sends enter/leave events for players crossing the view of the client, and
+   * what was kept back for the area the client can now see.
+   * @param client {Object}
+   * @return {Array.<Player>} Players the client should get updates of.
+   */
+  updateClient(client) {
+    const socket = client.socket;
+    const visible = [];
+
+    this.server.world.players.forEach((player) => {
+      const id = player.id;
+      const known = client.visiblePlayers.has(id);
+
+      if (id === client.playerId) {
+        visible.push(player);
+      } else if (!known && this.isInRange(client, player._x, player._y)) {
+        client.visiblePlayers.add(id);
+        socket.emit('playerEnter', {
+          playerId: id,
+          x: player._realX,
+          y: player._realY,
+          d: player._direction,
+        });
+        visible.push(player);
+      } else if (known && !this.isInRange(client, player._x, player._y,
+          this.radius + LEAVE_MARGIN)) {
+        client.visiblePlayers.delete(id);
+        socket.emit('playerLeave', {playerId: id});
+      } else if (known) {
+        visible.push(player);
+      }
+    });
+
+    this.flushDeferred(client);
+
+    return visible;
+  }
+
+  /**
+   * Sends the chunks around the client's player that it does not have yet,
+   * once they are populated, see World.loadChunksAround().
+   * @param client {Object}
+   */
+  streamChunks(client) {
+    const world = this.server.world;
+    const player = world.players.get(client.playerId);
+    const tilemap = world.tilemap;
+    if (!player || !client.chunks) {
+      return;
+    }
+
+    const key = Tilemap.key(Math.floor(player._x / tilemap.chunkSize),
+      Math.floor(player._y / tilemap.chunkSize));
+    if (client.chunkKey === key) {
+      return;
+    }
+
+    const range = world.chunkRange();
+    const around = tilemap.chunksAround(player._x, player._y, range + 1)
+      .map((pos) => pos.key);
+    client.chunks.forEach((chunk) => {
+      if (around.indexOf(chunk) === -1) {
+        client.chunks.delete(chunk);
+        client.deferred.delete(chunk);
+      }
+    });
+
+    const missing = tilemap.chunksAround(player._x, player._y, range)
+      .filter((pos) => !client.chunks.has(pos.key));
+    const ready = missing.filter((pos) => tilemap.populated.has(pos.key));
+
+    if (ready.length === missing.length) {
+      client.chunkKey = key;
+    }
+    if (ready.length > 0) {
+      ready.forEach((pos) => {
+        client.chunks.add(pos.key);
+        client.deferred.delete(pos.key);
+      });
+      client.socket.emit('chunks', this.server.describeChunks(ready));
+    }
+  }
+
+  /**
+   * @return {Number} Tiles across the square of chunks a client may have at
+   * once, which it keeps its terrain in.
+   */
+  viewSize() {
+    const world = this.server.world;
+    return (2 * world.chunkRange() + 3) * world.tilemap.chunkSize;
+  }
+
+  /**
+   * @private
+   * @param client {Object}
+   */
+  flushDeferred(client) {
+    if (client.deferred.size === 0) {
+      return;
+    }
+
+    let sync = null;
+
+    client.deferred.forEach((deferred, chunk) => {
+      deferred.forEach((entry, key) => {
+        const pos = key.split(' ');
+        if (!this.isInRange(client, +pos[1], +pos[2])) {
+          return;
+        }
+
+        if (!sync) {
+          sync = {tiles: [], trees: [], chests: []};
+        }
+
+        sync[entry.kind].push(entry.state);
+        deferred.delete(key);
+      });
+
+      if (deferred.size === 0) {
+        client.deferred.delete(chunk);
+      }
+    });
+
+    if (sync) {
+      client.socket.emit('syncState', sync);
+    }
+  }
+}
+
+/**
+ * @const
+ * @enum
+ * @type {{TILE: string, TREE: string, CHEST: string}} Kinds of state kept back,
+ * named as the fields of the 'syncState' event.
+ */
+InterestManager.SYNC = {
+  TILE: 'tiles',
+  TREE: 'trees',
+  CHEST: 'chests',
+};
+
+module.exports = InterestManager;
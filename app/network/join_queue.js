@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * Clients waiting for a free slot in the world, admitted first come first
+ * served. A few slots are kept for admins, who can join while the others
+ * have to wait.
+ */
+class JoinQueue {
+  /**
+   * @param maxPlayers {Number}
+   * @param reservedSlots {Number} Of maxPlayers, only admins can take these.
+   */
+  constructor(maxPlayers, reservedSlots) {
+    this.maxPlayers = maxPlayers;
+    this.reservedSlots = Math.min(reservedSlots, maxPlayers);
+
+    /**
+     * @type {Array.<{socket: Socket, admin: boolean}>} Oldest first, other
+     * fields are kept for whoever admits the client.
+     */
+    this.waiting = [];
+  }
+
+  /**
+   * @return {Number} How many clients are waiting.
+   */
+  count() {
+    return this.waiting.length;
+  }
+
+  /**
+   * Admins in the world take up the reserved slots before the others.
+   * @param playerCount {Number} Players currently in the world.
+   * @param adminCount {Number} Of those, how many are admins.
+   * @param admin {boolean}
+   * @return {boolean}
+   */
+  hasSlotFor(playerCount, adminCount, admin) {
+    if (playerCount >= this.maxPlayers) {
+      return false;
+    }
+
+    return admin ||
+      playerCount - adminCount < this.maxPlayers - this.reservedSlots;
+  }
+
+  /**
+   * @param entry {{socket: Socket, admin: boolean}}
+   */
+  add(entry) {
+    this.waiting.push(entry);
+  }
+
+  /**
+   * @param socket {Socket}
+   * @return {boolean} false if the socket was not waiting.
+   */
+  remove(socket) {
+    const index = this.waiting.findIndex((entry) => entry.socket === socket);
+    if (index === -1) {
+      return false;
+    }
+
+    this.waiting.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Takes the oldest entry that fits in the world. Admins can pass others
+   * waiting for a regular slot.
+   * @param playerCount {Number} Players currently in the world.
+   * @param adminCount {Number} Of those, how many are admins.
+   * @return {Object} The entry, or null if nobody can join.
+   */
+  next(playerCount, adminCount) {
+    const index = this.waiting.findIndex((entry) => {
+      return this.hasSlotFor(playerCount, adminCount, entry.admin);
+    });
+    if (index === -1) {
+      return null;
+    }
+
+    return this.waiting.splice(index, 1)[0];
+  }
+
+  /**
+   * @param callback {Function} Called with each entry and its position,
+   * starting at 1.
+   */
+  forEach(callback) {
+    this.waiting.forEach((entry, i) => callback(entry, i + 1));
+  }
+}
+
+module.exports = JoinQueue;
@@ -20,6 +20,19 @@ class Character extends GameObject {
     this._moveSpeed = 5;
 
     this._speedFactor = 1;
+
+    /**
+     * @type {Number} Sequence number of the last move command applied, the
+     * client compares its predicted position against it.
+     */
+    this.inputSeq = 0;
+
+    /**
+     * @type {{d: Number, seq: Number}} A move that came in before the
+     * current one finished, applied right after it.
+     * @private
+     */
+    this._nextMove = null;
   }
 
   /**
@@ -43,6 +56,17 @@ class Character extends GameObject {
     this._direction = d;
   }
 
+  /**
+   * Moves to a position at once, without walking there.
+   * @param x {Number}
+   * @param y {Number}
+   */
+  locate(x, y) {
+    this.setPosition(x, y);
+    this._realX = this._x;
+    this._realY = this._y;
+  }
+
   /**
    * @param d {number}
    * @return {number}
@@ -52,6 +76,12 @@ class Character extends GameObject {
   }
 
   update() {
+    if (!this.isMoving() && this._nextMove) {
+      const move = this._nextMove;
+      this._nextMove = null;
+      this.requestMove(move.d, move.seq);
+    }
+
     if (this.isMoving()) {
       const terrainID = this.world.tilemap.getTileAt(this._x, this._y);
       this._moveSpeed = TileSpeed[terrainID];
@@ -60,6 +90,25 @@ class Character extends GameObject {
     }
   }
 
+  /**
+   * Moves one tile, or once the current move is done. Clients predicting
+   * their moves send the next one as soon as they see the player arrive,
+   * which may be a step before the server does.
+   * @param d {Number}
+   * @param seq {Number=} Of the move command, see inputSeq.
+   */
+  requestMove(d, seq) {
+    if (this.isMoving()) {
+      this._nextMove = {d: d, seq: seq};
+      return;
+    }
+
+    this.moveStraight(d);
+    if (seq !== undefined) {
+      this.inputSeq = seq;
+    }
+  }
+
   updateMove() {
     if (this._x < this._realX) {
       this._realX = Math.max(this._realX - this.distancePerFrame(), this._x);
@@ -177,7 +226,7 @@ class Character extends GameObject {
   }
 
   serialize() {
-    return `${this._realX} ${this._realY} ${this._direction}`;
+    return {x: this._realX, y: this._realY, d: this._direction};
   }
 }
 
@@ -1,8 +1,8 @@
 'use strict';
 
 const logger = require('../logger.js');
-const util = require('../util.js');
 const GameObject = require('../objects/game_object');
+const InterestManager = require('../network/interest.js');
 const {Tiles} = require('../../shared/constant.js');
 
 class Chest extends GameObject {
@@ -36,14 +36,7 @@ class Chest extends GameObject {
         if (this.canRespawn) {
           let chest = this.world.spawnChest(true, true);
 
-          this.world.server.io.emit('spawnChests', [
-            {
-              x: chest._x,
-              y: chest._y,
-              state: chest.state,
-              playerRequired: chest.playerRequired,
-            },
-          ]);
+          this.world.server.emitObjects('spawnChests', [chest.serialize()]);
 
           logger.data(`a chest spawned at (${chest._x},${chest._y}).`);
         }
@@ -62,8 +55,8 @@ class Chest extends GameObject {
    * @param player
    */
   awardPlayer(player) {
-    let item = util.pick(this.loots);
-    player.gainItem(item, util.integerInRange(20, 48));
+    let item = this.world.random.pick(this.loots);
+    player.gainItem(item, this.world.random.integerInRange(20, 48));
   }
 
   /**
@@ -96,12 +89,27 @@ class Chest extends GameObject {
         break;
     }
 
-    this.world.server.io.emit('chestUpdate', {
+    this.world.recordObject(this);
+
+    this.emitUpdate();
+  }
+
+  /**
+   * Tell the players nearby, the others get the state once they come close.
+   * @param shownState {Number=} State sent to the players nearby, can differ
+   * from the actual state to play a certain sound.
+   */
+  emitUpdate(shownState = this.state) {
+    const data = {
       x: this._x,
       y: this._y,
       state: this.state,
       playerRequired: this.playerRequired,
-    });
+    };
+
+    this.world.server.emitNear(this._x, this._y, 'chestUpdate',
+      Object.assign({}, data, {state: shownState}),
+      InterestManager.SYNC.CHEST, data);
   }
 
   /**
@@ -142,8 +150,35 @@ class Chest extends GameObject {
   onLooted(player) {
   }
 
+  /**
+   * @override
+   */
+  loadData(data) {
+    this.state = data.state;
+    this.playerRequired = data.playerRequired;
+    this.playerHistory = data.playerHistory.slice();
+    this.canRespawn = data.canRespawn;
+    this.count = data.count;
+  }
+
+  /**
+   * @override
+   */
+  toJSON() {
+    let data = super.toJSON();
+    data.state = this.state;
+    data.playerRequired = this.playerRequired;
+    data.playerHistory = this.playerHistory;
+    data.canRespawn = this.canRespawn;
+    data.count = this.count;
+    return data;
+  }
+
   serialize() {
-    return `${super.serialize()} ${this.state} ${this.playerRequired}`;
+    let data = super.serialize();
+    data.state = this.state;
+    data.playerRequired = this.playerRequired;
+    return data;
   }
 }
 
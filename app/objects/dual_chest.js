@@ -29,6 +29,24 @@ class DualChest extends Chest {
     return success;
   }
 
+  /**
+   * @override
+   */
+  loadData(data) {
+    super.loadData(data);
+    this.lootedPlayerHistory = data.lootedPlayerHistory.slice();
+  }
+
+  /**
+   * @override
+   */
+  toJSON() {
+    let data = super.toJSON();
+    data.dual = true;
+    data.lootedPlayerHistory = this.lootedPlayerHistory;
+    return data;
+  }
+
   /**
    * @param player {Player} the player who interacts with this object.
    */
@@ -51,27 +69,14 @@ class DualChest extends Chest {
         break;
     }
 
+    this.world.recordObject(this);
+
     if (success === 0) {
-      this.world.server.io.emit('chestUpdate', {
-        x: this._x,
-        y: this._y,
-        state: 4,
-        playerRequired: this.playerRequired,
-      });
+      this.emitUpdate(4);
     } else if (success === 1) {
-      this.world.server.io.emit('chestUpdate', {
-        x: this._x,
-        y: this._y,
-        state: 5,
-        playerRequired: this.playerRequired,
-      });
+      this.emitUpdate(5);
     } else if (success === 2) {
-      this.world.server.io.emit('chestUpdate', {
-        x: this._x,
-        y: this._y,
-        state: this.state,
-        playerRequired: this.playerRequired,
-      });
+      this.emitUpdate();
     }
   }
 }
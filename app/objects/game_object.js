@@ -72,10 +72,27 @@ class GameObject {
   onInteraction(player) { }
 
   /**
-   * @return {string}
+   * Restores the state written by toJSON().
+   * @param data {Object}
+   */
+  loadData(data) { }
+
+  /**
+   * @return {Object} The state that is persisted when the world is saved.
+   */
+  toJSON() {
+    return {
+      type: this.type,
+      x: this._x,
+      y: this._y,
+    };
+  }
+
+  /**
+   * @return {{x: Number, y: Number}}
    */
   serialize() {
-    return `${this._x} ${this._y}`;
+    return {x: this._x, y: this._y};
   }
 }
 
@@ -115,7 +115,9 @@ class Player extends Character {
   }
 
   serialize() {
-    return `${this.id} ${super.serialize()}`;
+    let data = super.serialize();
+    data.id = this.id;
+    return data;
   }
 }
 
@@ -1,9 +1,9 @@
 'use strict';
 
-const util = require('../util.js');
 const logger = require('../logger.js');
 
 const GameObject = require('../objects/game_object.js');
+const InterestManager = require('../network/interest.js');
 const Chest = require('./chest.js');
 
 const {Tiles} = require('../../shared/constant.js');
@@ -13,7 +13,7 @@ class Tree extends GameObject {
     super(world, x, y);
     this.type = 'tree';
 
-    this.durability = util.integerInRange(3, 8);
+    this.durability = this.world.random.integerInRange(3, 8);
 
     this.tresureChestChance = 6; // 6% chance
     this.removeCount = 1 * 60; // 30 * 60;
@@ -28,7 +28,8 @@ class Tree extends GameObject {
     if (this.removeCount <= 0) {
       this.world.emit('objectRemoval', this);
 
-      if (util.integerInRange(0, 100) <= this.tresureChestChance) {
+      const roll = this.world.random.integerInRange(0, 100);
+      if (roll <= this.tresureChestChance) {
         this.revealHiddenChest();
       }
     }
@@ -39,13 +40,17 @@ class Tree extends GameObject {
       this.durability--;
     }
     if (this.durability === 0) {
-      player.gainItem(this.loot, util.integerInRange(1, 3));
+      player.gainItem(this.loot, this.world.random.integerInRange(1, 3));
     }
-    this.world.server.io.emit('treeCut', {
+    this.world.recordObject(this);
+
+    const data = {
       x: this._x,
       y: this._y,
       durability: this.durability,
-    });
+    };
+    this.world.server.emitNear(this._x, this._y, 'treeCut', data,
+      InterestManager.SYNC.TREE, data);
   }
 
   /**
@@ -55,21 +60,35 @@ class Tree extends GameObject {
       let chest = new Chest(this.world, this._x, this._y);
       this.world.chestObjects.push(chest);
       this.world.objectContainer.add(chest);
+      this.world.recordObject(chest);
 
-      this.world.server.io.emit('spawnChests', [
-        {
-          x: chest._x,
-          y: chest._y,
-          state: chest.state,
-          playerRequired: chest.playerRequired,
-        },
-      ]);
+      this.world.server.emitObjects('spawnChests', [chest.serialize()]);
 
       logger.data(`a chest spawned at (${chest._x},${chest._y}).`);
   }
 
+  /**
+   * @override
+   */
+  loadData(data) {
+    this.durability = data.durability;
+    this.removeCount = data.removeCount;
+  }
+
+  /**
+   * @override
+   */
+  toJSON() {
+    let data = super.toJSON();
+    data.durability = this.durability;
+    data.removeCount = this.removeCount;
+    return data;
+  }
+
   serialize() {
-    return `${super.serialize()} ${this.durability}`;
+    let data = super.serialize();
+    data.durability = this.durability;
+    return data;
   }
 }
 
@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * Seeded pseudo random number generator (Mulberry32), so that a world can be
+ * generated again from the same seed.
+ *
+ * Use World.random instead of Math.random() for anything that affects the
+ * game world.
+ */
+class Random {
+  /**
+   * @param seed {Number|String=} Random seed, picks a new one when omitted.
+   */
+  constructor(seed) {
+    /**
+     * @type {Number} 32-bit unsigned seed this generator started from.
+     */
+    this.seed = Random.normalizeSeed(seed);
+
+    /**
+     * @type {Number} Internal state, save it to resume the sequence later.
+     */
+    this.state = this.seed;
+  }
+
+  /**
+   * Turns a number or any string into a 32-bit unsigned integer seed.
+   * @param seed {Number|String=}
+   * @return {Number}
+   */
+  static normalizeSeed(seed) {
+    if (seed === undefined || seed === null || seed === '') {
+      return Math.floor(Math.random() * 0x100000000);
+    }
+
+    if (typeof seed === 'number' || /^\d+$/.test(seed)) {
+      return Number(seed) >>> 0;
+    }
+
+    // FNV-1a hash of the string
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+      hash ^= seed.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * @return {number} A random number in [0, 1).
+   */
+  frac() {
+    let t = this.state = (this.state + 0x6d2b79f5) | 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * Returns a random integer between and including min and max.
+   *
+   * @param {number} min - The minimum value in the range.
+   * @param {number} max - The maximum value in the range.
+   * @return {number} A random number between min and max.
+   */
+  integerInRange(min, max) {
+    return Math.floor(this.frac() * (max - min + 1) + min);
+  }
+
+  /**
+   * Returns a random member of `array`.
+   *
+   * @param {Array} ary - An Array to pick a random member of.
+   * @return {any} A random member of the array.
+   */
+  pick(ary) {
+    return ary[this.integerInRange(0, ary.length - 1)];
+  }
+}
+
+module.exports = Random;
@@ -0,0 +1,215 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const logger = require('../logger.js');
+const WorldStorage = require('../game/storage.js');
+
+/**
+ * @type {Number} Steps between two hashes of the world state, which a replay
+ * checks to find where it went a different way.
+ */
+const CHECKPOINT_INTERVAL = 600;
+
+/**
+ * Writes down everything from outside that changes the world, so Replayer can
+ * run the same steps again and end up with the same world. Since every random
+ * decision is drawn from World.random, that is the world it started from, the
+ * players joining and leaving, their input commands and the admin commands
+ * changing the world.
+ *
+ * A recording has one JSON entry per line. The first is
+ * {r: 'world', v, dt, world, name} with the world as saved by World.toJSON()
+ * and the name of its room, which admin commands may refer to. The
+ * others have the tick they happened after, see World.stepCount, and are
+ * applied before the next step:
+ *
+ * - {r: 'join', tick, session: {playerId, x, y, d, inventory}}
+ * - {r: 'leave', tick, playerId}
+ * - {r: 'cmd', tick, playerId, type, params, seq} an accepted 'inputCommand'
+ * - {r: 'admin', tick, name, args} see AdminCommands.COMMANDS
+ * - {r: 'hash', tick, hash} see InputRecorder.hashWorld
+ *
+ * Session tokens and bans are left out of the world, a replay needs neither.
+ */
+class InputRecorder {
+  /**
+   * @param filename {String}
+   * @param world {World}
+   * @param stepDelta {Number} Duration of a step in milliseconds.
+   * @param name {String=} Of the room the world runs in, see Room.
+   */
+  constructor(filename, world, stepDelta, name = null) {
+    /**
+     * @type {String}
+     */
+    this.filename = filename;
+
+    /**
+     * @type {World}
+     */
+    this.world = world;
+
+    /**
+     * @type {Array.<Object>} Entries not written yet.
+     */
+    this.buffer = [];
+
+    this.fd = fs.openSync(filename, 'w');
+
+    const data = Object.assign(world.toJSON(), {players: [], bans: []});
+    this.write({r: 'world', v: InputRecorder.VERSION, dt: stepDelta,
+      world: data, name: name});
+    this.flush();
+
+    logger.info(`Recording input to ${filename}`);
+  }
+
+  /**
+   * Called before the player is spawned from the session.
+   * @param session {Object} See SessionStore.
+   */
+  join(session) {
+    this.write({
+      r: 'join',
+      session: {
+        playerId: session.playerId,
+        x: session.x,
+        y: session.y,
+        d: session.d,
+        inventory: session.inventory,
+      },
+    });
+  }
+
+  /**
+   * @param playerId {Number}
+   */
+  leave(playerId) {
+    this.write({r: 'leave', playerId: playerId});
+  }
+
+  /**
+   * @param playerId {Number}
+   * @param cmd {Object} The validated 'inputCommand'.
+   */
+  command(playerId, cmd) {
+    this.write({
+      r: 'cmd',
+      playerId: playerId,
+      type: cmd.type,
+      params: cmd.params,
+      seq: cmd.seq,
+    });
+  }
+
+  /**
+   * @param name {String} Of AdminCommands.COMMANDS
+   * @param args {Array.<String>}
+   */
+  admin(name, args) {
+    this.write({r: 'admin', name: name, args: args});
+  }
+
+  /**
+   * Called after every step, hashes the world now and then.
+   */
+  stepped() {
+    if (this.world.stepCount % CHECKPOINT_INTERVAL === 0) {
+      this.write({r: 'hash', hash: InputRecorder.hashWorld(this.world)});
+    }
+  }
+
+  /**
+   * Writes out the buffered entries, once per tick.
+   */
+  flush() {
+    if (this.buffer.length === 0 || this.fd === null) {
+      return;
+    }
+
+    try {
+      fs.writeSync(this.fd, this.buffer.map((entry) => {
+        return `${JSON.stringify(entry)}\n`;
+      }).join(''));
+    } catch (err) {
+      logger.error(`Failed to write recording: ${err.message}`);
+    }
+
+    this.buffer = [];
+  }
+
+  /**
+   * Ends the recording with a hash of the final world.
+   */
+  close() {
+    if (this.fd === null) {
+      return;
+    }
+
+    this.write({r: 'hash', hash: InputRecorder.hashWorld(this.world)});
+    this.flush();
+
+    fs.closeSync(this.fd);
+    this.fd = null;
+  }
+
+  /**
+   * @private
+   * @param entry {Object}
+   */
+  write(entry) {
+    if (entry.r !== 'world') {
+      entry.tick = this.world.stepCount;
+    }
+    this.buffer.push(entry);
+  }
+
+  /**
+   * @param worldName {String=} The world being played, if it has a name.
+   * @return {String} A new file under 'data/', named after the world and the
+   * time.
+   */
+  static filenameFor(worldName) {
+    const time = new Date().toISOString().replace(/[:.]/g, '-');
+    const name = worldName ? path.basename(worldName, '.json') : 'world';
+
+    return path.join(WorldStorage.DATA_DIR, `${name}-${time}.recording`);
+  }
+
+  /**
+   * Only covers what a replay reproduces, not e.g. the time players were
+   * last seen.
+   * @param world {World}
+   * @return {String} Hex digest of the state of the world.
+   */
+  static hashWorld(world) {
+    const players = [];
+    world.players.forEach((player) => {
+      players.push([player.id, player._x, player._y, player._realX,
+        player._realY, player._direction, player.inventory]);
+    });
+
+    const state = {
+      stepCount: world.stepCount,
+      randomState: world.random.state,
+      weather: [world.currentWeather, world.weatherCount],
+      tilemap: world.tilemap.toJSON(),
+      objects: world.objectContainer.toJSON(),
+      players: players,
+    };
+
+    return crypto.createHash('sha1').update(JSON.stringify(state))
+      .digest('hex');
+  }
+}
+
+/**
+ * @const
+ * @type {number} Bumped whenever the format of the entries changes.
+ */
+InputRecorder.VERSION = 1;
+
+module.exports = InputRecorder;
@@ -0,0 +1,185 @@
+'use strict';
+
+const fs = require('fs');
+
+const logger = require('../logger.js');
+const Server = require('../server.js');
+const CommandFactory = require('../game/command.js');
+const InputRecorder = require('./recorder.js');
+
+/**
+ * Stands in for socket.io, a replay has no connections.
+ * @type {Object}
+ */
+const SILENT_IO = {
+  on: () => {},
+  emit: () => {},
+  to: () => SILENT_IO,
+  of: () => {
+    const namespace = {
+      use: () => namespace,
+      on: () => {},
+    };
+    return namespace;
+  },
+};
+
+/**
+ * @type {{emit: Function}}
+ */
+const SILENT_SOCKET = {
+  emit: () => {},
+};
+
+/**
+ * Runs a recording made by InputRecorder through a server without
+ * connections, step by step as it was played.
+ */
+class Replayer {
+  /**
+   * @param entries {Array.<Object>} The recording, see InputRecorder.
+   */
+  constructor(entries) {
+    const header = entries[0];
+    if (!header || header.r !== 'world') {
+      throw new Error('Not a recording, it does not start with a world');
+    }
+    if (header.v !== InputRecorder.VERSION) {
+      throw new Error(`Unsupported recording version ${header.v}`);
+    }
+
+    /**
+     * @type {Object} {r: 'world', v, dt, world}
+     */
+    this.header = header;
+
+    /**
+     * @type {Array.<Object>}
+     */
+    this.entries = entries.slice(1);
+
+    /**
+     * @type {Server}
+     */
+    this.server = new Server(SILENT_IO);
+
+    /**
+     * @type {Room} Named as recorded, for the admin commands naming it.
+     */
+    this.room = this.server.initWorld({data: header.world,
+      name: header.name});
+  }
+
+  /**
+   * @param until {Number=} The last tick to replay, all of them by default.
+   * @param onEntry {Function=} Called with each entry after it was applied.
+   * @return {{tick: Number, hash: String, checked: Number,
+   * mismatch: Number}} Where it stopped, the hash of the world there, how
+   * many hashes of the recording were compared, and the tick of the first
+   * one that differed, or null.
+   */
+  run(until = Infinity, onEntry = () => {}) {
+    const world = this.server.world;
+    const result = {checked: 0, mismatch: null};
+
+    for (let i = 0; i < this.entries.length; i++) {
+      const entry = this.entries[i];
+      if (entry.tick > until) {
+        break;
+      }
+
+      while (world.stepCount < entry.tick) {
+        this.server.step(this.header.dt);
+      }
+
+      if (entry.r === 'hash') {
+        result.checked++;
+        if (InputRecorder.hashWorld(world) !== entry.hash) {
+          result.mismatch = entry.tick;
+          break;
+        }
+      } else {
+        this.apply(entry);
+      }
+
+      onEntry(entry);
+    }
+
+    while (result.mismatch === null && world.stepCount < until &&
+        until !== Infinity) {
+      this.server.step(this.header.dt);
+    }
+
+    result.tick = world.stepCount;
+    result.hash = InputRecorder.hashWorld(world);
+
+    return result;
+  }
+
+  /**
+   * @private
+   * @param entry {Object} Anything but the world and hashes.
+   */
+  apply(entry) {
+    const server = this.server;
+    const room = this.room;
+    const world = room.world;
+
+    switch (entry.r) {
+      case 'join': {
+        const playerId = entry.session.playerId;
+        world.lastPlayerId = Math.max(world.lastPlayerId, playerId);
+        const client = {
+          playerId: playerId,
+          socket: SILENT_SOCKET,
+          room: room,
+        };
+        room.playerInputQueues.set(playerId, []);
+        room.connectedPlayers.set(`replay-${playerId}`, client);
+        server.connectedPlayers.set(`replay-${playerId}`, client);
+        world.spawnPlayer(entry.session);
+        world.emit('playerSpawn');
+        break;
+      }
+      case 'leave':
+        world.removePlayer(entry.playerId);
+        room.playerInputQueues.delete(entry.playerId);
+        room.connectedPlayers.delete(`replay-${entry.playerId}`);
+        server.connectedPlayers.delete(`replay-${entry.playerId}`);
+        break;
+      case 'cmd': {
+        const player = world.players.get(entry.playerId);
+        const command = player && CommandFactory.makeCommand(player, entry);
+        if (command) {
+          room.queueInputForPlayer(command, entry.playerId);
+        }
+        break;
+      }
+      case 'admin':
+        server.admin.execute([entry.name].concat(entry.args).join(' '),
+          (err) => {
+            if (err) {
+              logger.warn(`Admin command ${entry.name} failed: ${
+                err.message}`);
+            }
+          });
+        break;
+      default:
+        logger.error(`Unknown recording entry ${entry.r}`);
+    }
+  }
+
+  /**
+   * @param filename {String}
+   * @return {Replayer}
+   */
+  static load(filename) {
+    const entries = fs.readFileSync(filename, 'utf8').split('\n')
+      .filter((line) => line.length > 0)
+      .map((line) => JSON.parse(line));
+
+    return new Replayer(entries);
+  }
+}
+
+module.exports = Replayer;
@@ -0,0 +1,271 @@
+'use strict';
+
+const path = require('path');
+
+const World = require('./game/world.js');
+
+const {ServerConfig} = require('../shared/constant.js');
+const Protocol = require('../shared/protocol.js');
+const describeAll = require('./network/descriptor.js');
+const InterestManager = require('./network/interest.js');
+const Metrics = require('./metrics.js');
+
+/**
+ * One of the worlds running on the server, with the clients playing in it.
+ *
+ * The world sees its room as its server: what it broadcasts only reaches the
+ * clients in the socket.io room of the same name, and it is only told about
+ * their input.
+ */
+class Room {
+  /**
+   * @param server {Server}
+   * @param name {String} Unique on the server, the clients choose by it.
+   * @param worldSettings {Object} See World.
+   */
+  constructor(server, name, worldSettings) {
+    /**
+     * @type {Server}
+     */
+    this.server = server;
+
+    /**
+     * @type {String}
+     */
+    this.name = name;
+
+    /**
+     * Key: Socket.id
+     * @type {Map<String, Object>} The entries of Server.connectedPlayers
+     * playing in this world.
+     */
+    this.connectedPlayers = new Map();
+
+    /**
+     * @type {Map<Number, Array.<Function>>}
+     */
+    this.playerInputQueues = new Map();
+
+    /**
+     * @type {{emit: Function}} Stands in for socket.io, to broadcast to the
+     * clients in this world only.
+     */
+    this.io = {
+      emit: (event, data) => server.io.to(name).emit(event, data),
+    };
+
+    /**
+     * @type {InterestManager} Decides which updates each client receives.
+     */
+    this.interest = new InterestManager(this,
+      ServerConfig.INTEREST_RADIUS || 16);
+
+    /**
+     * @type {InputRecorder} Only with '--record'.
+     */
+    this.recorder = null;
+
+    /**
+     * @type {World}
+     */
+    this.world = new World(this, worldSettings);
+  }
+
+  /**
+   * Spawns the player of the session and sends the client the world.
+   * @param client {Object} An entry of Server.connectedPlayers.
+   * @param session {Object} See SessionStore.
+   * @return {Player}
+   */
+  join(client, session) {
+    client.room = this;
+    client.socket.join(this.name);
+
+    this.connectedPlayers.set(client.socket.id, client);
+    this.playerInputQueues.set(client.playerId, []);
+    this.interest.addClient(client);
+
+    if (this.recorder) {
+      this.recorder.join(session);
+    }
+
+    const player = this.world.spawnPlayer(session);
+
+    // Other players are sent as they come into view.
+    // The terrain follows in chunks.
+    client.socket.emit('initWorld', {
+      world: this.name,
+      players: describeAll([player], Protocol.PLAYER),
+      width: this.world.width,
+      height: this.world.height,
+      chunkSize: this.world.tilemap.chunkSize,
+      view: this.interest.viewSize(),
+      id: client.playerId,
+      token: session.token,
+      inventory: player.inventory,
+      weather: this.world.currentWeather,
+    });
+
+    this.interest.streamChunks(client);
+
+    this.world.emit('playerSpawn');
+
+    return player;
+  }
+
+  /**
+   * Removes the player of the client, who may resume their session later.
+   * @param client {Object}
+   */
+  leave(client) {
+    if (this.recorder) {
+      this.recorder.leave(client.playerId);
+    }
+
+    this.interest.removeClient(client);
+    this.world.leavePlayer(client.token, client.playerId);
+    this.playerInputQueues.delete(client.playerId);
+    this.connectedPlayers.delete(client.socket.id);
+  }
+
+  /**
+   * Single game step of this world.
+   *
+   * @param {Number} dt - duration of a step in milliseconds, always the
+   * same.
+   */
+  step(dt) {
+    ++this.world.stepCount;
+
+    // process input commands together.
+    this.playerInputQueues.forEach((commands, playerId) => {
+      commands.forEach((cmd)=>{
+        this.world.processInput(cmd);
+      });
+      commands.length = 0; // clear the array
+    });
+
+    // Main Game Update Goes Here
+    let worldStart = process.hrtime();
+    this.world.step(dt);
+
+    this.server.metrics.worldStepDuration.observe(
+      Metrics.secondsSince(worldStart));
+  }
+
+  /**
+   * Emit an event only to the clients of the given players.
+   * @param playerIds {Array.<Number>}
+   * @param event {String}
+   * @param data {*}
+   */
+  emitToPlayers(playerIds, event, data) {
+    this.connectedPlayers.forEach((client) => {
+      if (playerIds.includes(client.playerId)) {
+        client.socket.emit(event, data);
+      }
+    });
+  }
+
+  /**
+   * Emit an event to the clients that can see the position.
+   * @see InterestManager.emitNear
+   */
+  emitNear(x, y, event, data, kind, state) {
+    this.interest.emitNear(x, y, event, data, kind, state);
+  }
+
+  /**
+   * Emit objects to the clients that have their chunks.
+   * @see InterestManager.emitObjects
+   */
+  emitObjects(event, objects) {
+    this.interest.emitObjects(event, objects);
+  }
+
+  /**
+   * Emit an event to the clients that have the chunk of the position.
+   * @see InterestManager.emitOnChunk
+   */
+  emitOnChunk(x, y, event, data) {
+    this.interest.emitOnChunk(x, y, event, data);
+  }
+
+  /**
+   * @param chunks {Array.<{cx: Number, cy: Number}>} See
+   * Tilemap.chunksAround().
+   * @return {{tiles: ArrayBuffer, trees: ArrayBuffer, chests: ArrayBuffer}}
+   * The 'chunks' event, with the objects on them.
+   */
+  describeChunks(chunks) {
+    const tilemap = this.world.tilemap;
+    const size = tilemap.chunkSize;
+    let objects = [];
+
+    const tiles = chunks.map((pos) => {
+      objects = objects.concat(this.world.objectContainer.objectsIn(
+        pos.cx * size, pos.cy * size, size, size));
+
+      return {
+        x: pos.cx * size,
+        y: pos.cy * size,
+        tiles: tilemap.readChunk(pos.cx, pos.cy),
+      };
+    });
+
+    return {
+      tiles: Protocol.encodeChunks(tiles),
+      trees: describeAll(objects.filter((obj) => obj.type === 'tree'),
+        Protocol.TREE),
+      chests: describeAll(objects.filter((obj) => obj.type === 'chest'),
+        Protocol.CHEST),
+    };
+  }
+
+  /**
+   * Add an input to the input-queue for the specific player, each queue is
+   * key'd by step, because there may be multiple inputs per step.
+   * @param cmd {Function}
+   * @param playerId
+   */
+  queueInputForPlayer(cmd, playerId) {
+    let queue = this.playerInputQueues.get(playerId);
+
+    queue.push(cmd);
+  }
+
+  /**
+   * @return {{name: String, players: Number, width: Number,
+   * height: Number}} What the main menu lists.
+   */
+  describe() {
+    return {
+      name: this.name,
+      players: this.connectedPlayers.size,
+      width: this.world.width,
+      height: this.world.height,
+    };
+  }
+
+  /**
+   * @param worldSettings {Object} See World.
+   * @return {String} The name the world is saved under, or
+   * Room.DEFAULT_NAME if it is not saved.
+   */
+  static nameFor(worldSettings) {
+    if (worldSettings.name) {
+      return worldSettings.name;
+    }
+
+    return worldSettings.filename ?
+      path.basename(worldSettings.filename, '.json') : Room.DEFAULT_NAME;
+  }
+}
+
+/**
+ * @const
+ * @type {String} Of a world that has no name.
+ */
+Room.DEFAULT_NAME = 'world';
+
+module.exports = Room;
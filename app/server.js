@@ -1,12 +1,27 @@
 'use strict';
 
+const crypto = require('crypto');
+
 const logger = require('./logger.js');
 
-const World = require('./game/world.js');
+const Room = require('./room.js');
 const CommandFactory = require('./game/command');
 
-const {ServerConfig, WorldConfig, Commands} = require('../shared/constant.js');
-const describeAll = require('./network/descriptor.js');
+const {
+  ServerConfig,
+  WorldConfig,
+  InputLimits,
+  ChatConfig,
+} = require('../shared/constant.js');
+const Protocol = require('../shared/protocol.js');
+const negotiate = require('./network/handshake.js');
+const JoinQueue = require('./network/join_queue.js');
+const InputGuard = require('./network/input_guard.js');
+const AdminCommands = require('./admin/admin_commands.js');
+const Metrics = require('./metrics.js');
+const FixedTimestep = require('./fixed_timestep.js');
+const InputRecorder = require('./recording/recorder.js');
+const DeltaEncoder = require('./network/delta_encoder.js');
 
 /**
  * Server is the main server-side singleton code.
@@ -18,28 +33,81 @@ class Server {
     /**
      * Key: Socket.id
      * @type {Map<String, Object>} HashTable that contains the currently.
-     * connected players.
+     * connected players, of every world.
      */
     this.connectedPlayers = new Map();
 
-    /**
-     * @type {Map<Number, Array.<Function>>}
-     */
-    this.playerInputQueues = new Map();
-
     this.intervalFrameRate = ServerConfig.STEP_RATE || 60;
+    this.sendRate = ServerConfig.SEND_RATE || 30;
     this.maximumPlayer = ServerConfig.MAX_PLAYERS || 50;
     this.timeoutInterval = ServerConfig.TIMEOUT_INTERVAL || 40;
+    this.autosaveInterval = ServerConfig.AUTOSAVE_INTERVAL || 0;
 
-    this.lastPlayerID = 0;
+    /**
+     * @type {JoinQueue} Clients waiting for a slot once the world is full.
+     */
+    this.joinQueue = new JoinQueue(this.maximumPlayer,
+      ServerConfig.RESERVED_SLOTS || 0);
+
+    /**
+     * @type {String} Lets admins take the reserved slots, none without.
+     */
+    this.adminKey = process.env.ADMIN_KEY || null;
 
     /**
-     * @type {World} The actual game world
+     * Key: Room.name
+     * @type {Map<String, Room>} The worlds running on this server.
+     */
+    this.rooms = new Map();
+
+    /**
+     * @type {Room} The first world, which clients join unless they choose
+     * another.
+     */
+    this.defaultRoom = null;
+
+    /**
+     * @type {World} The world of the default room.
      */
     this.world = null;
 
     this.gameTick = 0;
-    this.outgoingBuffer = [];
+
+    /**
+     * @type {DeltaEncoder} Sends each client only what changed.
+     */
+    this.deltaEncoder = new DeltaEncoder(ServerConfig.KEYFRAME_INTERVAL || 120);
+
+    /**
+     * @type {InputGuard} Drops invalid and excess input commands.
+     */
+    this.inputGuard = new InputGuard(InputLimits);
+
+    /**
+     * @type {AdminCommands} What operators can do, from the console or the
+     * '/admin' namespace.
+     */
+    this.admin = new AdminCommands(this);
+
+    /**
+     * @type {Metrics} Served on '/metrics'.
+     */
+    this.metrics = new Metrics();
+
+    /**
+     * @type {boolean} No one joins anymore once shutdown() was called.
+     */
+    this.shuttingDown = false;
+
+    /**
+     * @type {Object} Interval of the countdown to the shutdown.
+     */
+    this.shutdownTimer = null;
+
+    /**
+     * @type {Function} The callback of shutdown().
+     */
+    this.shutdownCallback = null;
 
     this.setupSocketIO(io);
   }
@@ -52,70 +120,354 @@ class Server {
     io.on('connection', (socket) => {
       this.onPlayerConnected(socket);
     });
+
+    // Admin tools connect with the key as query, ?key=<ADMIN_KEY>
+    io.of('/admin').use((socket, next) => {
+      if (this.isAdminKey(socket.handshake.query.key)) {
+        next();
+      } else {
+        logger.warn(`[${socket.id}] Admin login refused`);
+        next(new Error('Not authorized'));
+      }
+    }).on('connection', (socket) => {
+      this.onAdminConnected(socket);
+    });
   }
 
   /**
+   * @param socket {Socket} Of the '/admin' namespace.
+   */
+  onAdminConnected(socket) {
+    logger.warn(`[${socket.id}] Admin connected`);
+
+    /**
+     * Runs a command, see AdminCommands.
+     * @param line {String}
+     * @param ack {Function} Called with {error, output}.
+     */
+    socket.on('command', (line, ack) => {
+      this.admin.execute(line, (err, output) => {
+        if (typeof ack === 'function') {
+          ack({error: err ? err.message : null, output: output || null});
+        }
+      });
+    });
+  }
+
+  /**
+   * Adds a world to the server, the first one becomes the default.
    * @param worldSettings {Object=}
    * @param worldSettings.filename {String}
+   * @param worldSettings.name {String=} Of the room, the filename without
+   * '.json' by default, see Room.nameFor().
+   * @param worldSettings.seed {Number|String=}
+   * @param worldSettings.width {Number=}
+   * @param worldSettings.height {Number=}
+   * @param worldSettings.terrain {String|Array.<Object>=}
+   * @return {Room}
    */
   initWorld(worldSettings = {filename: null}) {
-    this.world = new World(this, worldSettings.filename);
+    const name = Room.nameFor(worldSettings);
+    if (this.rooms.has(name)) {
+      throw new Error(`There already is a world named ${name}`);
+    }
 
-    /**
-     * The worldSettings defines the game world constants, such
-     * as width, height, depth, etc. such that all other classes
-     * can reference these values.
-     * @member {Object} worldSettings
-     * @memberof Server
-     */
-    this.worldSettings = Object.assign({}, worldSettings);
+    const room = new Room(this, name, worldSettings);
+    this.rooms.set(name, room);
+
+    if (!this.defaultRoom) {
+      this.defaultRoom = room;
+      this.world = room.world;
+    }
+
+    return room;
   }
 
   /**
    * Setup very thing needed before the first game tick.
+   * @param args {Array.<String>} Command line arguments, the names of the
+   * worlds, the first one is the default, each optionally followed by
+   * ':<pipeline>' to generate it with a terrain pipeline other than
+   * TerrainConfig.PIPELINE, e.g. 'arena:island'. Optionally '--seed=<seed>'
+   * for the new ones and '--record' to record the input for a replay, one
+   * recording per world.
    */
   setup(args) {
-    this.initWorld({filename: args[0]});
+    let worlds = [];
+    let seed = WorldConfig.SEED;
+    let record = false;
+
+    args.forEach((arg) => {
+      const seedArg = /^--seed=(.*)$/.exec(arg);
+      if (seedArg) {
+        seed = seedArg[1];
+      } else if (arg === '--record') {
+        record = true;
+      } else {
+        const world = /^(.*?)(?::(.*))?$/.exec(arg);
+        worlds.push({filename: world[1], terrain: world[2]});
+      }
+    });
+
+    if (worlds.length === 0) {
+      worlds.push({filename: null});
+    }
+
+    worlds.forEach((world) => {
+      const room = this.initWorld({filename: world.filename, seed: seed,
+        terrain: world.terrain});
+
+      if (record) {
+        room.recorder = new InputRecorder(
+          InputRecorder.filenameFor(world.filename), room.world,
+          1000 / this.intervalFrameRate, room.name);
+      }
+    });
+  }
+
+  /**
+   * @param name {String=} Of a room, the default room if omitted.
+   * @return {Room} null if there is no such world.
+   */
+  findRoom(name) {
+    if (name === undefined || name === null) {
+      return this.defaultRoom;
+    }
+
+    return this.rooms.get(name) || null;
+  }
+
+  /**
+   * Player ids are unique on the server, each world only remembers the last
+   * one it gave.
+   * @param room {Room} Where the new player joins.
+   * @return {Number} An id no player had before in any of the worlds.
+   */
+  nextPlayerId(room) {
+    this.rooms.forEach((other) => {
+      room.world.lastPlayerId = Math.max(room.world.lastPlayerId,
+        other.world.lastPlayerId);
+    });
+
+    return room.world.nextPlayerId();
+  }
+
+  /**
+   * @param callback {Function} Called with the first error, if any, once
+   * every world was saved.
+   */
+  saveWorlds(callback) {
+    let pending = this.rooms.size;
+    let error = null;
+
+    if (pending === 0) {
+      callback(null);
+      return;
+    }
+
+    this.rooms.forEach((room) => {
+      room.world.save((err) => {
+        if (err) {
+          logger.error(`Failed to save ${room.name}: ${err.message}`);
+          error = error || err;
+        }
+
+        if (--pending === 0) {
+          callback(error);
+        }
+      });
+    });
   }
 
   /**
-   * Start game logic and the clock
+   * Start game logic and the clock.
+   *
+   * The world advances in fixed steps of 1000 / STEP_RATE milliseconds no
+   * matter how late the timer fires, and updates go out at SEND_RATE.
    */
   start() {
-    const intervalDelta = Math.floor(1000 / this.intervalFrameRate);
+    this.timestep = new FixedTimestep(1000 / this.intervalFrameRate,
+      ServerConfig.MAX_CATCH_UP_STEPS || 5);
 
-    this.outgoingDelta = Math.floor((1000 / this.intervalFrameRate) * 2);
+    // e.g. steps at 60 fps, world data is sent at 30 fps
+    this.stepsPerSend = Math.max(1,
+      Math.round(this.intervalFrameRate / this.sendRate));
+    this.lastSendTick = this.gameTick;
 
     this.serverStartTime = (new Date().getTime());
     this.lastServerTime = this.serverStartTime;
 
-    // game ticks at 60 fps
-    // world data is sent 30 fps
     this.intervalGameTick = setInterval(() => {
-      let timeNow = (new Date().getTime());
+      this.tick();
+    }, Math.floor(this.timestep.stepDelta));
 
-      const dt = timeNow - this.lastServerTime;
+    if (this.autosaveInterval > 0) {
+      this.intervalAutosave = setInterval(() => {
+        this.saveWorlds(() => {});
+      }, this.autosaveInterval * 1000);
+    }
+  }
 
-      this.step(dt);
+  /**
+   * Runs the steps that are due since the last call, then sends the updates
+   * if it is time to.
+   */
+  tick() {
+    let tickStart = process.hrtime();
+    let timeNow = (new Date().getTime());
 
-      // ------- create world descriptor, ignore if there is no players
+    const due = this.timestep.advance(timeNow - this.lastServerTime);
+    this.lastServerTime = timeNow;
 
-      if (this.connectedPlayers.size !== 0) {
-        let str = describeAll(this.world.players);
+    if (due.skipped > 0) {
+      logger.warn(`Server fell behind, skipped ${due.skipped} steps`);
+      this.metrics.skippedSteps.inc(null, due.skipped);
+    }
 
-        this.outgoingBuffer.push({
-          t: this.gameTick,
-          d: str,
-        });
+    for (let i = 0; i < due.steps; i++) {
+      this.step(this.timestep.stepDelta);
+      this.gameTick++;
 
-        this.sendOutgoingBuffer();
+      this.rooms.forEach((room) => {
+        if (room.recorder) {
+          room.recorder.stepped();
+        }
+      });
+    }
+
+    this.rooms.forEach((room) => {
+      if (room.recorder) {
+        room.recorder.flush();
       }
+    });
 
-      // ------
+    if (this.gameTick - this.lastSendTick >= this.stepsPerSend) {
+      this.lastSendTick = this.gameTick;
+      this.sendUpdates();
+    }
 
-      this.lastServerTime = timeNow;
-      this.gameTick++;
-    }, intervalDelta);
+    let tickDuration = Metrics.secondsSince(tickStart);
+    this.metrics.tickDuration.observe(tickDuration);
+    if (tickDuration * 1000 > this.timestep.stepDelta) {
+      this.metrics.tickOverruns.inc();
+    }
+  }
+
+  /**
+   * Create the world descriptor of each client's surroundings, and send it.
+   */
+  sendUpdates() {
+    this.connectedPlayers.forEach((client) => {
+      const room = client.room;
+      room.interest.streamChunks(client);
+      const players = room.interest.updateClient(client);
+      const player = room.world.players.get(client.playerId);
+      const update = this.deltaEncoder.encode(client, players, this.gameTick,
+        player ? player.inputSeq : 0);
+
+      if (update) {
+        client.outgoingBuffer.push(update);
+      }
+    });
+
+    this.sendOutgoingBuffer();
+  }
+
+  /**
+   * Stop the game clock.
+   */
+  stop() {
+    clearInterval(this.intervalGameTick);
+    clearInterval(this.intervalAutosave);
+  }
+
+  /**
+   * Stop taking players, count down for the ones playing, then send the last
+   * updates, save the worlds and the players, and let everyone go. Calling it
+   * again during the countdown shuts down at once.
+   * @param callback {Function} Called with an error, if any, once done.
+   * @param countdown {Number=} Seconds the players are warned in advance.
+   */
+  shutdown(callback, countdown = ServerConfig.SHUTDOWN_COUNTDOWN || 0) {
+    if (this.shuttingDown) {
+      if (this.shutdownTimer) {
+        logger.info('Skipping the countdown.');
+        clearInterval(this.shutdownTimer);
+        this.shutdownTimer = null;
+        this.finishShutdown();
+      }
+      return;
+    }
+
+    logger.info(`Shutting down in ${countdown} seconds...`);
+
+    this.shuttingDown = true;
+    this.shutdownCallback = callback;
+
+    const waiting = [];
+    this.joinQueue.forEach((entry) => waiting.push(entry.socket));
+    waiting.forEach((socket) => {
+      this.rejectClient(socket, Server.SHUTDOWN_REASON);
+    });
+
+    if (countdown <= 0) {
+      this.finishShutdown();
+      return;
+    }
+
+    let remaining = countdown;
+    this.announceShutdown(remaining);
+    this.shutdownTimer = setInterval(() => {
+      remaining--;
+      if (remaining > 0) {
+        if (remaining <= 5) {
+          this.announceShutdown(remaining);
+        }
+        return;
+      }
+
+      clearInterval(this.shutdownTimer);
+      this.shutdownTimer = null;
+      this.finishShutdown();
+    }, 1000);
+  }
+
+  /**
+   * Tells the players how long they have left, at the start of the countdown
+   * and every second of the last five.
+   * @private
+   * @param seconds {Number}
+   */
+  announceShutdown(seconds) {
+    this.io.emit('serverMessage', {
+      text: `The server shuts down in ${seconds} second${
+        seconds === 1 ? '' : 's'}.`,
+    });
+  }
+
+  /**
+   * @private
+   */
+  finishShutdown() {
+    this.stop();
+    this.sendUpdates();
+
+    this.rooms.forEach((room) => {
+      if (room.recorder) {
+        room.recorder.close();
+      }
+    });
+
+    this.saveWorlds((err) => {
+      const sockets = [];
+      this.connectedPlayers.forEach((client) => sockets.push(client.socket));
+      sockets.forEach((socket) => {
+        this.rejectClient(socket, Server.SHUTDOWN_REASON);
+      });
+
+      logger.info('Shut down.');
+      this.shutdownCallback(err);
+    });
   }
 
   /**
@@ -126,9 +478,13 @@ class Server {
   }
 
   sendOutgoingBuffer() {
-    this.io.emit('update', this.outgoingBuffer);
-
-    this.outgoingBuffer = [];
+    this.connectedPlayers.forEach((client) => {
+      if (client.outgoingBuffer.length !== 0) {
+        client.socket.emit('update',
+          Protocol.encodeUpdates(client.outgoingBuffer));
+        client.outgoingBuffer = [];
+      }
+    });
   }
 
   resetIdleTimeout(socket) {
@@ -144,23 +500,19 @@ class Server {
   }
 
   /**
-   * Single game step.
+   * Single game step of every world.
    *
-   * @param {Number=} dt - elapsed time since last step was called.
+   * @param {Number} dt - duration of a step in milliseconds, always the
+   * same.
    */
   step(dt) {
-    let step = ++this.world.stepCount;
+    let stepStart = process.hrtime();
 
-    // process input commands together.
-    this.playerInputQueues.forEach((commands, playerId) => {
-      commands.forEach((cmd)=>{
-        this.world.processInput(cmd);
-      });
-      commands.length = 0; // clear the array
+    this.rooms.forEach((room) => {
+      room.step(dt);
     });
 
-    // Main Game Update Goes Here
-    this.world.step(dt);
+    this.metrics.serverStepDuration.observe(Metrics.secondsSince(stepStart));
   }
 
   /**
@@ -172,16 +524,209 @@ class Server {
     let onlineCount = this.connectedPlayers.size + 1;
     logger.info(`[${onlineCount}] A Client connected`);
 
-    // get next available id
-    let playerId = ++this.lastPlayerID;
+    this.metrics.watchSocket(socket);
+
+    let ban = this.findBan(socket.handshake.query.token,
+      socket.handshake.address);
+    if (ban) {
+      this.rejectClient(socket, 'You are banned from this server.');
+      return;
+    }
+
+    // clients that never say hello are most likely out of date
+    let timeout = setTimeout(() => {
+      this.rejectClient(socket, 'Your game is out of date, please refresh.');
+    }, ServerConfig.HANDSHAKE_TIMEOUT * 1000);
+
+    socket.once('disconnect', () => {
+      clearTimeout(timeout);
+    });
+
+    socket.once('hello', (hello) => {
+      clearTimeout(timeout);
+
+      let result = this.shuttingDown ? {reason: Server.SHUTDOWN_REASON} :
+        negotiate(hello);
+      if (result.reason) {
+        this.rejectClient(socket, result.reason);
+        return;
+      }
+
+      let room = this.findRoom(hello.world);
+      if (!room) {
+        this.rejectClient(socket, `There is no world named ${hello.world}.`);
+        return;
+      }
+
+      socket.emit('welcome',
+        Object.assign({config: this.clientConfig()}, result));
+
+      let admin = this.isAdminKey(hello.adminKey);
+      if (this.joinQueue.hasSlotFor(this.connectedPlayers.size,
+          this.countAdmins(), admin)) {
+        this.onPlayerAdmitted(socket, result, admin, room);
+      } else {
+        this.enqueueClient(socket, result, admin, room);
+      }
+    });
+  }
+
+  /**
+   * A ban holds on the whole server, whichever world it was made in.
+   * @param token {String=}
+   * @param address {String=}
+   * @return {Object} The ban, or null.
+   */
+  findBan(token, address) {
+    let found = null;
+
+    this.rooms.forEach((room) => {
+      found = found || room.world.bans.find(token, address);
+    });
+
+    return found;
+  }
+
+  /**
+   * @return {{stepRate: Number, sendRate: Number, chatMaxLength: Number}}
+   * The settings the client needs to keep in step, sent with 'welcome'.
+   */
+  clientConfig() {
+    return {
+      stepRate: this.intervalFrameRate,
+      sendRate: this.sendRate,
+      chatMaxLength: ChatConfig.MAX_LENGTH,
+    };
+  }
+
+  /**
+   * @param key {*} As sent by the client.
+   * @return {boolean}
+   */
+  isAdminKey(key) {
+    if (!this.adminKey || typeof key !== 'string') {
+      return false;
+    }
+
+    let given = Buffer.from(key);
+    let expected = Buffer.from(this.adminKey);
+    return given.length === expected.length &&
+      crypto.timingSafeEqual(given, expected);
+  }
+
+  /**
+   * @return {Number} Admins among the connected players.
+   */
+  countAdmins() {
+    let count = 0;
+    this.connectedPlayers.forEach((client) => {
+      if (client.admin) {
+        count++;
+      }
+    });
+    return count;
+  }
+
+  /**
+   * The server is full, the client waits for a slot.
+   * @param socket {Socket}
+   * @param protocol {{version: Number, features: Array.<String>}}
+   * @param admin {boolean}
+   * @param room {Room=} The world it joins, the default one if omitted.
+   */
+  enqueueClient(socket, protocol, admin, room = this.defaultRoom) {
+    this.joinQueue.add({socket: socket, protocol: protocol, admin: admin,
+      room: room});
+    logger.info(`[${socket.id}] Waiting to join, ` +
+      `${this.joinQueue.count()} in queue`);
+
+    this.sendQueuePositions();
+
+    socket.once('disconnect', () => {
+      if (this.joinQueue.remove(socket)) {
+        this.sendQueuePositions();
+      }
+    });
+  }
+
+  /**
+   * Let in as many waiting clients as there are free slots.
+   */
+  admitWaiting() {
+    let admitted = false;
+    let entry;
+
+    while ((entry = this.joinQueue.next(this.connectedPlayers.size,
+        this.countAdmins()))) {
+      admitted = true;
+      if (entry.socket.connected) {
+        this.onPlayerAdmitted(entry.socket, entry.protocol, entry.admin,
+          entry.room);
+      }
+    }
+
+    if (admitted) {
+      this.sendQueuePositions();
+    }
+  }
+
+  /**
+   * Tell each waiting client how far it is from joining.
+   */
+  sendQueuePositions() {
+    let length = this.joinQueue.count();
+
+    this.joinQueue.forEach((entry, position) => {
+      entry.socket.emit('queue', {position: position, length: length});
+    });
+  }
+
+  /**
+   * Tell the client why it cannot play, and let it go.
+   * @param socket {Socket}
+   * @param reason {String} Shown to the player.
+   */
+  rejectClient(socket, reason) {
+    logger.warn(`[${socket.id}] Rejected: ${reason}`);
+    socket.emit('rejected', {reason: reason});
+    socket.disconnect(true);
+  }
+
+  /**
+   * Called once the client agreed on the protocol and got a slot.
+   * @param socket {Socket}
+   * @param protocol {{version: Number, features: Array.<String>}}
+   * @param admin {boolean} Takes a reserved slot.
+   * @param room {Room=} The world it joins, the default one if omitted.
+   */
+  onPlayerAdmitted(socket, protocol, admin, room = this.defaultRoom) {
+    // resume the player of a returning client, or get next available id
+    let token = socket.handshake.query.token;
+    this.takeOverSession(room, token);
+    let session = room.world.sessions.resume(token);
+    if (session) {
+      logger.info(`Player ${session.playerId} resumed the session`);
+    } else {
+      session = room.world.sessions.create(this.nextPlayerId(room));
+    }
+
+    let playerId = session.playerId;
 
     // save player
-    this.playerInputQueues.set(playerId, []);
-    this.connectedPlayers.set(socket.id, {
+    let client = {
       socket: socket,
       state: 'new',
       playerId: playerId,
-    });
+      token: session.token,
+      protocol: protocol,
+      admin: admin,
+      outgoingBuffer: [],
+    };
+
+    this.connectedPlayers.set(socket.id, client);
+    this.deltaEncoder.addClient(client,
+      protocol.features.indexOf(Protocol.FEATURES.DELTA) !== -1);
+    this.inputGuard.addClient(client);
 
     // create a new Event (indicating connection)
     let playerEvent = {
@@ -191,12 +736,12 @@ class Server {
       disconnectTime: 0,
     };
 
-    logger.info(`[${playerEvent.id}] Has joined the world
+    logger.info(`[${playerEvent.id}] Has joined the world ${room.name}
       playerId        ${playerEvent.playerId}
       joinTime        ${playerEvent.joinTime}
       disconnectTime  ${playerEvent.disconnectTime}`);
 
-    this.onPlayerJoinWorld(socket, playerEvent);
+    this.onPlayerJoinWorld(socket, playerEvent, session, room);
 
     socket.on('disconnect', () => {
       this.onPlayerDisconnected(socket, playerEvent);
@@ -208,43 +753,74 @@ class Server {
     });
   }
 
+  /**
+   * A client that comes back before its old connection is noticed to be gone,
+   * as after a network blip, takes the session over. The old socket is
+   * disconnected, which suspends the session for it to be resumed.
+   * @param room {Room}
+   * @param token {String=}
+   */
+  takeOverSession(room, token) {
+    let stale = null;
+    room.connectedPlayers.forEach((client) => {
+      if (token && client.token === token) {
+        stale = client;
+      }
+    });
+
+    if (stale) {
+      logger.info(`[${stale.socket.id}] Replaced by a new connection of ` +
+        `player ${stale.playerId}`);
+      stale.socket.disconnect(true);
+    }
+  }
+
   /**
    * handle player when join the world
    * @param socket {Socket}
    * @param playerEvent {Object}
+   * @param session {Object} See SessionStore.
+   * @param room {Room}
    */
-  onPlayerJoinWorld(socket, playerEvent) {
+  onPlayerJoinWorld(socket, playerEvent, session, room) {
     this.resetIdleTimeout(socket);
-    // This send the data of all player to the new-joined client.
-    let newX;
-    let newY;
-    do {
-      newX = Math.floor(Math.random() * WorldConfig.WIDTH);
-      newY = Math.floor(Math.random() * WorldConfig.HEIGHT);
-    } while (!this.world.isPassable(newX, newY, 2));
-
-    playerEvent.x = newX;
-    playerEvent.y = newY;
-
-    this.world.addPlayer(newX, newY, playerEvent.playerId);
-
-    socket.emit('initWorld', {
-      players: describeAll(this.world.players),
-      tiles: this.world.tilemap.serialize(),
-      trees: describeAll(this.world.getTreePosArray()),
-      chests: describeAll(this.world.getChestPosArray()),
-      id: playerEvent.playerId,
-      weather: this.world.currentWeather,
-    });
-
-    // This send out the new-joined client's data to all other clients
-    socket.broadcast.emit('playerEvent', playerEvent);
 
     socket.on('inputCommand', (cmd) => {
       this.onReceivedInput(cmd, socket, playerEvent.playerId);
     });
 
-    this.world.emit('playerSpawn');
+    socket.on('ack', (tick) => {
+      const client = this.connectedPlayers.get(socket.id);
+      if (client && typeof tick === 'number') {
+        this.deltaEncoder.acknowledge(client, tick);
+      }
+    });
+
+    let player = room.join(this.connectedPlayers.get(socket.id), session);
+
+    playerEvent.x = player._x;
+    playerEvent.y = player._y;
+  }
+
+  /**
+   * Sends a player to another world with their inventory. They get a new
+   * session there, which the client is told to resume as it connects again.
+   * @param client {Object} An entry of connectedPlayers.
+   * @param room {Room}
+   */
+  movePlayer(client, room) {
+    const from = client.room;
+    const record = from.world.releasePlayer(client.token, client.playerId);
+    const session = room.world.adoptPlayer(record);
+
+    logger.info(`Player ${client.playerId} moves from ${from.name} to ${
+      room.name}`);
+
+    client.socket.emit('changeWorld', {
+      world: room.name,
+      token: session.token,
+    });
+    client.socket.disconnect(true);
   }
 
   onPlayerTimeout(socket) {
@@ -260,12 +836,12 @@ class Server {
    */
   onPlayerDisconnected(socket, playerEvent) {
     playerEvent.disconnectTime = this.getSeverTime();
-    socket.broadcast.emit('playerEvent', playerEvent);
 
     // Remove from Game World
     let player = this.connectedPlayers.get(socket.id);
     if (player) {
-      this.world.removePlayer(player.playerId);
+      player.room.io.emit('playerEvent', playerEvent);
+      player.room.leave(player);
     } else {
       logger.error('should not happen');
     }
@@ -275,6 +851,8 @@ class Server {
 
     let onlineCount = this.connectedPlayers.size;
     logger.info(`[${onlineCount}] A Client disconnected`);
+
+    this.admitWaiting();
   }
 
   /**
@@ -285,43 +863,61 @@ class Server {
    * @param playerId {Number}
    */
   onReceivedInput(cmd, socket, playerId) {
-    const player = this.world.players.get(playerId);
+    const client = this.connectedPlayers.get(socket.id);
+    if (!client) {
+      return;
+    }
+
+    const room = client.room;
+    const player = room.world.players.get(playerId);
+
+    const violation = this.inputGuard.check(client, cmd);
+    this.metrics.countCommand(cmd && cmd.type, !violation);
+    if (violation) {
+      this.onInputViolation(socket, violation);
+      return;
+    }
 
     this.resetIdleTimeout(socket);
 
-    let command;
-    switch (cmd.type) {
-      case Commands.MOVEMENT:
-        command = CommandFactory.makeMoveCommand(player, cmd.params);
-        break;
-      case Commands.ALTER_TILE:
-        command = CommandFactory.makeChangeTileCommand(player, cmd.params);
-        break;
-      case Commands.COMMUNICATION:
-        command = CommandFactory.makeCommunicateCommand(player, cmd.params);
-        break;
-      case Commands.INTERACTION:
-        command = CommandFactory.makeInteractCommand(player, cmd.params);
-        break;
-      default:
-        logger.error(`Invalid Command ${cmd.type}`);
-        return;
+    let command = CommandFactory.makeCommand(player, cmd);
+    if (!command) {
+      logger.error(`Invalid Command ${cmd.type}`);
+      return;
+    }
+
+    if (room.recorder) {
+      room.recorder.command(playerId, cmd);
     }
 
-    this.queueInputForPlayer(command, playerId);
+    room.queueInputForPlayer(command, playerId);
   }
 
   /**
-   * Add an input to the input-queue for the specific player, each queue is
-   * key'd by step, because there may be multiple inputs per step.
-   * @param cmd {Function}
-   * @param playerId
+   * The command was dropped, tell the player why when it gets serious.
+   * @param socket {Socket}
+   * @param violation {{action: String, reason: String}} See InputGuard.
    */
-  queueInputForPlayer(cmd, playerId) {
-    let queue = this.playerInputQueues.get(playerId);
-
-    queue.push(cmd);
+  onInputViolation(socket, violation) {
+    switch (violation.action) {
+      case InputGuard.ACTION.WARN:
+        socket.emit('warning', {
+          reason: violation.reason === InputGuard.TOO_MANY ?
+            'Slow down, you are sending too many commands.' :
+            `Your commands are dropped: ${violation.reason}.`,
+        });
+        break;
+      case InputGuard.ACTION.KICK:
+        this.rejectClient(socket, `Kicked for ${violation.reason}.`);
+        break;
+    }
   }
 }
 
+/**
+ * @const
+ * @type {String} Shown to the players sent away by shutdown().
+ */
+Server.SHUTDOWN_REASON = 'The server was shut down, please come back later.';
+
 module.exports = Server;
@@ -11,7 +11,7 @@
 class Serializable {
   /**
    * @abstract
-   * @return {String}
+   * @return {Object} A record of one of the schemas of 'shared/protocol.js'.
    */
   serialize() {}
 }
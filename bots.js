@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * Load test, connects headless bots to a running server and reports how it
+ * keeps up, see Bot and Behaviours.
+ *
+ *   node bots.js [--url=<server>] [--count=<bots>]
+ *     [--behaviours=walk,trees,tiles,chests] [--ramp=<bots per second>]
+ *     [--duration=<seconds>] [--think=<milliseconds>]
+ */
+const http = require('http');
+
+const logger = require('./app/logger.js');
+const Bot = require('./app/bots/bot.js');
+const Behaviours = require('./app/bots/behaviours.js');
+const LoadReport = require('./app/bots/load_report.js');
+
+/**
+ * @type {Number} Seconds between two reports.
+ */
+const REPORT_INTERVAL = 5;
+
+const options = {
+  url: 'http://localhost:8080',
+  count: 100,
+  behaviours: Object.keys(Behaviours).join(','),
+  ramp: 10,
+  duration: 60,
+  think: 250,
+};
+
+process.argv.slice(2).forEach((arg) => {
+  const match = /^--(\w+)=(.*)$/.exec(arg);
+  if (!match || !options.hasOwnProperty(match[1])) {
+    logger.error(`Unknown argument ${arg}`);
+    process.exit(1);
+  }
+  options[match[1]] = typeof options[match[1]] === 'number' ?
+    +match[2] : match[2];
+});
+
+const behaviours = options.behaviours.split(',');
+behaviours.forEach((name) => {
+  if (!Behaviours[name]) {
+    logger.error(`Unknown behaviour ${name}, try ${
+      Object.keys(Behaviours).join(', ')}`);
+    process.exit(1);
+  }
+});
+
+/**
+ * @param callback {function(String)} Called with the server's '/metrics',
+ * or null if they cannot be read.
+ */
+function readMetrics(callback) {
+  const req = http.get(`${options.url}/metrics`, (res) => {
+    let text = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      text += chunk;
+    });
+    res.on('end', () => callback(res.statusCode === 200 ? text : null));
+  });
+  req.on('error', () => callback(null));
+  req.setTimeout(REPORT_INTERVAL * 1000, () => req.abort());
+}
+
+const bots = [];
+const report = new LoadReport();
+let start;
+let lastReport;
+let spawner;
+let reporter;
+
+/**
+ * Disconnects every bot and ends.
+ */
+function stop() {
+  clearInterval(spawner);
+  clearInterval(reporter);
+  bots.forEach((bot) => bot.disconnect());
+
+  logger.info(`Stopped ${bots.length} bots.`);
+
+  // let the disconnects go out, or the server waits for them to time out
+  setTimeout(() => process.exit(0), 500);
+}
+
+readMetrics((metrics) => {
+  report.start(metrics);
+  start = lastReport = Date.now();
+
+  spawner = setInterval(() => {
+    const bot = new Bot(options.url,
+      Behaviours[behaviours[bots.length % behaviours.length]], options.think);
+    bots.push(bot);
+    bot.connect();
+
+    if (bots.length >= options.count) {
+      clearInterval(spawner);
+    }
+  }, 1000 / options.ramp);
+
+  reporter = setInterval(() => {
+    readMetrics((metrics) => {
+      const now = Date.now();
+      const line = LoadReport.format(report.sample(bots,
+        (now - lastReport) / 1000, metrics));
+      lastReport = now;
+
+      logger.info(`[${Math.round((now - start) / 1000)}s] ${line}`);
+    });
+  }, REPORT_INTERVAL * 1000);
+
+  setTimeout(stop, options.duration * 1000);
+});
+
+process.on('SIGINT', stop);
+
+logger.info(`Connecting ${options.count} bots (${behaviours.join(', ')}) ` +
+  `to ${options.url}...`);
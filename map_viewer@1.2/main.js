@@ -1,109 +1,124 @@
+/**
+ * Shows the terrain two pipelines generate from the same seed side by side,
+ * as the server would generate it for a new world, see '/api/terrain'.
+ * Served by the game server at /map-viewer/?key=<ADMIN_KEY>.
+ */
 window.onload = function() {
-    var canvas = document.getElementById("viewport"); 
-    var context = canvas.getContext("2d");
+    var SCALE = 2;
 
-    context.webkitImageSmoothingEnabled = false;
-    context.imageSmoothingEnabled = false;
- 
-    var width = 128;
-    var height = 128;
- 
-    var imagedata = context.createImageData(width, height);
+    var key = /[?&]key=([^&]*)/.exec(window.location.search);
 
-    var tileMap = new Tilemap({width: width, height: height});
- 
-    function createImage(offset) {
-        for (var x=0; x<width; x++) {
-            for (var y=0; y<height; y++) {
-                var pixelindex = (y * width + x) * 4;
+    // By tile id, see Tiles in '/shared/constant.js'.
+    var COLORS = {
+        0: [22, 148, 22], // grass
+        1: [232, 215, 88], // sand
+        2: [155, 155, 155], // stone
+        3: [24, 24, 200], // water
+        4: [139, 90, 43], // bridge
+        5: [22, 108, 22], // forest
+        6: [128, 222, 222], // snow
+        7: [255, 173, 51], // desert
+        8: [200, 240, 255], // ice
+        9: [110, 110, 110] // cobblestone
+    };
 
-                var tileType = tileMap.getTileAt(x, y);
+    var settings = {
+        left: 'default',
+        right: 'island',
+        seed: '',
+        size: 128,
+        regenerate: function() {
+            settings.seed = '';
+            draw();
+        }
+    };
 
-                var col = {r: 0, g: 0, b: 0};
+    /**
+     * @param query {Object}
+     * @param callback {function(Object)} Gets the parsed answer.
+     */
+    function fetchTerrain(query, callback) {
+        var params = Object.keys(query).map(function(key) {
+            return key + '=' + encodeURIComponent(query[key]);
+        }).join('&');
 
-                if(tileType === 0){ //grass
-                    col.r = 22;
-                    col.g = 148;
-                    col.b = 22;
-                }
-                else if(tileType === 1){ //sand
-                    col.r = 232;
-                    col.g = 215;
-                    col.b = 88; 
-                }
-                else if(tileType === 2){ //stone
-                    col.r = 155;
-                    col.g = 155;
-                    col.b = 155; 
-                }
-                else if(tileType === 3){ //water
-                    col.r = 24;
-                    col.g = 24;
-                    col.b = 200; 
-                }
-                else if(tileType === 5){ //forest
-                    col.r = 22;
-                    col.g = 108;
-                    col.b = 22; 
-                }
-                else if(tileType === 6){ //snow
-                    col.r = 128;
-                    col.g = 222;
-                    col.b = 222; 
-                }
-                else if(tileType === 7){ //desert
-                    col.r = 255;
-                    col.g = 173;
-                    col.b = 51; 
-                }
- 
-                // Set the pixel data
-                imagedata.data[pixelindex] = col.r;     // Red
-                imagedata.data[pixelindex+1] = col.g; // Green
-                imagedata.data[pixelindex+2] = col.b;  // Blue
-                imagedata.data[pixelindex+3] = 255;   // Alpha
-            }
+        var request = new XMLHttpRequest();
+        request.open('GET', '/api/terrain' + (params ? '?' + params : ''));
+        if (key) {
+            request.setRequestHeader('Authorization',
+                'Bearer ' + decodeURIComponent(key[1]));
         }
+        request.onload = function() {
+            callback(JSON.parse(request.responseText));
+        };
+        request.send();
     }
 
-    createImage(0);
-    context.putImageData(imagedata, 0, 0);
+    /**
+     * @param canvas {HTMLCanvasElement}
+     * @param terrain {Object} As answered by '/api/terrain'.
+     */
+    function paint(canvas, terrain) {
+        var context = canvas.getContext('2d');
+        canvas.width = terrain.width * SCALE;
+        canvas.height = terrain.height * SCALE;
+
+        if (terrain.error) {
+            context.fillText(terrain.error, 4, 12);
+            return;
+        }
+
+        for (var x = 0; x < terrain.width; x++) {
+            for (var y = 0; y < terrain.height; y++) {
+                var col = COLORS[terrain.tiles[x][y]] || [0, 0, 0];
+                context.fillStyle = 'rgb(' + col.join(',') + ')';
+                context.fillRect(x * SCALE, y * SCALE, SCALE, SCALE);
+            }
+        }
+    }
 
-    var imageObject=new Image();
-    imageObject.onload=function(){
+    /**
+     * Generates the left side first, the right one uses the same seed.
+     */
+    function draw() {
+        var query = {
+            pipeline: settings.left,
+            width: settings.size,
+            height: settings.size
+        };
+        if (settings.seed !== '') {
+            query.seed = settings.seed;
+        }
 
-        context.clearRect(0,0,canvas.width,canvas.height);
-        context.scale(3, 3);
-        context.drawImage(imageObject,0,0);
+        fetchTerrain(query, function(left) {
+            paint(document.getElementById('left'), left);
+            if (left.seed !== undefined) {
+                settings.seed = String(left.seed);
+                gui.updateDisplay();
+            }
 
+            query.pipeline = settings.right;
+            query.seed = settings.seed;
+            fetchTerrain(query, function(right) {
+                paint(document.getElementById('right'), right);
+            });
+        });
     }
-    imageObject.src=canvas.toDataURL();
 
     var gui = new dat.GUI();
-    gui.add(tileMap, "frequency", 1, 16);
-    gui.add(tileMap, "waterMax", 0, 2);
-    gui.add(tileMap, "sandMax", 0, 2);
-    gui.add(tileMap, "grassMax", 0, 2);
-    gui.add(tileMap, "stoneMax", 0, 2);
-    gui.add(tileMap, "beachRatio", 0, 1);
-    gui.add(tileMap, "desertRatio", 0, 1);
-    gui.add(tileMap, "forestRatio", 0, 1);
-    gui.add(tileMap, "snowRatio", 0, 1);
-
-    canvas.onclick = function(){
-        tileMap.generateTerrain();
-        imagedata = context.createImageData(width, height);
-        context.clearRect(0, 0, canvas.width, canvas.height);
-        createImage(0);
-        context.putImageData(imagedata, 0, 0);
 
-        var imageObject=new Image();
-        imageObject.onload=function(){
+    var request = new XMLHttpRequest();
+    request.open('GET', '/api/terrain/pipelines');
+    request.onload = function() {
+        var names = Object.keys(JSON.parse(request.responseText).pipelines);
 
-            context.clearRect(0,0,canvas.width,canvas.height);
-            context.drawImage(imageObject,0,0);
+        gui.add(settings, 'left', names).onChange(draw);
+        gui.add(settings, 'right', names).onChange(draw);
+        gui.add(settings, 'seed').onFinishChange(draw);
+        gui.add(settings, 'size', 16, 512).step(16).onFinishChange(draw);
+        gui.add(settings, 'regenerate');
 
-        }
-        imageObject.src=canvas.toDataURL();
+        draw();
     };
+    request.send();
 };
@@ -0,0 +1,74 @@
+// Chat UI constructor, a log of the latest messages and an input line
+function ChatUI(game, x, y) {
+    this.game = game;
+    this.x = x || 0;
+    this.y = y || 0;
+
+    this.maxLines = 6;
+    this.lineHeight = 14;
+    this.fontSize = 16;
+
+    // Text colors for each chat scope
+    this.hexGlobal = 0xffc825;
+    this.hexLocal = 0xffffff;
+    this.hexInput = 0xb4b4b4;
+
+    this.isOpen = false;
+    this.inputString = '';
+
+    this.lines = [];
+    for (let i = 0; i < this.maxLines; i++) {
+        this.lines[i] = game.add.bitmapText(this.x, this.y + i * this.lineHeight, 'm5x7', '', this.fontSize);
+    }
+
+    this.inputText = game.add.bitmapText(this.x, this.y + this.maxLines * this.lineHeight + 4, 'm5x7', '', this.fontSize);
+    this.inputText.tint = this.hexInput;
+}
+
+// Adds a message at the bottom of the log, pushing the oldest one out
+ChatUI.prototype.addMessage = function(name, text, isGlobal) {
+    for (let i = 0; i < this.maxLines - 1; i++) {
+        this.lines[i].text = this.lines[i + 1].text;
+        this.lines[i].tint = this.lines[i + 1].tint;
+    }
+
+    let last = this.lines[this.maxLines - 1];
+    last.text = name + ': ' + text;
+    last.tint = isGlobal ? this.hexGlobal : this.hexLocal;
+};
+
+ChatUI.prototype.open = function() {
+    this.isOpen = true;
+    this.inputString = '';
+    this.updateInputText();
+};
+
+ChatUI.prototype.close = function() {
+    this.isOpen = false;
+    this.inputString = '';
+    this.inputText.text = '';
+};
+
+ChatUI.prototype.type = function(char) {
+    if (this.inputString.length < Client.chatMaxLength) {
+        this.inputString += char;
+        this.updateInputText();
+    }
+};
+
+ChatUI.prototype.backspace = function() {
+    this.inputString = this.inputString.slice(0, -1);
+    this.updateInputText();
+};
+
+ChatUI.prototype.updateInputText = function() {
+    this.inputText.text = '> ' + this.inputString + '_';
+};
+
+// Add all the text objects to a display group
+ChatUI.prototype.addTo = function(group) {
+    for (let i = 0; i < this.lines.length; i++) {
+        group.add(this.lines[i]);
+    }
+    group.add(this.inputText);
+};
@@ -1,6 +1,12 @@
-// The world size in tiles
-let WORLD_WIDTH = 88;
-let WORLD_HEIGHT = 88;
+// The world size in tiles, the server tells it with initWorld, see
+// GameplayState.setWorldSize
+let WORLD_WIDTH = 0;
+let WORLD_HEIGHT = 0;
+
+// The terrain comes in chunks of this many tiles across, kept in a square of
+// VIEW_SIZE tiles that wraps around, see GameplayState.placeChunk
+let CHUNK_SIZE = 16;
+let VIEW_SIZE = 0;
 
 // The main menu state
 let GameplayState = function(game) {
@@ -10,11 +16,11 @@ let GameplayState = function(game) {
     // Make a reference to the local player
     this.player = null;
 
-    // Create a 2D array for solid objects
+    // Create a 2D array for solid objects, sized with the view, see objectAt
     this.objectMap = [];
-    for (let i = 0; i < WORLD_HEIGHT; i++) {
-        this.objectMap[i] = [];
-    }
+
+    // Which chunk is in each place of the view, by 'x,y' of the place
+    this.chunkSlots = {};
 
     this.weatherEffects = [];
     this.isRainOn = false;
@@ -32,12 +38,34 @@ let FACING_UP = 8;
 let FACING_DOWN = 2;
 let FACING_RIGHT = 6;
 
+// check '/shared/constant.js' ChatScope
+let CHAT_SHOUT = 0;
+let CHAT_GLOBAL = 1;
+let CHAT_LOCAL = 2;
+
+// Chat messages starting with this go to everyone, not only players nearby
+let CHAT_GLOBAL_PREFIX = '/g ';
+
 // How close the player needs to be, in pixels, to hear a sound play
 let MIN_HEARING_DISTANCE = 600;
 let TILE_SIZE = 32;
 
 GameplayState.prototype = {
     init: function() {
+      // Shown while waiting for a free slot in a full world
+      this.queueMessage = '';
+
+      // Forget the players of the world played before, e.g. when moved to
+      // another one
+      this.playerMap = {};
+      this.player = null;
+
+      // Moves the local player ahead of the server, once it joined
+      this.prediction = null;
+
+      // Moves the other players smoothly between their updates
+      this.interpolation = new Interpolation();
+
       // --------------------------------------
       Client.connectToServer();
       // --------------------------------------
@@ -50,20 +78,20 @@ GameplayState.prototype = {
     create: function() {
         this.createSoundObjects();
 
-        // Set up and create the world tilemap
-        game.world.setBounds(0, 0, WORLD_WIDTH * TILE_SIZE, WORLD_HEIGHT * TILE_SIZE);
+        // Set up the world tilemap, its layer is created in the tileGroup once the
+        // server tells how big the world is
         this.tileGroup = game.add.group();
         this.tileMap = game.add.tilemap();
         this.tileMap.setTileSize(TILE_SIZE, TILE_SIZE);
         this.tileMap.addTilesetImage('gameTileset');
-        // new Tilemap(layerName, widthInTiles, heightInTiles, tileWidth, tileHeight)
-        this.mainLayer = this.tileMap.create('mainLayer', WORLD_WIDTH, WORLD_HEIGHT, TILE_SIZE, TILE_SIZE);
+        this.mainLayer = null;
 
         // The currently selected tile
         this.tileChoice = 0;
 
         // Handle input
         game.input.keyboard.onDownCallback = this.handleKeys;
+        game.input.keyboard.onPressCallback = this.handleChatChar;
 
         // Create a group for solid objects - to be drawn below UI
         this.solidObjectsGroup = game.add.group();
@@ -92,6 +120,10 @@ GameplayState.prototype = {
         this.escIcon = game.add.sprite(4, 4, 'escIcon');
         this.uiGroup.add(this.escIcon);
 
+        // Create the chat log, Enter to start typing
+        this.chatUI = new ChatUI(game, 8, 48);
+        this.chatUI.addTo(this.uiGroup);
+
         // Create the inventoryUI
         this.playerInventoryUI = new InventoryUI(game, 120, 393, 'inventoryUI');
         this.uiGroup.add(this.playerInventoryUI);
@@ -108,6 +140,11 @@ GameplayState.prototype = {
         this.tileText.anchor.x = 0.5;
         this.uiGroup.add(this.tileText);
 
+        // Display the place in the join queue
+        this.queueText = game.add.bitmapText(GAME_WIDTH / 2, GAME_HEIGHT / 2, 'm5x7', this.queueMessage, 48);
+        this.queueText.anchor.setTo(0.5);
+        this.uiGroup.add(this.queueText);
+
         // Loading "screen" while the tilemap is generated
         this.controlsUI = new ControlsUI(game, 0, 0);
         this.loadingText = game.add.bitmapText(GAME_WIDTH / 2, 430, 'm5x7', 'Loading...', 48);
@@ -166,7 +203,7 @@ GameplayState.prototype = {
         dir4 = 5 - y * 3 + x;
       }
 
-      if (this.player && this.player.canMove) {
+      if (this.prediction && !this.prediction.isMoving() && !this.chatUI.isOpen) {
         Client.sendInputs(dir4);
       }
     },
@@ -174,8 +211,18 @@ GameplayState.prototype = {
     update: function() {
         this.updateInput();
 
-        // Pausing controls
-        if (this.pauseUI.paused) {
+        if (this.prediction) {
+            this.prediction.update(game.time.elapsedMS);
+            this.drawPredictedPlayer();
+        }
+        this.drawRemotePlayers();
+
+        // Pausing controls, Esc closes the chat first
+        if (this.chatUI.isOpen) {
+            if (game.input.keyboard.justPressed(Phaser.Keyboard.ESC)) {
+                this.chatUI.close();
+            }
+        } else if (this.pauseUI.paused) {
             if (game.input.keyboard.justPressed(Phaser.Keyboard.ESC)) {
                 this.pauseUI.hide();
             }
@@ -320,8 +367,17 @@ GameplayState.prototype = {
         }
     },
 
+    // Show the place in the join queue, 0 once the player joined
+    showQueuePosition: function(position, length) {
+        this.queueMessage = position ? 'Waiting to join: ' + position + ' of ' + length : '';
+        if (this.queueText) {
+            this.queueText.text = this.queueMessage;
+        }
+    },
+
     // Set the player reference to the correct player sprite object
     setPlayerReference: function(id) {
+        this.playerId = id;
         this.player = this.playerMap[id];
         this.player.enableArrowIcon();
         game.camera.follow(this.player, Phaser.Camera.FOLLOW_TOPDOWN);
@@ -335,10 +391,82 @@ GameplayState.prototype = {
         }
     },
 
+    // Starts predicting the local player's moves from where the server put it
+    startPrediction: function(x, y, d) {
+        let self = this;
+        this.prediction = new Prediction(function(tileX, tileY) {
+            return !self.holdsTile(tileX, tileY) ||
+                TILE_BLOCKED[self.getTileType(tileX, tileY)] === 1 || !!self.objectAt(tileX, tileY);
+        }, function(tileX, tileY) {
+            return self.getTileType(tileX, tileY);
+        });
+        this.prediction.reset(x, y, d);
+        this.drawPredictedPlayer();
+    },
+
+    // Applies a move locally, returns its sequence number for the server
+    predictMove: function(d) {
+        return this.prediction.move(d);
+    },
+
+    // The server's state of the local player, with the last move it applied
+    reconcilePlayer: function(x, y, d, seq) {
+        if (this.prediction) {
+            this.prediction.reconcile(x, y, d, seq);
+        }
+    },
+
+    drawPredictedPlayer: function() {
+        let screenX = Math.floor(this.prediction.drawX() * TILE_SIZE);
+        let screenY = Math.floor(this.prediction.drawY() * TILE_SIZE);
+
+        this.player.x = screenX;
+        this.player.y = screenY;
+        this.player.updateIconPositions(screenX, screenY);
+        this.player.canMove = !this.prediction.isMoving();
+        this.player.setDirection(this.prediction.d);
+    },
+
+    getTileType: function(tileX, tileY) {
+        let tile = this.tileMap.getTile(this.wrap(tileX), this.wrap(tileY));
+        return tile ? tile.index : 0;
+    },
+
     // Removes a player object from the world with the given id
     removePlayer: function(id) {
-        this.playerMap[id].destroy();
-        delete this.playerMap[id];
+        if (this.playerMap[id]) {
+            this.playerMap[id].destroy();
+            delete this.playerMap[id];
+        }
+        this.interpolation.remove(id);
+    },
+
+    // An update of the given tick arrived, see Interpolation
+    observeTick: function(tick) {
+        this.interpolation.observeTick(tick, Date.now());
+    },
+
+    // The state of another player at a tick, drawn a moment later
+    addPlayerSample: function(id, tick, x, y, d) {
+        this.interpolation.addSample(id, tick, x, y, d);
+    },
+
+    // Puts another player somewhere at once, e.g. as it comes into view
+    placePlayer: function(id, x, y, d) {
+        this.interpolation.reset(id, x, y, d);
+        this.updatePlayerPos(id, x, y, d);
+    },
+
+    drawRemotePlayers: function() {
+        let now = Date.now();
+        for (let id in this.playerMap) {
+            if (this.playerMap.hasOwnProperty(id) && +id !== this.playerId) {
+                let state = this.interpolation.sample(id, now);
+                if (state) {
+                    this.updatePlayerPos(id, state.x, state.y, state.d);
+                }
+            }
+        }
     },
 
     handleKeys: function(e) {
@@ -362,6 +490,24 @@ GameplayState.prototype = {
         //     }
         // }
 
+        // Typing a chat message, the other controls are disabled meanwhile
+        if (gameplayState.chatUI.isOpen) {
+            if (e.keyCode === Phaser.Keyboard.ENTER) {
+                gameplayState.sendChatMessage(gameplayState.chatUI.inputString);
+                gameplayState.chatUI.close();
+            } else if (e.keyCode === Phaser.Keyboard.BACKSPACE) {
+                gameplayState.chatUI.backspace();
+            } else if (e.keyCode === Phaser.Keyboard.SPACEBAR) {
+                // Space is kept from the browser, so it never gets a keypress
+                gameplayState.chatUI.type(' ');
+            }
+            return;
+        }
+        if (e.keyCode === Phaser.Keyboard.ENTER) {
+            gameplayState.chatUI.open();
+            return;
+        }
+
         // Tile choosing controls
         if (e.keyCode === Phaser.Keyboard.ONE) {
             gameplayState.tileChoice = 0; // grass
@@ -425,6 +571,31 @@ GameplayState.prototype = {
         }
     },
 
+    // Receives the typed characters while the chat is open
+    handleChatChar: function(char) {
+        if (gameplayState.chatUI.isOpen && char >= ' ') {
+            gameplayState.chatUI.type(char);
+        }
+    },
+
+    sendChatMessage: function(text) {
+        if (text.indexOf(CHAT_GLOBAL_PREFIX) === 0) {
+            Client.sendChat(text.substring(CHAT_GLOBAL_PREFIX.length), CHAT_GLOBAL);
+        } else if (text.trim().length > 0) {
+            Client.sendChat(text, CHAT_LOCAL);
+        }
+    },
+
+    addChatMessage: function(playerId, scope, text) {
+        let name = playerId === this.playerId ? 'You' : 'Player ' + playerId;
+        this.chatUI.addMessage(name, text, scope === CHAT_GLOBAL);
+    },
+
+    // Messages from the server itself show in the chat log
+    addServerMessage: function(text) {
+        this.chatUI.addMessage('Server', text, true);
+    },
+
     updatePlayerInventory: function(playerId, inventory) {
         let sourcePlayer = this.playerMap[playerId];
         if (sourcePlayer === this.player) {
@@ -434,7 +605,7 @@ GameplayState.prototype = {
 
     playAbstractSoundFrom: function(playerId) {
         let sourcePlayer = this.playerMap[playerId];
-        if (sourcePlayer.canMakeSound) {
+        if (sourcePlayer && sourcePlayer.canMakeSound) {
             this.playSoundFrom(this.abstractSound, sourcePlayer.x, sourcePlayer.y, 1);
             sourcePlayer.startSoundTimer();
         }
@@ -451,6 +622,9 @@ GameplayState.prototype = {
 
     updatePlayerPos: function(id, x, y, d) {
        let sprite = this.playerMap[id];
+       if (!sprite) {
+           return;
+       }
 
        let screenX = Math.floor(x * TILE_SIZE);
        let screenY = Math.floor(y * TILE_SIZE);
@@ -480,20 +654,44 @@ GameplayState.prototype = {
 
     // Change the given tile to another type
     changeTileAt(tileX, tileY, tileType) {
-        if (tileX < 0 || tileX >= this.tileMap.width || tileY < 0 || tileY >= this.tileMap.height) {
+        if (!this.holdsTile(tileX, tileY)) {
             console.log('invalid tile position');
             return;
         }
         let sourceX = tileX * TILE_SIZE;
         let sourceY = tileY * TILE_SIZE;
         this.playSoundFrom(this.placeTileSound, sourceX, sourceY, 0.15);
-        this.tileMap.putTile(tileType, tileX, tileY);
+        this.tileMap.putTile(tileType, this.wrap(tileX), this.wrap(tileY));
         // if(this.tileSounds[tileType]){
             // this.playSoundFrom(this.tileSounds[tileType], sourceX, sourceY);
         // }
     },
 
-    // Generates tile objects based on a given 2D tilemap
+    // Catch up on an area that changed while it was out of view, silently
+    syncState: function(tiles, trees, chests) {
+        for (let i = 0; i < tiles.length; i++) {
+            if (this.holdsTile(tiles[i][0], tiles[i][1])) {
+                this.tileMap.putTile(tiles[i][2], this.wrap(tiles[i][0]), this.wrap(tiles[i][1]));
+            }
+        }
+        for (let i = 0; i < trees.length; i++) {
+            let tree = this.objectAt(trees[i].x, trees[i].y);
+            if (tree) {
+                tree.setState(trees[i].durability);
+            }
+        }
+        for (let i = 0; i < chests.length; i++) {
+            let treasureChest = this.objectAt(chests[i].x, chests[i].y);
+            if (treasureChest) {
+                treasureChest.setState(chests[i].state);
+                treasureChest.setSize(chests[i].playerRequired);
+            }
+        }
+    },
+
+    // Puts a chunk of tiles, indexed [x][y] from the given tile, in its place
+    // of the view, the chunk that was there goes with its objects. The
+    // objects of the chunk come separately.
     // 0 === grass
     // 1 === sand
     // 2 === stone
@@ -503,14 +701,75 @@ GameplayState.prototype = {
     // 6 == snow
     // 7 == desert
     // 8 = ice
-    generateTiles: function(tileMap) {
-        for (let i = 0; i < tileMap.length; i++) {
-            for (let j = 0; j < tileMap[i].length; j++) {
-                this.tileMap.putTile(tileMap[i][j], i, j);
+    placeChunk: function(x, y, tiles) {
+        let slotX = this.wrap(x);
+        let slotY = this.wrap(y);
+        this.chunkSlots[slotX + ',' + slotY] = x + ',' + y;
+
+        for (let i = 0; i < CHUNK_SIZE; i++) {
+            for (let j = 0; j < CHUNK_SIZE; j++) {
+                if (this.objectMap[slotX + i][slotY + j]) {
+                    this.objectMap[slotX + i][slotY + j].destroy();
+                    this.objectMap[slotX + i][slotY + j] = null;
+                }
             }
         }
-        this.controlsUI.destroy();
-        this.loadingText.destroy();
+        for (let i = 0; i < tiles.length; i++) {
+            for (let j = 0; j < tiles[i].length; j++) {
+                this.tileMap.putTile(tiles[i][j], slotX + i, slotY + j);
+            }
+        }
+
+        if (this.loadingText) {
+            this.controlsUI.destroy();
+            this.loadingText.destroy();
+            this.loadingText = null;
+        }
+    },
+
+    // Whether the chunk of a tile is in the view
+    holdsTile: function(tileX, tileY) {
+        if (tileX < 0 || tileX >= WORLD_WIDTH || tileY < 0 || tileY >= WORLD_HEIGHT) {
+            return false;
+        }
+        let chunkX = tileX - tileX % CHUNK_SIZE;
+        let chunkY = tileY - tileY % CHUNK_SIZE;
+        return this.chunkSlots[this.wrap(chunkX) + ',' + this.wrap(chunkY)] === chunkX + ',' + chunkY;
+    },
+
+    // Where a tile of the world is kept in the view
+    wrap: function(tile) {
+        return tile % VIEW_SIZE;
+    },
+
+    // The solid object on a tile, if its chunk is in the view
+    objectAt: function(tileX, tileY) {
+        return this.holdsTile(tileX, tileY) ? this.objectMap[this.wrap(tileX)][this.wrap(tileY)] : null;
+    },
+
+    // Sizes the camera bounds to the world, and the tilemap and the object
+    // map to the view around the player, which wraps around as it moves
+    setWorldSize: function(width, height, chunkSize, view) {
+        WORLD_WIDTH = width;
+        WORLD_HEIGHT = height;
+        CHUNK_SIZE = chunkSize;
+        VIEW_SIZE = view;
+
+        game.world.setBounds(0, 0, width * TILE_SIZE, height * TILE_SIZE);
+
+        if (this.mainLayer) {
+            this.tileMap.removeAllLayers();
+            this.mainLayer.destroy();
+        }
+        // new Tilemap(layerName, widthInTiles, heightInTiles, tileWidth, tileHeight, group)
+        this.mainLayer = this.tileMap.create('mainLayer', view, view, TILE_SIZE, TILE_SIZE, this.tileGroup);
+        this.mainLayer.wrap = true;
+
+        this.objectMap = [];
+        for (let i = 0; i < view; i++) {
+            this.objectMap[i] = [];
+        }
+        this.chunkSlots = {};
     },
 
     // Generates solid objects based on a given 2D object map
@@ -522,27 +781,36 @@ GameplayState.prototype = {
         }
     },
 
-    // Spawns treasure chests based on an array of them
+    // Spawns treasure chests based on an array of them, the ones in chunks
+    // out of view come with their chunk
     spawnTreasureChests: function(arr) {
         for (let i = 0; i < arr.length; i++) {
-            this.objectMap[arr[i].x][arr[i].y] = new Treasure(game, arr[i].x * TILE_SIZE, arr[i].y * TILE_SIZE, 'treasureChest');
-            this.objectMap[arr[i].x][arr[i].y].setState(arr[i].state);
-            this.objectMap[arr[i].x][arr[i].y].setSize(arr[i].playerRequired);
-            this.solidObjectsGroup.add(this.objectMap[arr[i].x][arr[i].y]);
-            this.solidObjectsGroup.add(this.objectMap[arr[i].x][arr[i].y].lootEmitter);
+            if (!this.holdsTile(arr[i].x, arr[i].y)) {
+                continue;
+            }
+            let treasureChest = new Treasure(game, arr[i].x * TILE_SIZE, arr[i].y * TILE_SIZE, 'treasureChest');
+            this.objectMap[this.wrap(arr[i].x)][this.wrap(arr[i].y)] = treasureChest;
+            treasureChest.setState(arr[i].state);
+            treasureChest.setSize(arr[i].playerRequired);
+            this.solidObjectsGroup.add(treasureChest);
+            this.solidObjectsGroup.add(treasureChest.lootEmitter);
 
-            this.treasureUIGroup.add(this.objectMap[arr[i].x][arr[i].y].lockBackground);
-            this.treasureUIGroup.add(this.objectMap[arr[i].x][arr[i].y].lockCountText);
-            this.treasureUIGroup.add(this.objectMap[arr[i].x][arr[i].y].lockIcon);
+            this.treasureUIGroup.add(treasureChest.lockBackground);
+            this.treasureUIGroup.add(treasureChest.lockCountText);
+            this.treasureUIGroup.add(treasureChest.lockIcon);
         }
     },
 
     // Helper function for placing individual solid objects
     placeSolidObject: function(objectType, tileX, tileY, objectState) {
+        if (!this.holdsTile(tileX, tileY)) {
+            return;
+        }
         if (objectType === 0) {
-            this.objectMap[tileX][tileY] = new Tree(game, tileX * TILE_SIZE, tileY * TILE_SIZE, 'willowTree');
-            this.objectMap[tileX][tileY].setState(objectState);
-            this.solidObjectsGroup.add(this.objectMap[tileX][tileY]);
+            let tree = new Tree(game, tileX * TILE_SIZE, tileY * TILE_SIZE, 'willowTree');
+            this.objectMap[this.wrap(tileX)][this.wrap(tileY)] = tree;
+            tree.setState(objectState);
+            this.solidObjectsGroup.add(tree);
         }
         // Unfinished
         /* else if(objectType === 1){
@@ -553,14 +821,16 @@ GameplayState.prototype = {
 
     // Delete an object at a given tile position
     deleteObjectAt: function(tileX, tileY) {
-        if (this.objectMap[tileX][tileY]) {
-            this.objectMap[tileX][tileY].destroy();
+        let object = this.objectAt(tileX, tileY);
+        if (object) {
+            object.destroy();
+            this.objectMap[this.wrap(tileX)][this.wrap(tileY)] = null;
         }
     },
 
     // Interact with a specific treasure chest
     interactWithChest: function(tileX, tileY, state, playerRequired, success) {
-        let treasureChest = this.objectMap[tileX][tileY];
+        let treasureChest = this.objectAt(tileX, tileY);
         if (treasureChest) {
             // New player unlocked 1 lock in this chest
             if (state === 0) {
@@ -607,8 +877,10 @@ GameplayState.prototype = {
             this.playSoundFrom(this.treeCutSound, tx, ty, 0.25);
         } else if (hitpoints === 0) {
             this.playSoundFrom(this.treeDestroyedSound, tx, ty, 0.25);
-            let treeObj = this.objectMap[tileX][tileY];
-            treeObj.cutDown();
+            let treeObj = this.objectAt(tileX, tileY);
+            if (treeObj) {
+                treeObj.cutDown();
+            }
         }
     },
 
@@ -0,0 +1,130 @@
+// How far in the past other players are drawn, in milliseconds, so there is
+// usually a newer update to move towards even when some come late
+let INTERPOLATION_DELAY = 100;
+
+// How long a player keeps walking on its own when updates stop coming, in
+// milliseconds, it never walks past the tile it is heading to
+let MAX_EXTRAPOLATION = 100;
+
+// check '/shared/constant.js', ticks between updates at
+// ServerConfig.STEP_RATE / ServerConfig.SEND_RATE, until the server tells its
+// own, see Client.applyConfig
+let TICKS_PER_UPDATE = 2;
+
+// How fast the estimate of the server's clock follows new updates
+let CLOCK_SMOOTHING = 0.05;
+
+// Draws the other players where they were a moment ago, between the states of
+// the ticks around that moment. The server only sends what changed, so a
+// player without new states stands still.
+function Interpolation() {
+    // Key: player id, Value: [{t, x, y, d}] ascending by tick
+    this.samples = {};
+
+    // The newest tick anything was received for
+    this.newestTick = -1;
+
+    // Local time minus the server's time of a tick, in milliseconds
+    this.clockOffset = null;
+}
+
+// Keeps the time an update of a tick arrived at, to follow the server's clock
+Interpolation.prototype.observeTick = function(tick, now) {
+    let offset = now - tick * STEP_DURATION;
+
+    if (this.clockOffset === null) {
+        this.clockOffset = offset;
+    } else {
+        this.clockOffset += (offset - this.clockOffset) * CLOCK_SMOOTHING;
+    }
+
+    this.newestTick = Math.max(this.newestTick, tick);
+};
+
+Interpolation.prototype.addSample = function(id, tick, x, y, d) {
+    let samples = this.samples[id] || (this.samples[id] = []);
+    let last = samples[samples.length - 1];
+    if (last && tick <= last.t) {
+        return;
+    }
+
+    // The player stood still up to the previous update, without this it
+    // would drift all the way from the old sample instead
+    if (last && tick - last.t > TICKS_PER_UPDATE) {
+        samples.push({t: tick - TICKS_PER_UPDATE, x: last.x, y: last.y, d: last.d});
+    }
+
+    samples.push({t: tick, x: x, y: y, d: d});
+};
+
+// Starts over with the player at a position, e.g. when it came into view
+Interpolation.prototype.reset = function(id, x, y, d) {
+    this.samples[id] = [{t: Math.max(this.newestTick, 0), x: x, y: y, d: d}];
+};
+
+Interpolation.prototype.remove = function(id) {
+    delete this.samples[id];
+};
+
+// The tick to draw at now, with a fraction
+Interpolation.prototype.renderTick = function(now) {
+    return (now - this.clockOffset - INTERPOLATION_DELAY) / STEP_DURATION;
+};
+
+// Where to draw a player now, {x, y, d} in tiles, or null without samples
+Interpolation.prototype.sample = function(id, now) {
+    let samples = this.samples[id];
+    if (!samples || samples.length === 0) {
+        return null;
+    }
+
+    let tick = this.renderTick(now);
+
+    // Drop what is behind the moment drawn
+    while (samples.length > 2 && samples[1].t <= tick) {
+        samples.shift();
+    }
+
+    let first = samples[0];
+    let last = samples[samples.length - 1];
+
+    if (tick <= first.t) {
+        return first;
+    }
+
+    if (tick < last.t) {
+        let next = samples[1];
+        let f = (tick - first.t) / (next.t - first.t);
+        return {
+            x: first.x + (next.x - first.x) * f,
+            y: first.y + (next.y - first.y) * f,
+            d: next.d,
+        };
+    }
+
+    // Newer updates came without this player, it stopped
+    if (last.t < this.newestTick || samples.length < 2) {
+        return last;
+    }
+
+    // No updates at all lately, keep walking towards the next tile for a bit
+    let prev = samples[samples.length - 2];
+    let f = Math.min(tick - last.t, MAX_EXTRAPOLATION / STEP_DURATION) / (last.t - prev.t);
+    return {
+        x: Interpolation.clampTowards(last.x + (last.x - prev.x) * f, last.x, last.d, FACING_LEFT, FACING_RIGHT),
+        y: Interpolation.clampTowards(last.y + (last.y - prev.y) * f, last.y, last.d, FACING_UP, FACING_DOWN),
+        d: last.d,
+    };
+};
+
+// Keeps an extrapolated coordinate between the last one and the tile the
+// player walks to, see Prediction.targetX
+Interpolation.clampTowards = function(value, last, d, decreasing, increasing) {
+    if (d === decreasing) {
+        return Math.min(last, Math.max(value, Math.floor(last)));
+    }
+    if (d === increasing) {
+        return Math.max(last, Math.min(value, Math.ceil(last)));
+    }
+    return last;
+};
@@ -1,12 +1,21 @@
 // The main menu state
 let MainMenuState = function(game) {
     this.joinTextY = 300;
-    this.controlsTextY = 360;
+    this.worldTextY = 336;
+    this.controlsTextY = 380;
+    this.noticeTextY = 440;
     this.textColor = 0xbf6f4a;
+
+    // The worlds of the server to choose from, see Client.listWorlds
+    this.worlds = [];
+    this.worldChoice = 0;
 };
 
 MainMenuState.prototype = {
-    init: function() {
+    // notice is shown below the menu, e.g. why the server refused to connect
+    init: function(notice) {
+        this.notice = notice || '';
+
         // Center the game
         game.scale.pageAlignHorizontally = true;
         game.scale.pageAlignVertically = true;
@@ -101,9 +110,26 @@ MainMenuState.prototype = {
         this.joinText = game.add.bitmapText(GAME_WIDTH / 2, this.joinTextY, 'm5x7', 'Join Game', 48);
         this.joinText.anchor.setTo(0.5);
 
+        // Left and right choose the world to join, if the server runs more than one
+        this.worldText = game.add.bitmapText(GAME_WIDTH / 2, this.worldTextY, 'm5x7', '', 32);
+        this.worldText.anchor.setTo(0.5);
+        this.worldText.tint = this.textColor;
+        Client.listWorlds((worlds) => {
+            if (game.state.current !== 'MainMenuState') {
+                return;
+            }
+            this.worlds = worlds;
+            this.worldChoice = Math.max(0, worlds.findIndex((world) => world.name === Client.world));
+            this.showWorldChoice();
+        });
+
         this.controlsText = game.add.bitmapText(GAME_WIDTH / 2, this.controlsTextY, 'm5x7', 'Controls', 48);
         this.controlsText.anchor.setTo(0.5);
 
+        this.noticeText = game.add.bitmapText(GAME_WIDTH / 2, this.noticeTextY, 'm5x7', this.notice, 32);
+        this.noticeText.anchor.setTo(0.5);
+        this.noticeText.tint = this.textColor;
+
         this.menuHighlight = game.add.sprite(GAME_WIDTH / 2, this.joinTextY - 8, 'menuHighlight');
         this.menuHighlight.anchor.setTo(0.5);
         this.menuChoice = 0;
@@ -136,11 +162,29 @@ MainMenuState.prototype = {
             }
         }
 
+        // Switch between worlds
+        if (this.menuChoice === 0 && this.worlds.length > 1) {
+            let step = 0;
+            if (game.input.keyboard.justPressed(Phaser.Keyboard.LEFT)) {
+                step = -1;
+            } else if (game.input.keyboard.justPressed(Phaser.Keyboard.RIGHT)) {
+                step = 1;
+            }
+            if (step !== 0) {
+                this.worldChoice = (this.worldChoice + step + this.worlds.length) % this.worlds.length;
+                this.showWorldChoice();
+                this.blipLow.play();
+            }
+        }
+
         // Select a menu option
         if (game.input.keyboard.justPressed(Phaser.Keyboard.Z) ||
            game.input.keyboard.justPressed(Phaser.Keyboard.SPACEBAR)) {
             if (this.menuChoice === 0) {
                 this.blipHigh.play();
+                if (this.worlds.length > 0) {
+                    Client.setWorld(this.worlds[this.worldChoice].name);
+                }
                 game.state.start('GameplayState');
             } else if (this.menuChoice === 1) {
                 this.blipHigh.play();
@@ -148,4 +192,14 @@ MainMenuState.prototype = {
             }
         }
     },
+
+    showWorldChoice: function() {
+        if (this.worlds.length < 2) {
+            this.worldText.text = '';
+            return;
+        }
+
+        let world = this.worlds[this.worldChoice];
+        this.worldText.text = '< ' + world.name + ' (' + world.players + ' online) >';
+    },
 };
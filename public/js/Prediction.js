@@ -0,0 +1,160 @@
+// check '/shared/constant.js' TileData, only tiles with 0 can be walked on
+let TILE_BLOCKED = [0, 0, 0, 1, 0, 0, 0, 0, 0, 0];
+
+// check '/shared/constant.js' TileSpeed
+let TILE_SPEED = [4.5, 4.5, 4.5, 0, 4.5, 4.5, 4.5, 4, 4.5, 4.5];
+
+// check '/shared/constant.js' ServerConfig.STEP_RATE, until the server tells
+// its own, see Client.applyConfig
+let STEP_DURATION = 1000 / 60;
+
+// How much of the correction is left after each step, when the server put
+// the player elsewhere than predicted
+let CORRECTION_DECAY = 0.8;
+
+// Corrections further than this, in tiles, e.g. after a teleport, snap at once
+let MAX_SMOOTHED_CORRECTION = 2;
+
+// Moves the local player as soon as a key is pressed, the same way
+// Character in '/app/objects/character.js' moves on the server. Each move is
+// numbered, and the server tells which one it applied last, see
+// DeltaEncoder. Its position wins when the prediction was wrong.
+//
+// isBlocked(x, y) tells if a tile cannot be entered, by its type or an object
+// standing on it, tileAt(x, y) gives the type.
+function Prediction(isBlocked, tileAt) {
+    this.isBlocked = isBlocked;
+    this.tileAt = tileAt;
+
+    // The tile the player walks to, and where it is drawn, in tiles
+    this.x = 0;
+    this.y = 0;
+    this.realX = 0;
+    this.realY = 0;
+    this.d = FACING_DOWN;
+
+    // Left of a correction, added to the drawn position until it fades
+    this.offsetX = 0;
+    this.offsetY = 0;
+
+    this.seq = 0;
+
+    // Moves the server did not apply yet, {seq, x, y} of the target after
+    // each of them
+    this.pending = [];
+
+    // The target after the last move the server applied
+    this.confirmed = {x: 0, y: 0};
+
+    this.time = 0;
+}
+
+// Starts over from where the server put the player
+Prediction.prototype.reset = function(x, y, d) {
+    this.x = this.realX = x;
+    this.y = this.realY = y;
+    this.d = d;
+    this.offsetX = this.offsetY = 0;
+    this.pending = [];
+    this.confirmed = {x: Prediction.targetX(x, d), y: Prediction.targetY(y, d)};
+};
+
+Prediction.prototype.isMoving = function() {
+    return this.realX !== this.x || this.realY !== this.y;
+};
+
+// Applies a move right away, the same as Character.moveStraight
+// Returns the sequence number to send it with
+Prediction.prototype.move = function(d) {
+    this.seq++;
+    this.d = d;
+
+    let x2 = this.x + (d === FACING_RIGHT ? 1 : d === FACING_LEFT ? -1 : 0);
+    let y2 = this.y + (d === FACING_DOWN ? 1 : d === FACING_UP ? -1 : 0);
+    if (!this.isBlocked(this.x, this.y) && !this.isBlocked(x2, y2)) {
+        this.x = x2;
+        this.y = y2;
+    }
+
+    this.pending.push({seq: this.seq, x: this.x, y: this.y});
+    return this.seq;
+};
+
+// Walks towards the target in steps of the server, see Character.updateMove
+Prediction.prototype.update = function(elapsedMS) {
+    this.time += elapsedMS;
+
+    while (this.time >= STEP_DURATION) {
+        this.time -= STEP_DURATION;
+
+        if (this.isMoving()) {
+            let distance = Math.pow(2, TILE_SPEED[this.tileAt(this.x, this.y)]) / 256;
+            this.realX = Prediction.stepTowards(this.realX, this.x, distance);
+            this.realY = Prediction.stepTowards(this.realY, this.y, distance);
+        }
+
+        this.offsetX *= CORRECTION_DECAY;
+        this.offsetY *= CORRECTION_DECAY;
+    }
+
+    // A hidden tab gets no frames, the time it missed is not walked at once
+    this.time = Math.min(this.time, STEP_DURATION);
+};
+
+// Compares the prediction against the state of the server
+// x, y and d are the player's position, seq the last move the server applied
+Prediction.prototype.reconcile = function(x, y, d, seq) {
+    while (this.pending.length && this.pending[0].seq <= seq) {
+        this.confirmed = this.pending.shift();
+    }
+
+    // Where the server is walking to, it only moves towards its direction
+    let serverX = Prediction.targetX(x, d);
+    let serverY = Prediction.targetY(y, d);
+    if (serverX === this.confirmed.x && serverY === this.confirmed.y) {
+        return;
+    }
+
+    // Wrong, e.g. a tile changed meanwhile, go on smoothly from the server's
+    // position and drop what was built on the wrong one
+    this.offsetX += this.realX - x;
+    this.offsetY += this.realY - y;
+    if (Math.abs(this.offsetX) + Math.abs(this.offsetY) > MAX_SMOOTHED_CORRECTION) {
+        this.offsetX = this.offsetY = 0;
+    }
+    this.realX = x;
+    this.realY = y;
+    this.x = serverX;
+    this.y = serverY;
+    this.d = d;
+    this.pending = [];
+    this.confirmed = {x: serverX, y: serverY};
+};
+
+// The position to draw the player at, in tiles
+Prediction.prototype.drawX = function() {
+    return this.realX + this.offsetX;
+};
+
+Prediction.prototype.drawY = function() {
+    return this.realY + this.offsetY;
+};
+
+Prediction.stepTowards = function(value, target, distance) {
+    if (value < target) {
+        return Math.min(value + distance, target);
+    }
+    if (value > target) {
+        return Math.max(value - distance, target);
+    }
+    return value;
+};
+
+// The tile a player at x facing d is on, or walking to
+Prediction.targetX = function(x, d) {
+    return d === FACING_LEFT ? Math.floor(x) : Math.ceil(x);
+};
+
+Prediction.targetY = function(y, d) {
+    return d === FACING_UP ? Math.floor(y) : Math.ceil(y);
+};
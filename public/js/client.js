@@ -1,13 +1,113 @@
 let Client = {};
 (function() {
+  // Where the session token is kept, to come back as the same player, one
+  // per world, see Client.tokenKey
+  let TOKEN_KEY = 'alterrainSessionToken';
+
+  // Where the world chosen last is kept
+  let WORLD_KEY = 'alterrainWorld';
+
+  // Same as Protocol.VERSION in '/shared/protocol.js' when this was built,
+  // the server refuses to talk to an outdated client
+  let PROTOCOL_VERSION = 3;
+
+  // Optional features this client supports, see Protocol.FEATURES
+  let PROTOCOL_FEATURES = ['delta'];
+
   /**
    * This function should be called when changed to game play State
    */
   Client.connectToServer = function() {
-    Client.socket = io.connect();
+    let token = localStorage.getItem(Client.tokenKey(Client.world));
+
+    Client.socket = io.connect({
+      query: token ? {token: token} : {},
+    });
+
+    Client.snapshots = {};
+    Client.rejectReason = null;
+    Client.changingWorld = false;
+
+    Client.socket.on('connect', function() {
+      Client.socket.emit('hello', {
+        version: PROTOCOL_VERSION,
+        features: PROTOCOL_FEATURES,
+        adminKey: Client.getAdminKey(),
+        world: Client.world || undefined,
+      });
+    });
+
+    /**
+     * The server accepted the client, initWorld follows.
+     * @param data {Object}
+     * @param data.version {Number} The protocol version in use
+     * @param data.features {Array} The optional features in use
+     * @param data.config {Object} The settings of the server, see
+     * Client.applyConfig
+     */
+    Client.socket.on('welcome', function(data) {
+      Client.protocol = data;
+      if (data.config) {
+        Client.applyConfig(data.config);
+      }
+    });
+
+    /**
+     * The world is full, initWorld follows once there is a free slot.
+     * @param data {Object}
+     * @param data.position {Number} Place in the queue, starting at 1
+     * @param data.length {Number} How many are waiting
+     */
+    Client.socket.on('queue', function(data) {
+      gameplayState.showQueuePosition(data.position, data.length);
+    });
+
+    /**
+     * A message from the admins to everyone.
+     * @param data {Object}
+     * @param data.text {String}
+     */
+    Client.socket.on('serverMessage', function(data) {
+      gameplayState.addServerMessage(data.text);
+    });
+
+    /**
+     * The server dropped commands of this client, it is kicked if it goes on.
+     * @param data {Object}
+     * @param data.reason {String}
+     */
+    Client.socket.on('warning', function(data) {
+      gameplayState.addServerMessage(data.reason);
+    });
+
+    /**
+     * The server cannot talk to this client and disconnects it.
+     * @param data {Object}
+     * @param data.reason {String} Shown on the main menu
+     */
+    Client.socket.on('rejected', function(data) {
+      Client.rejectReason = data.reason;
+    });
+
+    /**
+     * The player was sent to another world, the client joins it as soon as
+     * the server lets it go.
+     * @param data {Object}
+     * @param data.world {String} The name of the world
+     * @param data.token {String} Session token of the player there
+     */
+    Client.socket.on('changeWorld', function(data) {
+      localStorage.setItem(Client.tokenKey(data.world), data.token);
+      Client.setWorld(data.world);
+      Client.changingWorld = true;
+    });
 
     Client.socket.on('disconnect', function() {
-      game.state.start('MainMenuState');
+      if (Client.changingWorld) {
+        game.state.start('GameplayState');
+      } else {
+        game.state.start('MainMenuState', true, false, Client.rejectReason);
+      }
     });
 
 
@@ -39,97 +139,142 @@ let Client = {};
     });
 
     /**
+     * A player came into view.
      * @param data {Object}
-     * @param data.players {Array} An array containing all players' x,y coordinate
-     * @param data.tiles {Array} A 2D array of the world data.
-     * @param data.solidObjects {Array} A 2D array of the solid objects in the world.
-     * @param data.chests {Array} A 1D array of the treasure chests in the world.
-     * @param data.weather {Number} The current weather of the world
+     * @param data.playerId {Number}
+     * @param data.x {Number}
+     * @param data.y {Number}
+     * @param data.d {Number} The direction the player faces
      */
-    Client.socket.on('initWorld', function(data) {
-      // Parse Players
-      let each = data.players.split('|');
-      for (let i = 0; i < each.length - 1; i++) {
-        let e = each[i].split(' ');
+    Client.socket.on('playerEnter', function(data) {
+      gameplayState.addNewPlayer(data.playerId, data.x, data.y);
+      gameplayState.placePlayer(data.playerId, data.x, data.y, data.d);
+    });
 
-        let id = parseInt(e[0]);
-        let x = parseFloat(e[1]);
-        let y = parseFloat(e[2]);
-        let d = parseInt(e[3]);
+    /**
+     * A player went out of view.
+     * @param data {Object}
+     * @param data.playerId {Number}
+     */
+    Client.socket.on('playerLeave', function(data) {
+      gameplayState.removePlayer(data.playerId);
+    });
 
-        gameplayState.addNewPlayer(id, x, y);
-      }
+    /**
+     * What changed in an area while it was out of view, applied without sounds.
+     * @param data {Object}
+     * @param data.tiles {Array} Arrays of x, y and tile type
+     * @param data.trees {Array} Objects of x, y and durability
+     * @param data.chests {Array} Objects of x, y, state and playerRequired
+     */
+    Client.socket.on('syncState', function(data) {
+      gameplayState.syncState(data.tiles, data.trees, data.chests);
+    });
+
+    /**
+     * @param data {Object}
+     * @param data.world {String} The name of the world joined
+     * @param data.players {ArrayBuffer} The local player, a Protocol.PLAYER list
+     * @param data.width {Number} The world width in tiles
+     * @param data.height {Number} The world height in tiles
+     * @param data.chunkSize {Number} Tiles across a chunk, the terrain
+     * follows chunk by chunk
+     * @param data.view {Number} Tiles across the chunks kept at once
+     * @param data.token {String} Session token to resume this player later
+     * @param data.inventory {Array} The local player's inventory
+     * @param data.weather {Number} The current weather of the world
+     */
+    Client.socket.on('initWorld', function(data) {
+      gameplayState.showQueuePosition(0);
+      gameplayState.setWorldSize(data.width, data.height, data.chunkSize,
+        data.view);
+
+      // Parse Players, see '/shared/protocol.js'
+      let players = Protocol.decodeList(Protocol.PLAYER, data.players);
+      players.forEach(function(p) {
+        gameplayState.addNewPlayer(p.id, p.x, p.y);
+      });
 
       if (data.id) {
         gameplayState.setPlayerReference(data.id);
-      }
+        gameplayState.updatePlayerInventory(data.id, data.inventory);
 
-
-      // Parse Tiles
-      let tileStrings = data.tiles.split(' ');
-
-      let w = parseInt(tileStrings[0]);
-      let h = parseInt(tileStrings[1]);
-
-      let index = 2;
-
-      let tiles = [];
-      for (let i = 0; i < w; i++) {
-        tiles[i] = [];
-        for (let j = 0; j < h; j++) {
-          tiles[i][j] = parseInt(tileStrings[index++]);
-        }
+        players.forEach(function(p) {
+          if (p.id === data.id) {
+            gameplayState.startPrediction(p.x, p.y, p.d);
+          }
+        });
       }
 
-      gameplayState.generateTiles(tiles);
-
-
-      // parse trees
-      let trees = data.trees.split('|');
-      for (let i = 0; i < trees.length - 1; i++) {
-        let e = trees[i].split(' ');
-
-        let x = parseInt(e[0]);
-        let y = parseInt(e[1]);
-        let durability = parseInt(e[2]);
-
-        gameplayState.placeSolidObject(0, x, y, durability);
+      if (data.token) {
+        Client.setWorld(data.world);
+        localStorage.setItem(Client.tokenKey(data.world), data.token);
       }
 
-      // parse chests
-      let chests = data.chests.split('|');
-      let chestArr = [];
-      for (let i = 0; i < chests.length - 1; i++) {
-        let e = chests[i].split(' ');
-
-        let x = parseInt(e[0]);
-        let y = parseInt(e[1]);
-        let state = parseInt(e[2]);
-        let playerRequired = parseInt(e[3]);
-
-        chestArr.push({x: x, y: y, playerRequired: playerRequired, state: state});
-      }
+      gameplayState.startWeatherEffect(data.weather);
+    });
 
+    /**
+     * The terrain around the player, sent as it comes near. A chunk sent
+     * again replaces the tiles and objects there.
+     * @param data {Object}
+     * @param data.tiles {ArrayBuffer} See Protocol.decodeChunks
+     * @param data.trees {ArrayBuffer} The trees on them, a Protocol.TREE list
+     * @param data.chests {ArrayBuffer} The treasure chests on them, a
+     * Protocol.CHEST list
+     */
+    Client.socket.on('chunks', function(data) {
+      Protocol.decodeChunks(data.tiles).forEach(function(chunk) {
+        gameplayState.placeChunk(chunk.x, chunk.y, chunk.tiles);
+      });
 
-      gameplayState.spawnTreasureChests(chestArr);
+      Protocol.decodeList(Protocol.TREE, data.trees).forEach(function(tree) {
+        gameplayState.placeSolidObject(0, tree.x, tree.y, tree.durability);
+      });
 
-      gameplayState.startWeatherEffect(data.weather);
+      gameplayState.spawnTreasureChests(
+        Protocol.decodeList(Protocol.CHEST, data.chests));
     });
 
     // ----------------------------------------------------------------------//
-    Client.socket.on('update', function(arr) {
-      arr.forEach(function(data) {
-        let each = data.d.split('|');
-        for (let i = 0; i < each.length - 1; i++) {
-          let e = each[i].split(' ');
-
-          let id = parseInt(e[0]);
-          let x = parseFloat(e[1]);
-          let y = parseFloat(e[2]);
-          let d = parseInt(e[3]);
-
-          gameplayState.updatePlayerPos(id, x, y, d);
+    /**
+     * Player states, see '/app/network/delta_encoder.js'.
+     * @param buffer {ArrayBuffer} Entries of {t: tick, k: 1, s, players} for
+     * keyframes, or {t: tick, b: base tick, s, players} without unchanged
+     * fields, where s is the last move of this client the server applied,
+     * see Protocol.decodeUpdates.
+     */
+    Client.socket.on('update', function(buffer) {
+      Protocol.decodeUpdates(buffer).forEach(function(data) {
+        let base = data.k ? {} : Client.snapshots[data.b];
+        if (!base) {
+          // Missed the base of this delta, wait for the next keyframe
+          return;
+        }
+
+        let snapshot = Object.assign({}, base);
+        gameplayState.observeTick(data.t);
+
+        data.players.forEach(function(p) {
+          let old = base[p.id] || [];
+          let x = p.x !== undefined ? p.x : old[0];
+          let y = p.y !== undefined ? p.y : old[1];
+          let d = p.d !== undefined ? p.d : old[2];
+
+          snapshot[p.id] = [x, y, d];
+          if (p.id !== gameplayState.playerId) {
+            gameplayState.addPlayerSample(p.id, data.t, x, y, d);
+          }
+        });
+
+        // The local player is predicted, the server only corrects it
+        let own = snapshot[gameplayState.playerId];
+        if (own) {
+          gameplayState.reconcilePlayer(own[0], own[1], own[2], data.s);
         }
+
+        Client.keepSnapshot(data.t, snapshot, data.k ? data.t : data.b);
+        Client.socket.emit('ack', data.t);
       });
     });
     // ----------------------------------------------------------------------//
@@ -150,6 +295,16 @@ let Client = {};
       }
     });
 
+    /**
+     * @param data {Object}
+     * @param data.id {Number} The player who sent the message
+     * @param data.scope {Number} Global or local, see '/shared/constant.js' ChatScope
+     * @param data.text {String}
+     */
+    Client.socket.on('chat', function(data) {
+      gameplayState.addChatMessage(data.id, data.scope, data.text);
+    });
+
     /**
      * @param data {Object} An object with the id of the player who made the sound
      */
@@ -168,6 +323,9 @@ let Client = {};
      * data is an Array of Objects {x, y, durability}
      */
     Client.socket.on('objectUpdate', function(data) {
+      if (!Client.hasWorld()) {
+        return;
+      }
       console.log('New trees are spawned..');
       data.forEach(function(obj) {
         gameplayState.placeSolidObject(0, obj.x, obj.y, obj.durability);
@@ -175,6 +333,9 @@ let Client = {};
     });
 
     Client.socket.on('objectRemoval', function(data) {
+      if (!Client.hasWorld()) {
+        return;
+      }
       gameplayState.deleteObjectAt(data.x, data.y);
     });
 
@@ -216,10 +377,101 @@ let Client = {};
      * @param data {Array}
      */
     Client.socket.on('spawnChests', function(data) {
+      if (!Client.hasWorld()) {
+        return;
+      }
       gameplayState.spawnTreasureChests(data);
     });
   };
 
+  /**
+   * @type {Object} Key: tick, Value: player states of that tick, by player id
+   */
+  Client.snapshots = {};
+
+  /**
+   * @type {String} The world to join, chosen on the main menu, or null for
+   * the default world of the server
+   */
+  Client.world = localStorage.getItem(WORLD_KEY);
+
+  /**
+   * @param world {String}
+   */
+  Client.setWorld = function(world) {
+    Client.world = world;
+    localStorage.setItem(WORLD_KEY, world);
+  };
+
+  /**
+   * A player is only known in the world they played in.
+   * @param world {String} null for the default world
+   * @return {String} Where the session token of the world is kept
+   */
+  Client.tokenKey = function(world) {
+    return world ? TOKEN_KEY + '.' + world : TOKEN_KEY;
+  };
+
+  /**
+   * Asks the server which worlds it runs.
+   * @param callback {Function} Called with an array of {name, players,
+   * width, height}, the default world first, or an empty one if the server
+   * does not tell
+   */
+  Client.listWorlds = function(callback) {
+    let request = new XMLHttpRequest();
+    request.open('GET', '/api/worlds');
+    request.onload = function() {
+      let worlds = [];
+      if (request.status === 200) {
+        try {
+          worlds = JSON.parse(request.responseText);
+        } catch (e) {
+          worlds = [];
+        }
+      }
+      callback(worlds);
+    };
+    request.onerror = function() {
+      callback([]);
+    };
+    request.send();
+  };
+
+  /**
+   * Objects change for everyone, also while waiting in the queue, those come
+   * with the chunks instead.
+   * @return {boolean} Whether initWorld sized the world yet.
+   */
+  Client.hasWorld = function() {
+    return !!gameplayState.mainLayer;
+  };
+
+  /**
+   * Admins open the game with '?admin=<key>' to use the reserved slots.
+   * @return {String} null for everyone else
+   */
+  Client.getAdminKey = function() {
+    let match = /[?&]admin=([^&]*)/.exec(window.location.search);
+    return match ? decodeURIComponent(match[1]) : null;
+  };
+
+  /**
+   * Later deltas are based on this tick or a newer one, older are dropped.
+   * @param tick {Number}
+   * @param snapshot {Object}
+   * @param oldestBase {Number}
+   */
+  Client.keepSnapshot = function(tick, snapshot, oldestBase) {
+    Client.snapshots[tick] = snapshot;
+
+    Object.keys(Client.snapshots).forEach(function(key) {
+      if (parseInt(key) < oldestBase) {
+        delete Client.snapshots[key];
+      }
+    });
+  };
+
   Client.disconnectFromServer = function() {
     Client.socket.disconnect();
   };
@@ -230,17 +482,56 @@ let Client = {};
   };
 
   // Client.inputThreshold = 15;
+
+  // The server applies one move per step, ServerConfig.STEP_RATE in
+  // '/shared/constant.js' until the server tells its own, and drops moves
+  // sent faster than that
+  Client.minMoveInterval = 1000 / 60;
+  Client.lastMoveTime = 0;
+
+  // Same as ChatConfig.MAX_LENGTH in '/shared/constant.js' until the server
+  // tells its own, longer messages are cut
+  Client.chatMaxLength = 100;
+
+  /**
+   * Keeps in step with the server, whose settings can differ from the
+   * defaults in '/shared/constant.js'.
+   * @param config {Object}
+   * @param config.stepRate {Number} World steps per second
+   * @param config.sendRate {Number} Updates sent per second
+   * @param config.chatMaxLength {Number} Characters kept of a message
+   */
+  Client.applyConfig = function(config) {
+    STEP_DURATION = 1000 / config.stepRate;
+    TICKS_PER_UPDATE = Math.max(1,
+      Math.round(config.stepRate / config.sendRate));
+    Client.minMoveInterval = STEP_DURATION;
+    Client.chatMaxLength = config.chatMaxLength;
+  };
+
+  /**
+   * The move is applied locally right away, and numbered for the server to
+   * tell when it applied it.
+   * @param dir {Number} 0 if no arrow key is down
+   */
   Client.sendInputs = function(dir) {
     // Only send if moved.
     if (dir === 0) {
       return;
     }
 
+    let now = Date.now();
+    if (now - Client.lastMoveTime < Client.minMoveInterval) {
+      return;
+    }
+    Client.lastMoveTime = now;
+
     // console.log('send');
 
     Client.socket.emit('inputCommand', {
       type: 1, // MOVEMENT
       params: dir,
+      seq: gameplayState.predictMove(dir),
     });
   };
 
@@ -280,6 +571,23 @@ let Client = {};
     //   COMMUNICATION: 3,
     Client.socket.emit('inputCommand', {
       type: 3,
+      params: {
+        scope: CHAT_SHOUT,
+      },
+    });
+  };
+
+  /**
+   * @param text {String}
+   * @param scope {Number} CHAT_GLOBAL or CHAT_LOCAL
+   */
+  Client.sendChat = function(text, scope) {
+    Client.socket.emit('inputCommand', {
+      type: 3, // COMMUNICATION
+      params: {
+        scope: scope,
+        text: text,
+      },
     });
   };
 })();
@@ -0,0 +1,93 @@
+'use strict';
+
+/**
+ * Replays a recording made with 'node app.js --record', see InputRecorder.
+ * It takes the same configuration as the server, which it needs to go the
+ * same way.
+ *
+ *   node replay.js <recording> [--until=<tick>] [--verbose] [--save=<name>]
+ */
+const dotenv = require('dotenv');
+
+const logger = require('./app/logger.js');
+const Config = require('./app/config.js');
+const Replayer = require('./app/recording/replayer.js');
+const WorldStorage = require('./app/game/storage.js');
+const {Commands} = require('./shared/constant.js');
+
+let filename = null;
+let until = Infinity;
+let verbose = false;
+let saveAs = null;
+
+dotenv.load({path: '.env'});
+const config = Config.load(process.argv.slice(2), process.env);
+if (config.errors.length > 0) {
+  logger.error(`Invalid configuration:\n  ${config.errors.join('\n  ')}`);
+  process.exit(1);
+}
+config.apply();
+
+config.args.forEach((arg) => {
+  const untilArg = /^--until=(\d+)$/.exec(arg);
+  const saveArg = /^--save=(.+)$/.exec(arg);
+  if (untilArg) {
+    until = +untilArg[1];
+  } else if (saveArg) {
+    saveAs = saveArg[1];
+  } else if (arg === '--verbose') {
+    verbose = true;
+  } else {
+    filename = arg;
+  }
+});
+
+if (!filename) {
+  logger.error('Usage: node replay.js <recording> [--until=<tick>] ' +
+    '[--verbose] [--save=<name>]');
+  process.exit(1);
+}
+
+/**
+ * @param entry {Object} See InputRecorder.
+ * @return {String}
+ */
+function describe(entry) {
+  switch (entry.r) {
+    case 'join':
+      return `player ${entry.session.playerId} joined`;
+    case 'leave':
+      return `player ${entry.playerId} left`;
+    case 'cmd':
+      return `player ${entry.playerId} ${Object.keys(Commands).find((key) => {
+        return Commands[key] === entry.type;
+      })} ${JSON.stringify(entry.params)}`;
+    case 'admin':
+      return `admin ${entry.name} ${entry.args.join(' ')}`;
+    default:
+      return `${entry.r} ${entry.hash || ''}`;
+  }
+}
+
+const replayer = Replayer.load(filename);
+const result = replayer.run(until, (entry) => {
+  if (verbose) {
+    logger.info(`[${entry.tick}] ${describe(entry)}`);
+  }
+});
+
+if (result.mismatch !== null) {
+  logger.error(`The replay went a different way by tick ${result.mismatch}, ` +
+    `after ${result.checked - 1} matching hashes.`);
+} else {
+  logger.info(`Replayed to tick ${result.tick}, ${result.checked} hashes ` +
+    `matched, the world hashes to ${result.hash}.`);
+}
+
+if (saveAs) {
+  const storage = new WorldStorage(saveAs);
+  storage.saveSync(replayer.server.world.toJSON());
+  logger.info(`World saved to ${storage.filename}.`);
+}
+
+process.exitCode = result.mismatch === null ? 0 : 1;
@@ -10,6 +10,16 @@ exports.Commands = {
   INTERACTION: 4,
 };
 
+/**
+ * @constant
+ * @enum
+ */
+exports.ChatScope = {
+  SHOUT: 0, // the abstract sound emote, no text
+  GLOBAL: 1,
+  LOCAL: 2, // only players within ChatConfig.LOCAL_RANGE
+};
+
 /**
  * @constant
  * @enum
@@ -62,19 +72,56 @@ exports.TileSpeed = [
 
 /**
  * @constant
+ * Defaults, overridden by the 'server' section of the configuration, see
+ * Config.
  */
 exports.ServerConfig = {
   MAX_PLAYERS: 50,
-  STEP_RATE: 60,
+  RESERVED_SLOTS: 2, // of MAX_PLAYERS, only admins can take these
+  STEP_RATE: 60, // world steps per second
+  SEND_RATE: 30, // updates sent to clients per second, at most STEP_RATE
+  MAX_CATCH_UP_STEPS: 5, // run at once after a stall, the rest is skipped
   TIMEOUT_INTERVAL: 60 * 30, // 30 minutes
+  AUTOSAVE_INTERVAL: 60 * 5, // 5 minutes, changes in between are journaled
+  SESSION_GRACE_PERIOD: 60 * 60 * 24, // 24 hours to come back as same player
+  INTEREST_RADIUS: 16, // in tiles, clients only get updates this close
+  KEYFRAME_INTERVAL: 120, // in ticks, full player states in between deltas
+  HANDSHAKE_TIMEOUT: 10, // in seconds, for the client to say 'hello'
+  SHUTDOWN_COUNTDOWN: 10, // in seconds, players are warned before it stops
+};
+
+/**
+ * @constant
+ * Limits of each Commands type, RATE per second and BURST at once.
+ */
+exports.InputLimits = {
+  MOVEMENT: {RATE: 60, BURST: 120},
+  ALTER_TILE: {RATE: 5, BURST: 10},
+  COMMUNICATION: {RATE: 1, BURST: 5},
+  INTERACTION: {RATE: 5, BURST: 10},
+  STRIKES_WARN: 10, // dropped commands before the player is warned
+  STRIKES_KICK: 30, // and kicked
+  STRIKE_DECAY: 1, // strikes forgiven per second
+};
+
+/**
+ * @constant
+ * Defaults, overridden by the 'chat' section of the configuration.
+ */
+exports.ChatConfig = {
+  MAX_LENGTH: 100, // characters, longer messages are cut
+  LOCAL_RANGE: 12, // in tiles
 };
 
 /**
  * @constant
+ * Defaults, overridden by the 'world' section of the configuration.
  */
 exports.WorldConfig = {
-  WIDTH: 88,
+  WIDTH: 88, // in tiles
   HEIGHT: 88,
+  CHUNK_SIZE: 16, // in tiles, terrain is generated and sent by chunk
+  SEED: null, // null picks a random seed, also set with --seed=<seed>
   WEATHER_DURATION: (45 * 1000), // in millisecond
   // MAX_TREES: 400,
   // we don't need this any more, the max number of trees is the number of
@@ -88,3 +135,23 @@ exports.WorldConfig = {
                      // shorting during testing.
 };
 
+/**
+ * @constant
+ * Defaults, overridden by the 'terrain' section of the configuration. New
+ * worlds are generated from a heightmap and a moisture map of perlin noise,
+ * both from 0 to 1, each tile is picked by its height and then its moisture.
+ * The features keep their size in larger worlds, which just have more of them.
+ */
+exports.TerrainConfig = {
+  FREQUENCY: 2.2, // of the noise, the higher the smaller the features
+  WATER_MAX: 0.3, // height below which it is water
+  SAND_MAX: 0.45, // and sand or grass at the shore
+  GRASS_MAX: 0.65, // and land, above is the mountains
+  ICE_RATIO: 0.1, // moisture below which water is frozen
+  BEACH_RATIO: 0.5, // the shore is sand below, grass above
+  DESERT_RATIO: 0.33, // land is desert below
+  FOREST_RATIO: 0.66, // and forest below, grass above
+  SNOW_RATIO: 0.5, // mountains are snow below, stone above
+  COAST_WIDTH: 8, // in tiles, the land sinks into the sea at the world edge
+  PIPELINE: 'default', // of new worlds, see TerrainGenerator.PIPELINES
+};
@@ -0,0 +1,364 @@
+/**
+ * Binary encoding of the world data sent between server and client, used by
+ * both sides: required on the server, and loaded as 'shared/protocol.js' in
+ * the browser where it defines the global `Protocol`.
+ *
+ * All numbers are little endian. A list starts with its length as u32,
+ * followed by fixed size records laid out as in the schemas below.
+ */
+(function(Protocol) {
+  'use strict';
+
+  /**
+   * @constant
+   * @type {Number} Bumped on every change of the format, a client announces
+   * the version it was built for in the 'hello' event.
+   */
+  Protocol.VERSION = 3;
+
+  /**
+   * @constant
+   * @type {Number} Oldest client version the server still understands.
+   */
+  Protocol.MIN_VERSION = 3;
+
+  /**
+   * @constant
+   * @enum
+   * Optional features, only those both sides support are used.
+   */
+  Protocol.FEATURES = {
+    DELTA: 'delta', // player updates relative to the acknowledged tick
+  };
+
+  /**
+   * @const
+   * Size in bytes and DataView accessors of each field type.
+   */
+  const TYPES = {
+    u8: {size: 1, get: 'getUint8', set: 'setUint8'},
+    i8: {size: 1, get: 'getInt8', set: 'setInt8'},
+    u16: {size: 2, get: 'getUint16', set: 'setUint16'},
+    u32: {size: 4, get: 'getUint32', set: 'setUint32'},
+    f32: {size: 4, get: 'getFloat32', set: 'setFloat32'},
+  };
+
+  /**
+   * @constant
+   * @type {Array.<Array.<String>>} [field, type] of a player.
+   */
+  Protocol.PLAYER = [['id', 'u32'], ['x', 'f32'], ['y', 'f32'], ['d', 'u8']];
+
+  /**
+   * @constant
+   * @type {Array.<Array.<String>>} [field, type] of a tree.
+   */
+  Protocol.TREE = [['x', 'u16'], ['y', 'u16'], ['durability', 'i8']];
+
+  /**
+   * @constant
+   * @type {Array.<Array.<String>>} [field, type] of a chest.
+   */
+  Protocol.CHEST = [
+    ['x', 'u16'], ['y', 'u16'], ['state', 'u8'], ['playerRequired', 'u8'],
+  ];
+
+  /**
+   * @constant
+   * Bits of the field mask of a player in an update, set if that field
+   * follows.
+   */
+  Protocol.FIELD_X = 1;
+  Protocol.FIELD_Y = 2;
+  Protocol.FIELD_D = 4;
+
+  /**
+   * Accepts an ArrayBuffer as well as a view on one, like a node Buffer.
+   * @param data {ArrayBuffer|ArrayBufferView}
+   * @return {DataView}
+   */
+  function toDataView(data) {
+    if (data instanceof ArrayBuffer) {
+      return new DataView(data);
+    }
+    return new DataView(data.buffer, data.byteOffset, data.byteLength);
+  }
+
+  /**
+   * @param schema {Array.<Array.<String>>}
+   * @return {Number} Size of one record in bytes.
+   */
+  function recordSize(schema) {
+    return schema.reduce((sum, field) => sum + TYPES[field[1]].size, 0);
+  }
+
+  /**
+   * @param schema {Array.<Array.<String>>} E.g. Protocol.TREE
+   * @param records {Array.<Object>}
+   * @return {ArrayBuffer}
+   */
+  Protocol.encodeList = function(schema, records) {
+    const buffer = new ArrayBuffer(4 + records.length * recordSize(schema));
+    const view = new DataView(buffer);
+    let offset = 0;
+
+    view.setUint32(offset, records.length, true);
+    offset += 4;
+
+    records.forEach((record) => {
+      schema.forEach((field) => {
+        const type = TYPES[field[1]];
+        view[type.set](offset, record[field[0]], true);
+        offset += type.size;
+      });
+    });
+
+    return buffer;
+  };
+
+  /**
+   * @param schema {Array.<Array.<String>>} E.g. Protocol.TREE
+   * @param data {ArrayBuffer|ArrayBufferView}
+   * @return {Array.<Object>}
+   */
+  Protocol.decodeList = function(schema, data) {
+    const view = toDataView(data);
+    const records = [];
+    let offset = 0;
+
+    const count = view.getUint32(offset, true);
+    offset += 4;
+
+    for (let i = 0; i < count; i++) {
+      const record = {};
+      schema.forEach((field) => {
+        const type = TYPES[field[1]];
+        record[field[0]] = view[type.get](offset, true);
+        offset += type.size;
+      });
+      records.push(record);
+    }
+
+    return records;
+  };
+
+  /**
+   * Tiles are written column by column, one byte each, after the size as two
+   * u16.
+   * @param width {Number}
+   * @param height {Number}
+   * @param data {Array.<Array.<Number>>} Tile types, indexed [x][y].
+   * @return {ArrayBuffer}
+   */
+  Protocol.encodeTiles = function(width, height, data) {
+    const buffer = new ArrayBuffer(4 + width * height);
+    const view = new DataView(buffer);
+
+    view.setUint16(0, width, true);
+    view.setUint16(2, height, true);
+
+    const bytes = new Uint8Array(buffer, 4);
+    for (let i = 0; i < width; i++) {
+      for (let j = 0; j < height; j++) {
+        bytes[i * height + j] = data[i][j];
+      }
+    }
+
+    return buffer;
+  };
+
+  /**
+   * @param data {ArrayBuffer|ArrayBufferView}
+   * @return {Array.<Array.<Number>>} Tile types, indexed [x][y].
+   */
+  Protocol.decodeTiles = function(data) {
+    const view = toDataView(data);
+    const width = view.getUint16(0, true);
+    const height = view.getUint16(2, true);
+
+    const tiles = [];
+    for (let i = 0; i < width; i++) {
+      tiles[i] = [];
+      for (let j = 0; j < height; j++) {
+        tiles[i][j] = view.getUint8(4 + i * height + j);
+      }
+    }
+
+    return tiles;
+  };
+
+  /**
+   * Chunks of the world start with their count as u16, each is the position
+   * of its first tile as two u16 followed by its tiles as in encodeTiles.
+   * @param chunks {Array.<{x: Number, y: Number, tiles: Array}>} Tile types
+   * of each chunk, indexed [x][y] from its first tile.
+   * @return {ArrayBuffer}
+   */
+  Protocol.encodeChunks = function(chunks) {
+    let size = 2;
+    chunks.forEach((chunk) => {
+      size += 8 + chunk.tiles.length * chunk.tiles[0].length;
+    });
+
+    const buffer = new ArrayBuffer(size);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    view.setUint16(0, chunks.length, true);
+    let offset = 2;
+
+    chunks.forEach((chunk) => {
+      const width = chunk.tiles.length;
+      const height = chunk.tiles[0].length;
+
+      view.setUint16(offset, chunk.x, true);
+      view.setUint16(offset + 2, chunk.y, true);
+      bytes.set(new Uint8Array(
+        Protocol.encodeTiles(width, height, chunk.tiles)), offset + 4);
+
+      offset += 8 + width * height;
+    });
+
+    return buffer;
+  };
+
+  /**
+   * @param data {ArrayBuffer|ArrayBufferView}
+   * @return {Array.<{x: Number, y: Number, tiles: Array}>}
+   */
+  Protocol.decodeChunks = function(data) {
+    const view = toDataView(data);
+    const chunks = [];
+
+    const count = view.getUint16(0, true);
+    let offset = 2;
+
+    for (let n = 0; n < count; n++) {
+      const width = view.getUint16(offset + 4, true);
+      const height = view.getUint16(offset + 6, true);
+
+      chunks.push({
+        x: view.getUint16(offset, true),
+        y: view.getUint16(offset + 2, true),
+        tiles: Protocol.decodeTiles(new DataView(view.buffer,
+          view.byteOffset + offset + 4, 4 + width * height)),
+      });
+
+      offset += 8 + width * height;
+    }
+
+    return chunks;
+  };
+
+  /**
+   * Encodes the player updates of several ticks. Each starts with the tick
+   * (u32), 1 if it is a keyframe (u8), the base tick (u32), the last move
+   * applied (u32) and the number of players (u16). Each player is its id
+   * (u32), a field mask (u8) and the fields in the mask: x (f32), y (f32) and
+   * d (u8).
+   * @param entries {Array.<Object>} {t, k, b, s, players}, a player has only
+   * the fields that are sent, see DeltaEncoder.
+   * @return {ArrayBuffer}
+   */
+  Protocol.encodeUpdates = function(entries) {
+    let size = 2;
+    entries.forEach((entry) => {
+      size += 15;
+      entry.players.forEach((player) => {
+        size += 5 + (player.x !== undefined ? 4 : 0) +
+          (player.y !== undefined ? 4 : 0) + (player.d !== undefined ? 1 : 0);
+      });
+    });
+
+    const buffer = new ArrayBuffer(size);
+    const view = new DataView(buffer);
+    let offset = 0;
+
+    view.setUint16(offset, entries.length, true);
+    offset += 2;
+
+    entries.forEach((entry) => {
+      view.setUint32(offset, entry.t, true);
+      view.setUint8(offset + 4, entry.k ? 1 : 0);
+      view.setUint32(offset + 5, entry.k ? entry.t : entry.b, true);
+      view.setUint32(offset + 9, entry.s || 0, true);
+      view.setUint16(offset + 13, entry.players.length, true);
+      offset += 15;
+
+      entry.players.forEach((player) => {
+        const mask = (player.x !== undefined ? Protocol.FIELD_X : 0) |
+          (player.y !== undefined ? Protocol.FIELD_Y : 0) |
+          (player.d !== undefined ? Protocol.FIELD_D : 0);
+
+        view.setUint32(offset, player.id, true);
+        view.setUint8(offset + 4, mask);
+        offset += 5;
+
+        if (mask & Protocol.FIELD_X) {
+          view.setFloat32(offset, player.x, true);
+          offset += 4;
+        }
+        if (mask & Protocol.FIELD_Y) {
+          view.setFloat32(offset, player.y, true);
+          offset += 4;
+        }
+        if (mask & Protocol.FIELD_D) {
+          view.setUint8(offset, player.d);
+          offset += 1;
+        }
+      });
+    });
+
+    return buffer;
+  };
+
+  /**
+   * @param data {ArrayBuffer|ArrayBufferView}
+   * @return {Array.<Object>} {t, k, b, s, players}, fields that were not sent
+   * are undefined.
+   */
+  Protocol.decodeUpdates = function(data) {
+    const view = toDataView(data);
+    const entries = [];
+    let offset = 0;
+
+    const count = view.getUint16(offset, true);
+    offset += 2;
+
+    for (let i = 0; i < count; i++) {
+      const entry = {
+        t: view.getUint32(offset, true),
+        k: view.getUint8(offset + 4),
+        b: view.getUint32(offset + 5, true),
+        s: view.getUint32(offset + 9, true),
+        players: [],
+      };
+      const playerCount = view.getUint16(offset + 13, true);
+      offset += 15;
+
+      for (let j = 0; j < playerCount; j++) {
+        const player = {id: view.getUint32(offset, true)};
+        const mask = view.getUint8(offset + 4);
+        offset += 5;
+
+        if (mask & Protocol.FIELD_X) {
+          player.x = view.getFloat32(offset, true);
+          offset += 4;
+        }
+        if (mask & Protocol.FIELD_Y) {
+          player.y = view.getFloat32(offset, true);
+          offset += 4;
+        }
+        if (mask & Protocol.FIELD_D) {
+          player.d = view.getUint8(offset);
+          offset += 1;
+        }
+        entry.players.push(player);
+      }
+
+      entries.push(entry);
+    }
+
+    return entries;
+  };
+})(typeof module !== 'undefined' ? module.exports : (window.Protocol = {}));
@@ -0,0 +1,112 @@
+const assert = require('assert');
+
+const World = require('../app/game/world.js');
+const Room = require('../app/room.js');
+const AdminCommands = require('../app/admin/admin_commands.js');
+
+describe('AdminCommands', function() {
+  let server;
+  let admin;
+  let player;
+
+  beforeEach(function() {
+    server = {
+      io: {
+        emit: () => {},
+        to: () => server.io,
+      },
+      connectedPlayers: new Map(),
+      rejected: [],
+      rejectClient: (socket, reason) => server.rejected.push(reason),
+      moved: [],
+      movePlayer: (client, room) => server.moved.push(room.name),
+    };
+    server.defaultRoom = new Room(server, 'admin', {seed: 'admin'});
+    server.rooms = new Map([
+      ['admin', server.defaultRoom],
+      ['arena', new Room(server, 'arena', {seed: 'arena'})],
+    ]);
+    server.world = server.defaultRoom.world;
+    admin = new AdminCommands(server);
+
+    const pos = server.world.findSpawnPosition();
+    server.world.addPlayer(pos.x, pos.y, 7);
+    player = server.world.players.get(7);
+    server.connectedPlayers.set('socket', {
+      socket: {handshake: {address: '10.0.0.1'}},
+      playerId: 7,
+      token: 'token',
+      room: server.defaultRoom,
+    });
+  });
+
+  /**
+   * @param line {String}
+   * @return {{err: Error, output: String}}
+   */
+  function run(line) {
+    let result;
+    admin.execute(line, (err, output) => {
+      result = {err: err, output: output};
+    });
+    return result;
+  }
+
+  describe('#execute', function() {
+    it('should refuse unknown commands and bad arguments.', function() {
+      assert.ok(run('fly 7').err);
+      assert.ok(run('teleport seven 1 1').err);
+      assert.ok(run('give 8 1').err);
+    });
+
+    it('should teleport a player to a free tile.', function() {
+      const pos = server.world.findSpawnPosition();
+
+      assert.ifError(run(`teleport 7 ${pos.x} ${pos.y}`).err);
+      assert.equal(player._x, pos.x);
+      assert.equal(player._realY, pos.y);
+      assert.ok(run('teleport 7 -1 0').err);
+    });
+
+    it('should give items.', function() {
+      const before = player.inventory[2];
+
+      assert.ifError(run('give 7 2 3').err);
+      assert.equal(player.inventory[2], before + 3);
+    });
+
+    it('should ban the session and address of a player.', function() {
+      assert.ifError(run('ban 7 griefing').err);
+
+      assert.equal(server.rejected.length, 1);
+      assert.ok(server.world.bans.find(null, '10.0.0.1'));
+      assert.ifError(run('unban 7').err);
+      assert.equal(server.world.bans.find('token', null), null);
+    });
+
+    it('should set the weather by name.', function() {
+      assert.ifError(run('weather blizzard').err);
+      assert.equal(server.world.currentWeather, World.WEATHER.BLIZZARD);
+      assert.ok(run('weather fog').err);
+    });
+
+    it('should change the world it is given.', function() {
+      const arena = server.rooms.get('arena').world;
+
+      assert.ifError(run('weather rain arena').err);
+      assert.equal(arena.currentWeather, World.WEATHER.RAIN);
+      assert.notEqual(server.world.currentWeather, World.WEATHER.RAIN);
+      assert.ok(run('weather rain moon').err);
+      assert.ifError(run('chest dual arena').err);
+      assert.ok(run('chest big').err);
+    });
+
+    it('should move a player to another world.', function() {
+      assert.ok(run('move 7').err);
+      assert.ok(run('move 7 admin').err);
+      assert.ok(run('move 7 moon').err);
+      assert.ifError(run('move 7 arena').err);
+      assert.deepEqual(server.moved, ['arena']);
+    });
+  });
+});
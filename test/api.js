@@ -0,0 +1,159 @@
+const assert = require('assert');
+const http = require('http');
+const express = require('express');
+
+const Room = require('../app/room.js');
+const AdminCommands = require('../app/admin/admin_commands.js');
+const JoinQueue = require('../app/network/join_queue.js');
+const createApi = require('../app/admin/api.js');
+
+/**
+ * @param port {Number}
+ * @param method {String}
+ * @param path {String}
+ * @param headers {Object}
+ * @param callback {function(Number, Object)} With status and parsed body.
+ */
+function request(port, method, path, headers, callback) {
+  const req = http.request({
+    port: port,
+    method: method,
+    path: path,
+    headers: headers,
+  }, (res) => {
+    let body = '';
+    res.on('data', (chunk) => body += chunk);
+    res.on('end', () => callback(res.statusCode, JSON.parse(body)));
+  });
+  req.end();
+}
+
+describe('API', function() {
+  let httpServer;
+  let port;
+  let server;
+
+  before(function(done) {
+    server = {
+      io: {
+        emit: () => {},
+        to: () => server.io,
+      },
+      connectedPlayers: new Map(),
+      joinQueue: new JoinQueue(50, 2),
+      getSeverTime: () => 1000,
+      isAdminKey: (key) => key === 'secret',
+    };
+    server.defaultRoom = new Room(server, 'api', {seed: 'api'});
+    server.rooms = new Map([
+      ['api', server.defaultRoom],
+      ['small', new Room(server, 'small', {seed: 'small', width: 32,
+        height: 32})],
+    ]);
+    server.findRoom = (name) => {
+      return name === undefined ? server.defaultRoom : server.rooms.get(name);
+    };
+    server.world = server.defaultRoom.world;
+    server.admin = new AdminCommands(server);
+
+    const app = express();
+    app.use('/api', createApi(server));
+    httpServer = app.listen(0, () => {
+      port = httpServer.address().port;
+      done();
+    });
+  });
+
+  after(function(done) {
+    httpServer.close(done);
+  });
+
+  it('should describe the world.', function(done) {
+    request(port, 'GET', '/api/world', {}, (status, body) => {
+      assert.equal(status, 200);
+      assert.equal(body.seed, server.world.random.seed);
+      assert.equal(body.objects.chest, 5);
+      assert.equal(body.chunks.loaded, server.world.tilemap.chunks.size);
+      done();
+    });
+  });
+
+  it('should list the worlds, and describe each.', function(done) {
+    request(port, 'GET', '/api/worlds', {}, (status, body) => {
+      assert.equal(status, 200);
+      assert.deepEqual(body.map((world) => world.name), ['api', 'small']);
+      assert.equal(body[1].width, 32);
+
+      request(port, 'GET', '/api/world?name=small', {}, (status, body) => {
+        assert.equal(status, 200);
+        assert.equal(body.name, 'small');
+        assert.equal(body.height, 32);
+
+        request(port, 'GET', '/api/world?name=moon', {}, (status) => {
+          assert.equal(status, 404);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should preview the terrain of a pipeline.', function(done) {
+    const auth = {Authorization: 'Bearer secret'};
+    const path = '/api/terrain?pipeline=island&seed=api&width=16&height=8';
+    request(port, 'GET', path, auth, (status, body) => {
+      assert.equal(status, 200);
+      assert.equal(body.seed, server.world.random.seed);
+      assert.equal(body.tiles.length, 16);
+      assert.equal(body.tiles[0].length, 8);
+
+      const passes = encodeURIComponent('[{"pass": "noise"}]');
+      request(port, 'GET', `/api/terrain?passes=${passes}`, auth,
+        (status, body) => {
+          assert.equal(status, 400);
+          assert.ok(/classifier/.test(body.error));
+
+          request(port, 'GET', '/api/terrain/pipelines', {},
+            (status, body) => {
+              assert.equal(status, 200);
+              assert.ok(body.pipelines.island);
+              assert.ok(body.passes.includes('biomes'));
+              done();
+            });
+        });
+    });
+  });
+
+  it('should only preview terrain for admins, and not too much.',
+    function(done) {
+      request(port, 'GET', '/api/terrain', {}, (status) => {
+        assert.equal(status, 401);
+
+        const noise = {pass: 'noise', octaves: 8};
+        const passes = encodeURIComponent(JSON.stringify(
+          [noise, noise, noise, {pass: 'elevation'}]));
+        const path = `/api/terrain?passes=${passes}&width=512&height=512`;
+        request(port, 'GET', path, {Authorization: 'Bearer secret'},
+          (status, body) => {
+            assert.equal(status, 400);
+            assert.ok(/too much work/.test(body.error));
+            done();
+          });
+      });
+    });
+
+  it('should refuse admin actions without the key.', function(done) {
+    request(port, 'POST', '/api/admin/chest', {}, (status) => {
+      assert.equal(status, 401);
+      done();
+    });
+  });
+
+  it('should run admin actions with the key.', function(done) {
+    const headers = {Authorization: 'Bearer secret'};
+    request(port, 'POST', '/api/admin/chest', headers, (status, body) => {
+      assert.equal(status, 200);
+      assert.ok(body.output);
+      done();
+    });
+  });
+});
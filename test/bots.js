@@ -0,0 +1,172 @@
+const assert = require('assert');
+
+const Bot = require('../app/bots/bot.js');
+const Behaviours = require('../app/bots/behaviours.js');
+const LoadReport = require('../app/bots/load_report.js');
+const Protocol = require('../shared/protocol.js');
+const {Commands, Tiles} = require('../shared/constant.js');
+
+/**
+ * A bot in a 5x5 grass world at (2, 2), with water at (4, 2) and a tree at
+ * (2, 0), as the server would send it.
+ * @param behaviour {Function=}
+ * @return {Bot}
+ */
+function joinedBot(behaviour = () => null) {
+  const tiles = [];
+  for (let x = 0; x < 5; x++) {
+    tiles[x] = [0, 0, 0, 0, 0];
+  }
+  tiles[4][2] = Tiles.WATER;
+
+  const bot = new Bot('http://localhost', behaviour);
+  bot.onInitWorld({
+    id: 7,
+    players: Protocol.encodeList(Protocol.PLAYER, [{id: 7, x: 2, y: 2, d: 2}]),
+    width: 5,
+    height: 5,
+    chunkSize: 16,
+    inventory: [0, 0, 0, 0, 20, 0, 0, 0, 0, 0],
+  });
+  bot.onChunks({
+    tiles: Protocol.encodeChunks([{x: 0, y: 0, tiles: tiles}]),
+    trees: Protocol.encodeList(Protocol.TREE, [{x: 2, y: 0, durability: 3}]),
+    chests: Protocol.encodeList(Protocol.CHEST, []),
+  });
+  clearInterval(bot.timer);
+
+  bot.emitted = [];
+  bot.socket = {emit: (event, data) => bot.emitted.push([event, data])};
+  return bot;
+}
+
+describe('Bot', function() {
+  it('should follow its position through keyframes and deltas.', function() {
+    const bot = joinedBot();
+
+    bot.onUpdate(Protocol.encodeUpdates([
+      {t: 10, k: 1, b: 10, s: 0, players: [{id: 7, x: 2, y: 2.5, d: 2}]},
+    ]));
+    bot.onUpdate(Protocol.encodeUpdates([
+      {t: 12, k: 0, b: 10, s: 0, players: [{id: 7, y: 3}]},
+    ]));
+
+    assert.deepEqual([bot.x, bot.y, bot.d], [2, 3, 2]);
+    assert.deepEqual(bot.emitted, [['ack', 10], ['ack', 12]]);
+  });
+
+  it('should measure how long the server took to apply a move.', function() {
+    const bot = joinedBot(() => ({type: Commands.MOVEMENT, params: 6}));
+
+    bot.think(1000);
+    bot.think(1010);
+    bot.onUpdate(Protocol.encodeUpdates([
+      {t: 10, k: 1, b: 10, s: 1, players: []},
+    ]), 1040);
+
+    assert.deepEqual(bot.latencies, [40]);
+    assert.deepEqual(bot.emitted[1], ['inputCommand',
+      {type: Commands.MOVEMENT, params: 6, seq: 2}]);
+  });
+
+  it('should walk around what blocks the way.', function() {
+    const bot = joinedBot();
+
+    assert.ok(bot.isBlocked(4, 2));
+    assert.ok(bot.isBlocked(2, 0));
+    assert.ok(bot.isBlocked(-1, 2));
+    assert.equal(bot.directionTowards({x: 4, y: 2}), 6);
+
+    bot.trees.set('2,1', 3);
+    assert.equal(bot.directionTowards({x: 3, y: 0}), 6);
+  });
+});
+
+describe('Behaviours', function() {
+  it('should walk up to a tree and cut it.', function() {
+    const bot = joinedBot();
+
+    assert.deepEqual(Behaviours.trees(bot),
+      {type: Commands.MOVEMENT, params: 8});
+
+    bot.y = 1;
+    assert.deepEqual(Behaviours.trees(bot),
+      {type: Commands.MOVEMENT, params: 8});
+
+    bot.d = 8;
+    assert.deepEqual(Behaviours.trees(bot), {type: Commands.INTERACTION});
+  });
+
+  it('should only place bridges on water.', function() {
+    const bot = joinedBot();
+    bot.x = 3;
+    bot.d = 6;
+
+    let placed = false;
+    for (let i = 0; i < 20 && !placed; i++) {
+      const cmd = Behaviours.tiles(bot);
+      placed = cmd.type === Commands.ALTER_TILE;
+      if (placed) {
+        assert.deepEqual(cmd.params, {tileId: Tiles.BRIDGE});
+      }
+    }
+    assert.ok(placed);
+
+    bot.d = 2;
+    for (let i = 0; i < 20; i++) {
+      assert.equal(Behaviours.tiles(bot).type, Commands.MOVEMENT);
+    }
+  });
+
+  it('should leave looted chests alone.', function() {
+    const bot = joinedBot();
+    bot.trees.clear();
+    bot.setChest({x: 2, y: 3, state: 3, playerRequired: 0});
+    bot.setChest({x: 0, y: 2, state: 0, playerRequired: 1});
+
+    assert.deepEqual(Behaviours.chests(bot),
+      {type: Commands.MOVEMENT, params: 4});
+  });
+});
+
+describe('LoadReport', function() {
+  it('should take percentiles by nearest rank.', function() {
+    const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+    assert.equal(LoadReport.percentile(values, 50), 5);
+    assert.equal(LoadReport.percentile(values, 95), 10);
+    assert.equal(LoadReport.percentile([], 50), null);
+  });
+
+  it('should report the server by the increase of its counters.', function() {
+    const metrics = (ticks, seconds, overruns) => [
+      '# TYPE alterrain_tick_duration_seconds histogram',
+      `alterrain_tick_duration_seconds_sum ${seconds}`,
+      `alterrain_tick_duration_seconds_count ${ticks}`,
+      `alterrain_tick_overruns_total ${overruns}`,
+      'alterrain_connected_players 3',
+      'alterrain_queued_players 1',
+    ].join('\n');
+    const bot = new Bot('http://localhost', () => null);
+    bot.state = Bot.STATE.PLAYING;
+    bot.latencies = [30, 10, 20];
+    bot.sent = 50;
+
+    const report = new LoadReport();
+    report.start(metrics(100, 0.25, 1));
+    const sample = report.sample([bot], 5, metrics(400, 0.85, 3));
+
+    assert.equal(sample.states.playing, 1);
+    assert.equal(sample.latency.p50, 20);
+    assert.equal(sample.sentRate, 10);
+    assert.deepEqual(sample.server, {
+      ticksPerSecond: 60,
+      tickMs: 2,
+      overruns: 2,
+      skipped: 0,
+      players: 3,
+      queued: 1,
+    });
+    assert.deepEqual(bot.latencies, []);
+  });
+});
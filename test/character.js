@@ -0,0 +1,53 @@
+const assert = require('assert');
+
+const World = require('../app/game/world.js');
+const {fakeServer} = require('./helpers/fakes.js');
+
+describe('Character', function() {
+  let player;
+  let start;
+  let direction;
+
+  beforeEach(function() {
+    const world = new World(fakeServer, {seed: 'alterrain'});
+
+    // a spot with somewhere to go
+    do {
+      start = world.findSpawnPosition();
+      world.addPlayer(start.x, start.y, 1);
+      player = world.players.get(1);
+      direction = [2, 4, 6, 8].find((d) => {
+        return player.canPass(start.x, start.y, d);
+      });
+    } while (!direction);
+  });
+
+  /**
+   * @param steps {Number}
+   */
+  function walk(steps) {
+    for (let i = 0; i < steps; i++) {
+      player.update();
+    }
+  }
+
+  describe('#requestMove', function() {
+    it('should move and remember the sequence number.', function() {
+      player.requestMove(direction, 1);
+
+      assert.ok(player.isMoving());
+      assert.equal(player.inputSeq, 1);
+    });
+
+    it('should apply a move sent before the last one finished.', function() {
+      player.requestMove(direction, 1);
+      player.requestMove(player.reverseDir(direction), 2);
+      assert.equal(player.inputSeq, 1);
+
+      walk(100);
+
+      assert.equal(player.inputSeq, 2);
+      assert.deepEqual([player._realX, player._realY], [start.x, start.y]);
+    });
+  });
+});
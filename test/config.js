@@ -0,0 +1,109 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Config = require('../app/config.js');
+const {ServerConfig, TerrainConfig} = require('../shared/constant.js');
+
+describe('Config', function() {
+  let dir;
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alterrain-config-'));
+  });
+
+  afterEach(function() {
+    fs.readdirSync(dir).forEach((file) => fs.unlinkSync(path.join(dir, file)));
+    fs.rmdirSync(dir);
+  });
+
+  it('should take the file, then the environment, then the arguments.',
+    function() {
+      const file = path.join(dir, 'server.yaml');
+      fs.writeFileSync(file, [
+        'server:',
+        '  maxPlayers: 80',
+        '  stepRate: 30',
+        '  sendRate: 15',
+        'terrain:',
+        '  waterMax: 0.2',
+      ].join('\n'));
+
+      const config = Config.load(
+        ['myworld', `--config=${file}`, '--server.maxPlayers=120', '--record'],
+        {ALTERRAIN_SERVER_MAX_PLAYERS: '100', ALTERRAIN_WORLD_SEED: 'island',
+          PORT: '8080'}, dir);
+
+      assert.deepEqual(config.errors, []);
+      assert.deepEqual(config.args, ['myworld', '--record']);
+      assert.equal(config.values.server.MAX_PLAYERS, 120);
+      assert.equal(config.values.server.STEP_RATE, 30);
+      assert.equal(config.values.world.SEED, 'island');
+      assert.equal(config.values.terrain.WATER_MAX, 0.2);
+      assert.equal(config.values.server.RESERVED_SLOTS,
+        ServerConfig.RESERVED_SLOTS);
+      assert.deepEqual(config.describeOverrides(), [
+        'server.maxPlayers=120 (--server.maxPlayers)',
+        `server.stepRate=30 (${file})`,
+        `server.sendRate=15 (${file})`,
+        `terrain.waterMax=0.2 (${file})`,
+        'world.seed="island" (ALTERRAIN_WORLD_SEED)',
+      ]);
+    });
+
+  it('should read config.json of the project directory.', function() {
+    fs.writeFileSync(path.join(dir, 'config.json'),
+      JSON.stringify({world: {width: 64, height: 32}}));
+
+    const config = Config.load([], {}, dir);
+
+    assert.deepEqual(config.errors, []);
+    assert.equal(config.values.world.WIDTH, 64);
+  });
+
+  it('should report every invalid setting with where it comes from.',
+    function() {
+      const file = path.join(dir, 'bad.json');
+      fs.writeFileSync(file, JSON.stringify({
+        server: {maxPlayers: 2.5, tickRate: 60},
+        players: {},
+      }));
+
+      const config = Config.load([`--config=${file}`, '--world.width=big'],
+        {ALTERRAIN_TERRAIN_SAND_MAX: '0.9'}, dir);
+
+      assert.deepEqual(config.errors, [
+        `${file}: server.maxPlayers must be a whole number, got 2.5`,
+        `${file}: unknown setting server.tickRate`,
+        `${file}: unknown section players`,
+        '--world.width: world.width must be a number, got "big"',
+        'terrain.waterMax, terrain.sandMax and terrain.grassMax must not ' +
+          'decrease',
+      ]);
+    });
+
+  it('should check the settings that depend on each other.', function() {
+    const config = Config.load(['--server.sendRate=120',
+      '--server.reservedSlots=50', '--terrain.pipeline=volcano'], {}, dir);
+
+    assert.deepEqual(config.errors, [
+      'server.sendRate must be at most server.stepRate',
+      'server.reservedSlots must be less than server.maxPlayers',
+      'terrain.pipeline must be one of default, island, frozen',
+    ]);
+  });
+
+  it('should overwrite the defaults when applied.', function() {
+    const defaults = Object.assign({}, TerrainConfig);
+    const config = Config.load(['--terrain.frequency=3'], {}, dir);
+
+    config.apply();
+    try {
+      assert.equal(TerrainConfig.FREQUENCY, 3);
+      assert.equal(TerrainConfig.WATER_MAX, defaults.WATER_MAX);
+    } finally {
+      Object.assign(TerrainConfig, defaults);
+    }
+  });
+});
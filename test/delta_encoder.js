@@ -0,0 +1,85 @@
+const assert = require('assert');
+
+const DeltaEncoder = require('../app/network/delta_encoder.js');
+
+/**
+ * @param id {Number}
+ * @param x {Number}
+ * @param y {Number}
+ * @return {Object} Enough of a Player for the encoder.
+ */
+function fakePlayer(id, x, y) {
+  return {id: id, _realX: x, _realY: y, _direction: 2};
+}
+
+describe('DeltaEncoder', function() {
+  let encoder;
+  let client;
+
+  beforeEach(function() {
+    encoder = new DeltaEncoder(120);
+    client = {};
+    encoder.addClient(client);
+  });
+
+  describe('#encode', function() {
+    it('should start with a keyframe.', function() {
+      const entry = encoder.encode(client, [fakePlayer(1, 3, 4)], 0);
+
+      assert.deepEqual(entry, {t: 0, k: 1, s: 0, players: [{id: 1, x: 3, y: 4, d: 2}]});
+    });
+
+    it('should send nothing when idle.', function() {
+      const players = [fakePlayer(1, 3, 4)];
+
+      encoder.encode(client, players, 0);
+      encoder.acknowledge(client, 0);
+
+      assert.equal(encoder.encode(client, players, 1), null);
+    });
+
+    it('should send only the changed fields.', function() {
+      const player = fakePlayer(1, 3, 4);
+
+      encoder.encode(client, [player, fakePlayer(2, 0, 0)], 0);
+      encoder.acknowledge(client, 0);
+      player._realX = 3.5;
+
+      assert.deepEqual(encoder.encode(client, [player, fakePlayer(2, 0, 0)], 1),
+        {t: 1, b: 0, s: 0, players: [{id: 1, x: 3.5}]});
+    });
+
+    it('should repeat changes until they are acknowledged.', function() {
+      const player = fakePlayer(1, 3, 4);
+
+      encoder.encode(client, [player], 0);
+      encoder.acknowledge(client, 0);
+      player._realX = 4;
+      encoder.encode(client, [player], 1);
+
+      assert.deepEqual(encoder.encode(client, [player], 2),
+        {t: 2, b: 0, s: 0, players: [{id: 1, x: 4}]});
+    });
+
+    it('should acknowledge a move that changed nothing.', function() {
+      const players = [fakePlayer(1, 3, 4)];
+
+      encoder.encode(client, players, 0, 4);
+      encoder.acknowledge(client, 0);
+
+      assert.deepEqual(encoder.encode(client, players, 1, 5),
+        {t: 1, b: 0, s: 5, players: []});
+      encoder.acknowledge(client, 1);
+      assert.equal(encoder.encode(client, players, 2, 5), null);
+    });
+
+    it('should send a keyframe periodically.', function() {
+      const players = [fakePlayer(1, 3, 4)];
+
+      encoder.encode(client, players, 0);
+      encoder.acknowledge(client, 0);
+
+      assert.equal(encoder.encode(client, players, 120).k, 1);
+    });
+  });
+});
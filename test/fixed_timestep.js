@@ -0,0 +1,33 @@
+const assert = require('assert');
+
+const FixedTimestep = require('../app/fixed_timestep.js');
+
+describe('FixedTimestep', function() {
+  let timestep;
+
+  beforeEach(function() {
+    timestep = new FixedTimestep(10, 3);
+  });
+
+  describe('#advance', function() {
+    it('should carry the remainder over to the next call.', function() {
+      assert.deepEqual(timestep.advance(15), {steps: 1, skipped: 0});
+      assert.deepEqual(timestep.advance(4), {steps: 0, skipped: 0});
+      assert.deepEqual(timestep.advance(1), {steps: 1, skipped: 0});
+    });
+
+    it('should catch up a few steps after a stall.', function() {
+      assert.deepEqual(timestep.advance(30), {steps: 3, skipped: 0});
+    });
+
+    it('should skip the steps beyond the limit.', function() {
+      assert.deepEqual(timestep.advance(125), {steps: 3, skipped: 9});
+      assert.deepEqual(timestep.advance(5), {steps: 1, skipped: 0});
+    });
+
+    it('should ignore the clock going backwards.', function() {
+      assert.deepEqual(timestep.advance(-50), {steps: 0, skipped: 0});
+      assert.deepEqual(timestep.advance(10), {steps: 1, skipped: 0});
+    });
+  });
+});
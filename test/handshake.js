@@ -0,0 +1,30 @@
+const assert = require('assert');
+
+const Protocol = require('../shared/protocol.js');
+const negotiate = require('../app/network/handshake.js');
+
+describe('Handshake', function() {
+  it('should accept the current version with common features.', function() {
+    const result = negotiate({
+      version: Protocol.VERSION,
+      features: [Protocol.FEATURES.DELTA, 'unknown'],
+    });
+
+    assert.deepEqual(result, {
+      version: Protocol.VERSION,
+      features: [Protocol.FEATURES.DELTA],
+    });
+  });
+
+  it('should refuse outdated and unknown versions.', function() {
+    assert.ok(negotiate({version: Protocol.MIN_VERSION - 1, features: []})
+      .reason);
+    assert.ok(negotiate({version: Protocol.VERSION + 1, features: []})
+      .reason);
+  });
+
+  it('should refuse a malformed hello.', function() {
+    assert.ok(negotiate(undefined).reason);
+    assert.ok(negotiate({version: '1', features: []}).reason);
+  });
+});
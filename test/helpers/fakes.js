@@ -0,0 +1,98 @@
+/**
+ * Fakes of socket.io and of the server around a World, for the tests.
+ */
+
+/**
+ * @type {Object} Enough of a Room for a World that nobody is connected to.
+ */
+const fakeServer = {
+  io: {
+    emit: () => {},
+  },
+  interest: {
+    forget: () => {},
+  },
+  emitNear: () => {},
+  emitObjects: () => {},
+  emitOnChunk: () => {},
+};
+
+/**
+ * @param emitted {Array} Gets [room, event, data] of each broadcast, room is
+ * null if it went to everyone.
+ * @return {Object} Enough of socket.io for a Server.
+ */
+function fakeIo(emitted) {
+  const namespace = {
+    use: () => namespace,
+    on: () => {},
+  };
+  return {
+    on: () => {},
+    emit: (event, data) => emitted.push([null, event, data]),
+    to: (room) => {
+      return {emit: (event, data) => emitted.push([room, event, data])};
+    },
+    of: () => namespace,
+  };
+}
+
+/**
+ * Keeps every handler of an event, as socket.io does.
+ * @param id {String}
+ * @param token {String=} Of the session to resume.
+ * @return {Object} A socket that remembers what it was sent.
+ */
+function fakeSocket(id, token) {
+  const socket = {
+    id: id,
+    connected: true,
+    handshake: {query: token ? {token: token} : {}, address: '10.0.0.1'},
+    conn: {on: () => {}},
+    handlers: {},
+    emitted: [],
+    rooms: [],
+    emit: (event, data) => socket.emitted.push([event, data]),
+    on: (event, handler) => {
+      socket.handlers[event] = (socket.handlers[event] || []).concat(handler);
+    },
+    once: (event, handler) => {
+      const once = (data) => {
+        socket.removeListener(event, once);
+        handler(data);
+      };
+      socket.on(event, once);
+    },
+    removeListener: (event, handler) => {
+      socket.handlers[event] = (socket.handlers[event] || []).filter((h) => {
+        return h !== handler;
+      });
+    },
+    trigger: (event, data) => {
+      (socket.handlers[event] || []).slice().forEach((h) => h(data));
+    },
+    join: (room) => socket.rooms.push(room),
+    disconnect: () => {
+      socket.connected = false;
+      socket.trigger('disconnect');
+    },
+  };
+  return socket;
+}
+
+/**
+ * @param socket {Object} See fakeSocket().
+ * @param event {String}
+ * @return {Array} The data of each time the event was sent to the socket.
+ */
+function sent(socket, event) {
+  return socket.emitted.filter((entry) => entry[0] === event)
+    .map((entry) => entry[1]);
+}
+
+module.exports = {
+  fakeServer: fakeServer,
+  fakeIo: fakeIo,
+  fakeSocket: fakeSocket,
+  sent: sent,
+};
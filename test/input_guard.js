@@ -0,0 +1,119 @@
+const assert = require('assert');
+
+const InputGuard = require('../app/network/input_guard.js');
+const validateCommand = require('../app/network/input_schema.js');
+const {Commands, ChatScope} = require('../shared/constant.js');
+
+describe('InputGuard', function() {
+  const limits = {
+    ALTER_TILE: {RATE: 1, BURST: 2},
+    STRIKES_WARN: 2,
+    STRIKES_KICK: 4,
+    STRIKE_DECAY: 1,
+  };
+
+  let guard;
+  let client;
+
+  beforeEach(function() {
+    guard = new InputGuard(limits);
+    client = {playerId: 1};
+    guard.addClient(client);
+  });
+
+  describe('#validateCommand', function() {
+    it('should accept well formed commands.', function() {
+      assert.equal(validateCommand({type: Commands.MOVEMENT, params: 8}), null);
+      assert.equal(validateCommand({
+        type: Commands.MOVEMENT,
+        params: 8,
+        seq: 12,
+      }), null);
+      assert.equal(validateCommand({
+        type: Commands.ALTER_TILE,
+        params: {tileId: 2},
+      }), null);
+      assert.equal(validateCommand({type: Commands.COMMUNICATION}), null);
+      assert.equal(validateCommand({
+        type: Commands.COMMUNICATION,
+        params: {scope: ChatScope.LOCAL, text: 'hi'},
+      }), null);
+    });
+
+    it('should refuse garbage.', function() {
+      assert.ok(validateCommand(null));
+      assert.ok(validateCommand({type: 42}));
+      assert.ok(validateCommand({type: Commands.MOVEMENT, params: 5}));
+      assert.ok(validateCommand({type: Commands.MOVEMENT, params: 8, seq: -1}));
+      assert.ok(validateCommand({
+        type: Commands.ALTER_TILE,
+        params: {tileId: 99},
+      }));
+      assert.ok(validateCommand({
+        type: Commands.COMMUNICATION,
+        params: {scope: ChatScope.GLOBAL, text: {}},
+      }));
+    });
+  });
+
+  describe('#check', function() {
+    const tile = {type: Commands.ALTER_TILE, params: {tileId: 0}};
+
+    it('should refill the bucket over time.', function() {
+      assert.equal(guard.check(client, tile, 0), null);
+      assert.equal(guard.check(client, tile, 0), null);
+      assert.equal(guard.check(client, tile, 0).action,
+        InputGuard.ACTION.DROP);
+      assert.equal(guard.check(client, tile, 1000), null);
+    });
+
+    it('should warn once, then kick.', function() {
+      const actions = [];
+      for (let i = 0; i < 4; i++) {
+        actions.push(guard.check(client, {type: 42}, 0).action);
+      }
+
+      assert.deepEqual(actions, [
+        InputGuard.ACTION.DROP,
+        InputGuard.ACTION.WARN,
+        InputGuard.ACTION.DROP,
+        InputGuard.ACTION.KICK,
+      ]);
+    });
+
+    it('should forgive strikes over time.', function() {
+      guard.check(client, {type: 42}, 0);
+      guard.check(client, {type: 42}, 0);
+
+      assert.equal(guard.check(client, {type: 42}, 10000).action,
+        InputGuard.ACTION.DROP);
+    });
+  });
+
+  describe('Server#onInputViolation', function() {
+    const Server = require('../app/server.js');
+
+    it('should tell the player what was wrong.', function() {
+      const warnings = [];
+      const rejected = [];
+      const server = {rejectClient: (socket, reason) => rejected.push(reason)};
+      const socket = {emit: (event, data) => warnings.push(data.reason)};
+      const violations = [
+        {action: InputGuard.ACTION.WARN, reason: InputGuard.TOO_MANY},
+        {action: InputGuard.ACTION.WARN, reason: 'invalid direction'},
+        {action: InputGuard.ACTION.KICK, reason: 'invalid tile'},
+        {action: InputGuard.ACTION.DROP, reason: 'invalid tile'},
+      ];
+
+      violations.forEach((violation) => {
+        Server.prototype.onInputViolation.call(server, socket, violation);
+      });
+
+      assert.deepEqual(warnings, [
+        'Slow down, you are sending too many commands.',
+        'Your commands are dropped: invalid direction.',
+      ]);
+      assert.deepEqual(rejected, ['Kicked for invalid tile.']);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+const assert = require('assert');
+
+const Room = require('../app/room.js');
+const InterestManager = require('../app/network/interest.js');
+const {ServerConfig} = require('../shared/constant.js');
+const {fakeIo, fakeSocket, sent} = require('./helpers/fakes.js');
+
+describe('InterestManager', function() {
+  const radius = ServerConfig.INTEREST_RADIUS;
+  let room;
+
+  /**
+   * @param id {String}
+   * @param x {Number}
+   * @param y {Number}
+   * @return {Object} The client of a player joined at the position.
+   */
+  function join(id, x, y) {
+    const session = room.world.sessions.create(room.world.nextPlayerId());
+    session.x = x;
+    session.y = y;
+    const client = {socket: fakeSocket(id), playerId: session.playerId,
+      token: session.token};
+    room.server.connectedPlayers.set(id, client);
+    room.join(client, session);
+
+    // wherever the spawn was free
+    client.player = room.world.players.get(client.playerId);
+    return client;
+  }
+
+  /**
+   * @param client {Object}
+   * @param x {Number}
+   * @param y {Number}
+   */
+  function moveTo(client, x, y) {
+    client.player._x = x;
+    client.player._y = y;
+    room.world.loadChunksAround(x, y);
+    room.interest.updateClient(client);
+    room.interest.streamChunks(client);
+  }
+
+  beforeEach(function() {
+    const server = {
+      io: fakeIo([]),
+      connectedPlayers: new Map(),
+    };
+    room = new Room(server, 'interest', {seed: 'interest', width: 256,
+      height: 256});
+  });
+
+  it('should only send updates within the radius, the rest later.',
+    function() {
+      const near = join('near', 40, 40);
+      const edge = join('edge', 200, 200);
+      const far = join('far', 200, 200);
+      const x = near.player._x + radius;
+      const y = near.player._y;
+      moveTo(edge, x + radius + 8, y);
+
+      room.emitNear(x, y, 'treeCut', {x: x, y: y, durability: 2},
+        InterestManager.SYNC.TREE, {x: x, y: y, durability: 2});
+
+      assert.deepEqual(sent(near.socket, 'treeCut'),
+        [{x: x, y: y, durability: 2}]);
+      assert.deepEqual(sent(edge.socket, 'treeCut'), []);
+      assert.deepEqual(sent(far.socket, 'treeCut'), []);
+      assert.equal(edge.deferred.size, 1);
+      // the chunk it gets later is up to date
+      assert.equal(far.deferred.size, 0);
+
+      moveTo(edge, x, y + radius);
+      moveTo(far, x, y + radius);
+
+      assert.deepEqual(sent(edge.socket, 'syncState'), [
+        {tiles: [], trees: [{x: x, y: y, durability: 2}], chests: []},
+      ]);
+      assert.equal(edge.deferred.size, 0);
+      assert.deepEqual(sent(far.socket, 'syncState'), []);
+    });
+
+  it('should drop what was kept back on the chunks a client left.',
+    function() {
+      const near = join('near', 40, 40);
+      const edge = join('edge', 200, 200);
+      const x = near.player._x + radius;
+      const y = near.player._y;
+      moveTo(edge, x + radius + 8, y);
+
+      room.emitNear(x, y, 'treeCut', {x: x, y: y, durability: 2},
+        InterestManager.SYNC.TREE, {x: x, y: y, durability: 2});
+      assert.equal(edge.deferred.size, 1);
+
+      moveTo(edge, 220, 220);
+      assert.equal(edge.deferred.size, 0);
+
+      moveTo(edge, x, y + radius);
+      assert.deepEqual(sent(edge.socket, 'syncState'), []);
+      assert.ok(room.interest.hasChunkAt(edge, x, y));
+    });
+
+  it('should tell when players come into view and leave it.', function() {
+    const a = join('a', 40, 40);
+    const b = join('b', 200, 200);
+    const ax = a.player._x;
+    const ay = a.player._y;
+
+    room.interest.updateClient(a);
+    assert.deepEqual(sent(a.socket, 'playerEnter'), []);
+
+    moveTo(b, ax + radius, ay);
+    room.interest.updateClient(a);
+    assert.deepEqual(sent(a.socket, 'playerEnter').map((e) => e.playerId),
+      [b.playerId]);
+    assert.ok(a.visiblePlayers.has(b.playerId));
+
+    // a bit out of the radius is not enough to leave
+    moveTo(b, ax + radius + 1, ay);
+    room.interest.updateClient(a);
+    assert.deepEqual(sent(a.socket, 'playerLeave'), []);
+
+    moveTo(b, ax + radius + 10, ay);
+    room.interest.updateClient(a);
+    assert.deepEqual(sent(a.socket, 'playerLeave'),
+      [{playerId: b.playerId}]);
+
+    moveTo(b, ax, ay + 1);
+    room.interest.updateClient(a);
+    room.interest.removeClient(b);
+    assert.ok(!a.visiblePlayers.has(b.playerId));
+  });
+
+  it('should send objects only to the clients with their chunk.',
+    function() {
+      const near = join('near', 40, 40);
+      const far = join('far', 200, 200);
+      const x = near.player._x + 1;
+      const y = near.player._y + 1;
+      near.socket.emitted.length = 0;
+      far.socket.emitted.length = 0;
+
+      room.emitObjects('spawnChests', [{x: x, y: y}, {x: 1000, y: 1000}]);
+      room.emitOnChunk(x, y, 'objectRemoval', {x: x, y: y});
+
+      assert.deepEqual(sent(near.socket, 'spawnChests'), [[{x: x, y: y}]]);
+      assert.deepEqual(sent(near.socket, 'objectRemoval'), [{x: x, y: y}]);
+      assert.deepEqual(sent(far.socket, 'spawnChests'), []);
+      assert.deepEqual(sent(far.socket, 'objectRemoval'), []);
+    });
+
+  it('should stream the chunks around, and forget those left behind.',
+    function() {
+      const client = join('walker', 40, 40);
+      const first = sent(client.socket, 'chunks').length;
+      const before = new Set(client.chunks);
+
+      assert.ok(first > 0);
+      assert.ok(before.size > 0);
+
+      moveTo(client, 220, 220);
+
+      assert.equal(sent(client.socket, 'chunks').length, first + 1);
+      before.forEach((key) => assert.ok(!client.chunks.has(key)));
+      assert.ok(room.interest.hasChunkAt(client, 220, 220));
+    });
+});
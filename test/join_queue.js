@@ -0,0 +1,53 @@
+const assert = require('assert');
+
+const JoinQueue = require('../app/network/join_queue.js');
+
+describe('JoinQueue', function() {
+  let queue;
+
+  beforeEach(function() {
+    queue = new JoinQueue(3, 1);
+  });
+
+  describe('#hasSlotFor', function() {
+    it('should keep the reserved slots for admins.', function() {
+      assert.ok(queue.hasSlotFor(1, 0, false));
+      assert.ok(!queue.hasSlotFor(2, 0, false));
+      assert.ok(queue.hasSlotFor(2, 0, true));
+      assert.ok(!queue.hasSlotFor(3, 0, true));
+    });
+
+    it('should count admins against the reserved slots first.', function() {
+      assert.ok(queue.hasSlotFor(2, 1, false));
+      assert.ok(!queue.hasSlotFor(3, 1, false));
+    });
+  });
+
+  describe('#next', function() {
+    it('should admit the oldest client first.', function() {
+      queue.add({socket: 'a', admin: false});
+      queue.add({socket: 'b', admin: false});
+
+      assert.equal(queue.next(1, 0).socket, 'a');
+      assert.equal(queue.count(), 1);
+    });
+
+    it('should let admins pass into the reserved slots.', function() {
+      queue.add({socket: 'a', admin: false});
+      queue.add({socket: 'b', admin: true});
+
+      assert.equal(queue.next(2, 0).socket, 'b');
+      assert.equal(queue.next(2, 0), null);
+    });
+  });
+
+  describe('#remove', function() {
+    it('should only remove waiting clients.', function() {
+      queue.add({socket: 'a', admin: false});
+
+      assert.ok(!queue.remove('b'));
+      assert.ok(queue.remove('a'));
+      assert.equal(queue.count(), 0);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const assert = require('assert');
+const EventEmitter = require('events');
+
+const Metrics = require('../app/metrics.js');
+const {Commands} = require('../shared/constant.js');
+
+describe('Metrics', function() {
+  let metrics;
+  let server;
+
+  beforeEach(function() {
+    metrics = new Metrics();
+    server = {
+      connectedPlayers: new Map([['a', {}]]),
+      joinQueue: {count: () => 2},
+      rooms: new Map([['main', {
+        name: 'main',
+        connectedPlayers: new Map([['a', {}]]),
+        world: {
+          objectContainer: {countByType: () => ({tree: 3})},
+        },
+      }]]),
+    };
+  });
+
+  describe('#watchSocket', function() {
+    it('should count bytes by event, with binary attachments.', function() {
+      const conn = new EventEmitter();
+      metrics.watchSocket({conn: conn});
+
+      conn.emit('packetCreate', {type: 'ping'});
+      const header = '51-["update",{"_placeholder":true,"num":0}]';
+      conn.emit('packetCreate', {type: 'message', data: header});
+      conn.emit('packetCreate', {type: 'message', data: new ArrayBuffer(10)});
+
+      const text = metrics.render(server);
+      assert.ok(text.indexOf('alterrain_sent_bytes_total{event="update"} ' +
+        `${header.length + 10}\n`) !== -1);
+      assert.ok(text.indexOf(
+        'alterrain_sent_messages_total{event="update"} 1') !== -1);
+    });
+  });
+
+  describe('#render', function() {
+    it('should include commands, histograms and gauges.', function() {
+      metrics.countCommand(Commands.MOVEMENT, true);
+      metrics.countCommand('garbage', false);
+      metrics.worldStepDuration.observe(0.002);
+
+      const text = metrics.render(server);
+      [
+        'alterrain_commands_total{type="MOVEMENT",status="accepted"} 1',
+        'alterrain_commands_total{type="UNKNOWN",status="dropped"} 1',
+        'alterrain_world_step_duration_seconds_bucket{le="0.001"} 0',
+        'alterrain_world_step_duration_seconds_bucket{le="0.0025"} 1',
+        'alterrain_connected_players 1',
+        'alterrain_queued_players 2',
+        'alterrain_world_players{world="main"} 1',
+        'alterrain_objects{world="main",type="tree"} 3',
+      ].forEach((line) => {
+        assert.ok(text.indexOf(`${line}\n`) !== -1, line);
+      });
+    });
+  });
+});
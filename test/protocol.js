@@ -0,0 +1,68 @@
+const assert = require('assert');
+
+const Protocol = require('../shared/protocol.js');
+
+describe('Protocol', function() {
+  describe('#encodeList', function() {
+    it('should decode to the same records.', function() {
+      const chests = [
+        {x: 3, y: 400, state: 1, playerRequired: 2},
+        {x: 0, y: 0, state: 0, playerRequired: 1},
+      ];
+
+      const buffer = Protocol.encodeList(Protocol.CHEST, chests);
+
+      assert.equal(buffer.byteLength, 4 + 2 * 6);
+      assert.deepEqual(Protocol.decodeList(Protocol.CHEST, buffer), chests);
+    });
+
+    it('should decode from a node Buffer.', function() {
+      const trees = [{x: 1, y: 2, durability: -1}];
+
+      const buffer = Buffer.from(Protocol.encodeList(Protocol.TREE, trees));
+
+      assert.deepEqual(Protocol.decodeList(Protocol.TREE, buffer), trees);
+    });
+  });
+
+  describe('#encodeTiles', function() {
+    it('should decode to the same tiles.', function() {
+      const tiles = [[0, 1, 2], [3, 4, 5]];
+
+      const buffer = Protocol.encodeTiles(2, 3, tiles);
+
+      assert.deepEqual(Protocol.decodeTiles(buffer), tiles);
+    });
+  });
+
+  describe('#encodeChunks', function() {
+    it('should decode to the same chunks.', function() {
+      const chunks = [
+        {x: 16, y: 32, tiles: [[0, 1], [2, 3], [4, 5]]},
+        {x: 65520, y: 0, tiles: [[9]]},
+      ];
+
+      const buffer = Protocol.encodeChunks(chunks);
+
+      assert.equal(buffer.byteLength, 2 + 8 + 6 + 8 + 1);
+      assert.deepEqual(Protocol.decodeChunks(buffer), chunks);
+      assert.deepEqual(Protocol.decodeChunks(Buffer.from(buffer)), chunks);
+    });
+  });
+
+  describe('#encodeUpdates', function() {
+    it('should only carry the fields that are sent.', function() {
+      const entries = [
+        {t: 5, k: 1, s: 2, players: [{id: 1, x: 3, y: 4.5, d: 2}]},
+        {t: 6, b: 5, s: 3, players: [{id: 1, x: 3.5}, {id: 7, d: 8}]},
+      ];
+
+      const decoded = Protocol.decodeUpdates(Protocol.encodeUpdates(entries));
+
+      assert.deepEqual(decoded, [
+        {t: 5, k: 1, b: 5, s: 2, players: [{id: 1, x: 3, y: 4.5, d: 2}]},
+        {t: 6, k: 0, b: 5, s: 3, players: [{id: 1, x: 3.5}, {id: 7, d: 8}]},
+      ]);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Server = require('../app/server.js');
+const InputRecorder = require('../app/recording/recorder.js');
+const Replayer = require('../app/recording/replayer.js');
+const Protocol = require('../shared/protocol.js');
+const {Commands} = require('../shared/constant.js');
+
+const STEP_DELTA = 1000 / 60;
+
+/**
+ * @return {Object} Enough of socket.io for a Server.
+ */
+function silentIo() {
+  const namespace = {
+    use: () => namespace,
+    on: () => {},
+  };
+  const io = {
+    on: () => {},
+    emit: () => {},
+    to: () => io,
+    of: () => namespace,
+  };
+  return io;
+}
+
+/**
+ * Joins a player the way a client admitted by the server does.
+ * @param server {Server}
+ * @param id {String} Socket id
+ * @return {Object} The socket, with the handlers it got.
+ */
+function connect(server, id) {
+  const socket = {
+    id: id,
+    handshake: {query: {}, address: '10.0.0.1'},
+    handlers: {},
+    emit: () => {},
+    on: (event, handler) => {
+      socket.handlers[event] = handler;
+    },
+    join: () => {},
+    disconnect: () => {},
+  };
+  server.onPlayerAdmitted(socket, {version: Protocol.VERSION, features: []}, false);
+  return socket;
+}
+
+/**
+ * Found without drawing from World.random, which would change the world.
+ * @param world {World}
+ * @return {{x: Number, y: Number}}
+ */
+function freeTile(world) {
+  for (let y = 0; ; y++) {
+    for (let x = 0; x < 10; x++) {
+      if (world.isPassable(x, y, 2) && !world.getPlayersAt(x, y).length) {
+        return {x: x, y: y};
+      }
+    }
+  }
+}
+
+describe('Recording', function() {
+  const filename = path.join(os.tmpdir(),
+    `alterrain-test-${process.pid}.recording`);
+  let server;
+  let recorder;
+
+  /**
+   * Plays for a while with two players, recording it.
+   */
+  beforeEach(function() {
+    server = new Server(silentIo());
+    server.timeoutInterval = 0;
+    server.initWorld({seed: 'recording'});
+    recorder = new InputRecorder(filename, server.world, STEP_DELTA,
+      server.defaultRoom.name);
+    server.defaultRoom.recorder = recorder;
+
+    const a = connect(server, 'a');
+    const b = connect(server, 'b');
+    const idA = server.connectedPlayers.get('a').playerId;
+    const idB = server.connectedPlayers.get('b').playerId;
+    const done = (err) => assert.ifError(err);
+    const free = freeTile(server.world);
+
+    server.admin.execute(`give ${idB} 2 20`, done);
+
+    for (let i = 0; i < 1300; i++) {
+      if (i % 20 === 0) {
+        a.handlers.inputCommand({
+          type: Commands.MOVEMENT,
+          params: [2, 4, 6, 8][(i / 20) % 4],
+          seq: i / 20 + 1,
+        });
+      }
+      if (i % 50 === 7) {
+        b.handlers.inputCommand({type: Commands.MOVEMENT, params: 6});
+        b.handlers.inputCommand({type: Commands.ALTER_TILE,
+          params: {tileId: 2}});
+      }
+      if (i === 400) {
+        server.admin.execute(`weather rain`, done);
+        server.admin.execute(`teleport ${idA} ${free.x} ${free.y}`, done);
+      }
+      if (i === 900) {
+        b.handlers.disconnect();
+      }
+
+      server.step(STEP_DELTA);
+      recorder.stepped();
+      recorder.flush();
+    }
+
+    recorder.close();
+  });
+
+  afterEach(function() {
+    fs.unlinkSync(filename);
+  });
+
+  it('should replay to the same world.', function() {
+    const result = Replayer.load(filename).run();
+
+    assert.strictEqual(result.mismatch, null);
+    assert.strictEqual(result.checked, 3);
+    assert.strictEqual(result.tick, 1300);
+    assert.strictEqual(result.hash, InputRecorder.hashWorld(server.world));
+  });
+
+  it('should stop at the given tick.', function() {
+    const result = Replayer.load(filename).run(700);
+
+    assert.strictEqual(result.mismatch, null);
+    assert.strictEqual(result.checked, 1);
+    assert.strictEqual(result.tick, 700);
+  });
+
+  it('should find where a replay went a different way.', function() {
+    const entries = fs.readFileSync(filename, 'utf8').trim().split('\n')
+      .map((line) => JSON.parse(line));
+    const leave = entries.find((entry) => entry.r === 'leave');
+    entries.splice(entries.indexOf(leave), 1);
+
+    const result = new Replayer(entries).run();
+
+    assert.strictEqual(result.mismatch, 1200);
+    assert.strictEqual(result.checked, 2);
+  });
+});
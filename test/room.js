@@ -0,0 +1,150 @@
+const assert = require('assert');
+
+const Server = require('../app/server.js');
+const World = require('../app/game/world.js');
+const Protocol = require('../shared/protocol.js');
+const {fakeIo, fakeSocket} = require('./helpers/fakes.js');
+
+/**
+ * @param socket {Object}
+ * @param event {String}
+ * @return {*} The data of the last time the event was sent to the socket.
+ */
+function lastEmitted(socket, event) {
+  const found = socket.emitted.filter((entry) => entry[0] === event).pop();
+  return found ? found[1] : undefined;
+}
+
+describe('Room', function() {
+  let server;
+  let broadcasts;
+
+  /**
+   * @param id {String}
+   * @param world {String=}
+   * @param token {String=}
+   * @return {Object} The socket, after saying hello.
+   */
+  function join(id, world, token) {
+    const socket = fakeSocket(id, token);
+    server.onPlayerConnected(socket);
+    socket.trigger('hello', {version: Protocol.VERSION, features: [],
+      world: world});
+    return socket;
+  }
+
+  /**
+   * @param line {String}
+   */
+  function admin(line) {
+    server.admin.execute(line, (err) => assert.ifError(err));
+  }
+
+  beforeEach(function() {
+    broadcasts = [];
+    server = new Server(fakeIo(broadcasts));
+    server.timeoutInterval = 0;
+    server.initWorld({seed: 'main', name: 'main'});
+    server.initWorld({seed: 'arena', name: 'arena', width: 32, height: 32});
+  });
+
+  it('should let clients choose their world.', function() {
+    const a = join('a');
+    const b = join('b', 'arena');
+    const c = join('c', 'moon');
+
+    assert.equal(lastEmitted(a, 'initWorld').world, 'main');
+    assert.equal(lastEmitted(b, 'initWorld').world, 'arena');
+    assert.equal(lastEmitted(b, 'initWorld').width, 32);
+    assert.deepEqual(b.rooms, ['arena']);
+    assert.ok(lastEmitted(c, 'rejected'));
+
+    assert.equal(server.defaultRoom.connectedPlayers.size, 1);
+    assert.equal(server.rooms.get('arena').connectedPlayers.size, 1);
+    assert.equal(server.connectedPlayers.size, 2);
+  });
+
+  it('should give player ids no other world gave.', function() {
+    const ids = [join('a'), join('b', 'arena'), join('c')].map((socket) => {
+      return lastEmitted(socket, 'initWorld').id;
+    });
+
+    assert.deepEqual(ids, [1, 2, 3]);
+  });
+
+  it('should only broadcast within a world.', function() {
+    join('a');
+    join('b', 'arena');
+    broadcasts.length = 0;
+
+    admin('weather rain arena');
+
+    const weather = broadcasts.filter((entry) => {
+      return entry[1] === 'weatherChange';
+    });
+    assert.deepEqual(weather, [['arena', 'weatherChange', World.WEATHER.RAIN]]);
+  });
+
+  it('should let a player leave their world.', function() {
+    const a = join('a', 'arena');
+    join('b');
+
+    a.disconnect();
+
+    assert.equal(server.rooms.get('arena').connectedPlayers.size, 0);
+    assert.equal(server.rooms.get('arena').world.players.size, 0);
+    assert.equal(server.defaultRoom.connectedPlayers.size, 1);
+    assert.equal(server.connectedPlayers.size, 1);
+  });
+
+  it('should hand a session to a client back before its socket is gone.',
+    function() {
+      const a = join('a', 'arena');
+      const init = lastEmitted(a, 'initWorld');
+      const world = server.rooms.get('arena').world;
+      admin(`give ${init.id} 2 5`);
+      const player = world.players.get(init.id);
+      const inventory = player.inventory.slice();
+      const position = {x: player._x, y: player._y};
+
+      const again = join('again', 'arena', init.token);
+
+      const resumed = world.players.get(init.id);
+      assert.equal(a.connected, false);
+      assert.equal(lastEmitted(again, 'initWorld').id, init.id);
+      assert.deepEqual(lastEmitted(again, 'initWorld').inventory, inventory);
+      assert.deepEqual({x: resumed._x, y: resumed._y}, position);
+      assert.equal(world.players.size, 1);
+      assert.equal(server.connectedPlayers.size, 1);
+    });
+
+  it('should step every world.', function() {
+    server.step(1000 / 60);
+    server.step(1000 / 60);
+
+    assert.equal(server.world.stepCount, 2);
+    assert.equal(server.rooms.get('arena').world.stepCount, 2);
+  });
+
+  it('should move a player with their inventory.', function() {
+    const a = join('a');
+    const id = lastEmitted(a, 'initWorld').id;
+    const oldToken = lastEmitted(a, 'initWorld').token;
+    admin(`give ${id} 2 5`);
+    const inventory = server.world.players.get(id).inventory.slice();
+
+    admin(`move ${id} arena`);
+
+    const change = lastEmitted(a, 'changeWorld');
+    assert.equal(change.world, 'arena');
+    assert.equal(a.connected, false);
+    assert.equal(server.world.players.size, 0);
+    assert.equal(server.world.sessions.resume(oldToken), null);
+
+    const again = join('again', 'arena', change.token);
+    const init = lastEmitted(again, 'initWorld');
+    assert.equal(init.id, id);
+    assert.deepEqual(init.inventory, inventory);
+    assert.ok(server.rooms.get('arena').world.players.has(id));
+  });
+});
@@ -0,0 +1,92 @@
+const assert = require('assert');
+
+const Server = require('../app/server.js');
+const Protocol = require('../shared/protocol.js');
+const {fakeIo, fakeSocket} = require('./helpers/fakes.js');
+
+/**
+ * @param socket {Object}
+ * @return {String} The reason it was rejected with, if it was.
+ */
+function rejectReason(socket) {
+  const rejected = socket.emitted.find((event) => event[0] === 'rejected');
+  return rejected ? rejected[1].reason : null;
+}
+
+describe('Server#shutdown', function() {
+  let server;
+  let broadcasts;
+  let player;
+
+  beforeEach(function() {
+    broadcasts = [];
+    server = new Server(fakeIo(broadcasts));
+    server.timeoutInterval = 0;
+    server.initWorld({seed: 'shutdown'});
+    server.start();
+
+    player = fakeSocket('player');
+    server.onPlayerConnected(player);
+    player.trigger('hello', {version: Protocol.VERSION, features: []});
+  });
+
+  afterEach(function() {
+    server.stop();
+    clearInterval(server.shutdownTimer);
+  });
+
+  it('should let the players go after saving.', function(done) {
+    assert.equal(server.connectedPlayers.size, 1);
+
+    server.shutdown((err) => {
+      assert.ifError(err);
+      assert.equal(rejectReason(player), Server.SHUTDOWN_REASON);
+      assert.equal(server.connectedPlayers.size, 0);
+      done();
+    }, 0);
+  });
+
+  it('should shut down without any world.', function(done) {
+    const empty = new Server(fakeIo([]));
+    empty.start();
+
+    empty.shutdown((err) => {
+      assert.ifError(err);
+      assert.equal(empty.rooms.size, 0);
+      done();
+    }, 0);
+  });
+
+  it('should not let anyone join anymore.', function() {
+    const waiting = fakeSocket('waiting');
+    server.enqueueClient(waiting, {version: Protocol.VERSION, features: []},
+      false);
+
+    server.shutdown(() => {}, 10);
+
+    assert.equal(rejectReason(waiting), Server.SHUTDOWN_REASON);
+    assert.equal(server.joinQueue.count(), 0);
+
+    const late = fakeSocket('late');
+    server.onPlayerConnected(late);
+    late.trigger('hello', {version: Protocol.VERSION, features: []});
+
+    assert.equal(rejectReason(late), Server.SHUTDOWN_REASON);
+    assert.equal(server.connectedPlayers.size, 1);
+  });
+
+  it('should count down, unless asked again.', function(done) {
+    broadcasts.length = 0;
+    server.shutdown((err) => {
+      assert.ifError(err);
+      assert.equal(rejectReason(player), Server.SHUTDOWN_REASON);
+      done();
+    }, 10);
+
+    assert.deepEqual(broadcasts, [[null, 'serverMessage',
+      {text: 'The server shuts down in 10 seconds.'}]]);
+    assert.equal(rejectReason(player), null);
+
+    server.shutdown(() => assert.fail('called twice'));
+  });
+});
@@ -0,0 +1,140 @@
+const assert = require('assert');
+
+const World = require('../app/game/world.js');
+const TerrainGenerator = require('../app/game/terrain.js');
+const Random = require('../app/random.js');
+const {Tiles, TerrainConfig} = require('../shared/constant.js');
+const {fakeServer} = require('./helpers/fakes.js');
+
+/**
+ * @param pipeline {String|Array.<Object>}
+ * @param seed {String}
+ * @return {TerrainGenerator} For a world of 64 by 64 tiles.
+ */
+function generator(pipeline, seed) {
+  const terrain = TerrainGenerator.create(pipeline, 64, 64);
+  terrain.drawSeeds(new Random(seed));
+  return terrain;
+}
+
+describe('TerrainGenerator', function() {
+  it('should generate an area the same in any chunks.', function() {
+    Object.keys(TerrainGenerator.PIPELINES).forEach((name) => {
+      const terrain = generator(name, 'areas');
+      const whole = terrain.generate(0, 0, 64, 64);
+      const part = terrain.generate(16, 32, 16, 16);
+
+      for (let i = 0; i < 16; i++) {
+        for (let j = 0; j < 16; j++) {
+          assert.equal(part[i * 16 + j], whole[(16 + i) * 64 + 32 + j]);
+        }
+      }
+    });
+  });
+
+  it('should draw a seed for each noise layer.', function() {
+    const terrain = generator([
+      {pass: 'noise', layer: 'height'},
+      {pass: 'noise', layer: 'moisture'},
+      {pass: 'noise', layer: 'heat', frequency: 4},
+      {pass: 'biomes'},
+    ], 'seeds');
+
+    assert.equal(terrain.seeds.length, 3);
+    assert.equal(generator('island', 'seeds').seeds.length, 2);
+  });
+
+  it('should refuse pipelines that cannot work.', function() {
+    assert.throws(() => generator('volcano'), /no terrain pipeline volcano/);
+    assert.throws(() => generator([{pass: 'lava'}]), /no terrain pass lava/);
+    assert.throws(() => generator([{pass: 'constructor'}]),
+      /no terrain pass constructor/);
+    assert.throws(() => generator([{pass: 'coast'}]),
+      /coast pass needs a height layer/);
+    assert.throws(() => generator([{pass: 'noise'}]), /needs a classifier/);
+    assert.throws(() => generator([{pass: 'noise', octaves: 20}]),
+      /from 1 to 8 octaves/);
+    assert.throws(() => generator([{pass: 'noise', frequency: 'high'}]),
+      /frequency to be a number/);
+    assert.throws(() => generator(new Array(17).fill({pass: 'noise'})),
+      /at most 16 passes/);
+    assert.throws(() => generator([
+      {pass: 'noise'},
+      {pass: 'elevation'},
+      {pass: 'replace', from: 'WATER', to: 'LAVA'},
+    ]), /needs the tiles/);
+  });
+
+  it('should run the passes in order.', function() {
+    const tiles = generator([
+      {pass: 'noise', layer: 'height'},
+      {pass: 'coast', width: 32},
+      {pass: 'elevation'},
+      {pass: 'replace', from: 'WATER', to: 'ICE'},
+    ], 'order').generate(0, 0, 64, 64);
+
+    assert.equal(tiles[0], Tiles.ICE);
+    assert.ok(!tiles.includes(Tiles.WATER));
+    assert.ok(!tiles.includes(Tiles.DESERT));
+  });
+
+  it('should use the passes that are registered.', function() {
+    TerrainGenerator.register('flat', (options, terrain) => {
+      terrain.addTiles();
+      return (area) => area.tiles.fill(Tiles[options.tile]);
+    });
+
+    try {
+      const tiles = generator([{pass: 'flat', tile: 'SAND'}], 'flat')
+        .generate(0, 0, 8, 8);
+      assert.deepEqual(Array.from(new Set(tiles)), [Tiles.SAND]);
+    } finally {
+      delete TerrainGenerator.PASSES.flat;
+    }
+  });
+
+  it('should keep the pipeline of a saved world.', function() {
+    const world = new World(fakeServer, {seed: 'kept', width: 64, height: 64,
+      terrain: 'island'});
+    const tiles = world.tilemap.getData();
+    const loaded = new World(fakeServer,
+      {data: JSON.parse(JSON.stringify(world))});
+
+    assert.deepEqual(loaded.tilemap.terrain.passes.map((options) => {
+      return options.pass;
+    }), TerrainGenerator.PIPELINES.island.map((options) => options.pass));
+    assert.deepEqual(loaded.tilemap.getData(), tiles);
+    assert.equal(tiles[32][32], generator('island', world.random.seed)
+      .generate(32, 32, 1, 1)[0]);
+  });
+
+  it('should keep generating a saved world as it was configured.',
+    function() {
+      const defaults = Object.assign({}, TerrainConfig);
+      const world = new World(fakeServer, {seed: 'configured', width: 64,
+        height: 64});
+      const data = JSON.parse(JSON.stringify(world));
+
+      assert.equal(data.tilemap.terrain[0].frequency, TerrainConfig.FREQUENCY);
+      assert.equal(data.tilemap.terrain[3].waterMax, TerrainConfig.WATER_MAX);
+
+      Object.assign(TerrainConfig, {FREQUENCY: 5, WATER_MAX: 0.6,
+        COAST_WIDTH: 20});
+      try {
+        const loaded = new World(fakeServer, {data: data});
+        assert.deepEqual(loaded.tilemap.getData(), world.tilemap.getData());
+      } finally {
+        Object.assign(TerrainConfig, defaults);
+      }
+    });
+
+  it('should generate older saved worlds with the default one.', function() {
+    const world = new World(fakeServer, {seed: 'old', width: 64, height: 64});
+    const data = JSON.parse(JSON.stringify(world));
+    delete data.tilemap.terrain;
+
+    const loaded = new World(fakeServer, {data: data});
+
+    assert.deepEqual(loaded.tilemap.getData(), world.tilemap.getData());
+  });
+});
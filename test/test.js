@@ -7,3 +7,104 @@ describe('Command', function() {
     });
   });
 });
+
+describe('CommandFactory', function() {
+  const CommandFactory = require('../app/game/command.js');
+
+  describe('#sanitizeChatText', function() {
+    it('should strip control characters and collapse whitespace.', function() {
+      assert.equal(CommandFactory.sanitizeChatText(' hi\u0000 \n there '),
+        'hi there');
+      assert.equal(CommandFactory.sanitizeChatText('a\u007f\u0085b\u200bc' +
+        '\u202ed\u00e9'), 'abcd\u00e9');
+      assert.equal(CommandFactory.sanitizeChatText('\u2066a\u2067b\u2068c' +
+        '\u2069'), 'abc');
+    });
+
+    it('should cut long messages.', function() {
+      const text = CommandFactory.sanitizeChatText('a'.repeat(500));
+      assert.equal(text.length, 100);
+    });
+
+    it('should not cut a character in half.', function() {
+      const tree = '\u{1f332}';
+      const text = CommandFactory.sanitizeChatText('a' + tree.repeat(100));
+      assert.equal(text, 'a' + tree.repeat(99));
+    });
+
+    it('should reject anything but strings.', function() {
+      assert.equal(CommandFactory.sanitizeChatText({text: 'hi'}), '');
+    });
+  });
+
+  describe('#makeCommunicateCommand', function() {
+    const Room = require('../app/room.js');
+    const {ChatScope, ChatConfig} = require('../shared/constant.js');
+
+    let broadcasts;
+    let room;
+
+    /**
+     * @param id {String}
+     * @param x {Number}
+     * @param y {Number}
+     * @return {Object} The client of a player put at the position.
+     */
+    function join(id, x, y) {
+      const playerId = room.world.nextPlayerId();
+      room.world.addPlayer(x, y, playerId);
+      const client = {
+        playerId: playerId,
+        player: room.world.players.get(playerId),
+        socket: {id: id, chat: [], emit: (event, data) => {
+          if (event === 'chat') {
+            client.socket.chat.push(data.text);
+          }
+        }},
+      };
+      room.connectedPlayers.set(id, client);
+      return client;
+    }
+
+    beforeEach(function() {
+      broadcasts = [];
+      const io = {
+        emit: () => {},
+        to: (name) => {
+          return {emit: (event, data) => {
+            if (event === 'chat') {
+              broadcasts.push([name, data]);
+            }
+          }};
+        },
+      };
+      room = new Room({io: io}, 'chat', {seed: 'chat', width: 128,
+        height: 128});
+    });
+
+    it('should send global chat to everyone in the world.', function() {
+      const a = join('a', 10, 10);
+      join('b', 100, 100);
+
+      CommandFactory.makeCommunicateCommand(a.player,
+        {scope: ChatScope.GLOBAL, text: 'hello all'})();
+
+      assert.deepEqual(broadcasts, [['chat',
+        {id: a.playerId, scope: ChatScope.GLOBAL, text: 'hello all'}]]);
+    });
+
+    it('should send local chat only to the players in range.', function() {
+      const a = join('a', 10, 10);
+      const near = join('near', 10 + ChatConfig.LOCAL_RANGE, 10);
+      const far = join('far', 11 + ChatConfig.LOCAL_RANGE, 10);
+
+      CommandFactory.makeCommunicateCommand(a.player,
+        {scope: ChatScope.LOCAL, text: 'psst'})();
+
+      assert.deepEqual(a.socket.chat, ['psst']);
+      assert.deepEqual(near.socket.chat, ['psst']);
+      assert.deepEqual(far.socket.chat, []);
+      assert.deepEqual(broadcasts, []);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const assert = require('assert');
+
+const World = require('../app/game/world.js');
+const Tilemap = require('../app/game/tilemap.js');
+const {fakeServer} = require('./helpers/fakes.js');
+
+describe('Tilemap', function() {
+  let world;
+
+  beforeEach(function() {
+    world = new World(fakeServer, {seed: 'chunks', width: 4096,
+      height: 4096});
+  });
+
+  it('should only generate the chunks that are used.', function() {
+    const session = world.sessions.create(world.nextPlayerId());
+    const player = world.spawnPlayer(session);
+    const around = world.tilemap.chunksAround(player._x, player._y,
+      world.chunkRange() + 1);
+
+    assert.ok(world.tilemap.chunks.size < 100);
+    around.forEach((pos) => {
+      assert.ok(world.tilemap.chunks.has(pos.key));
+      assert.ok(world.tilemap.populated.has(pos.key));
+    });
+  });
+
+  it('should generate a chunk again as it was.', function() {
+    const before = world.tilemap.readChunk(100, 200);
+    const tile = world.tilemap.getTileAt(1600, 3200);
+    const loaded = world.tilemap.chunks.size;
+
+    assert.equal(world.tilemap.unloadExcept(new Set()), loaded);
+    assert.equal(world.tilemap.chunks.size, 0);
+    assert.equal(world.tilemap.stored.size, 0);
+    assert.deepEqual(world.tilemap.readChunk(100, 200), before);
+    assert.equal(world.tilemap.getTileAt(1600, 3200), tile);
+  });
+
+  it('should keep changed chunks when they are unloaded.', function() {
+    world.tilemap.setTile(1600, 3200, 9);
+    world.tilemap.getTileAt(0, 0);
+    world.tilemap.unloadExcept(new Set([Tilemap.key(0, 0)]));
+
+    assert.deepEqual(Array.from(world.tilemap.stored.keys()), ['100,200']);
+    assert.equal(world.tilemap.readChunk(100, 200)[0][0], 9);
+
+    const loaded = new World(fakeServer,
+      {data: JSON.parse(JSON.stringify(world))});
+
+    assert.equal(loaded.tilemap.getTileAt(1600, 3200), 9);
+    assert.equal(loaded.tilemap.getTileAt(0, 0), world.tilemap.getTileAt(0,
+      0));
+  });
+
+  it('should load the chunks around players as they walk.', function() {
+    const session = world.sessions.create(world.nextPlayerId());
+    const player = world.spawnPlayer(session);
+
+    player._x = 2000;
+    player._y = 1000;
+    world.stepCount = World.UNLOAD_INTERVAL;
+    world.step(0);
+
+    assert.ok(world.tilemap.populated.has(Tilemap.key(125, 62)));
+    world.tilemap.chunks.forEach((chunk) => {
+      assert.ok(Math.abs(chunk.cx - 125) <= world.chunkRange() + 2);
+      assert.ok(Math.abs(chunk.cy - 62) <= world.chunkRange() + 2);
+    });
+  });
+
+  it('should place things near the players, not generate far chunks.',
+    function() {
+      const session = world.sessions.create(world.nextPlayerId());
+      const player = world.spawnPlayer(session);
+      const loaded = world.tilemap.chunks.size;
+      const range = world.chunkRange() * world.tilemap.chunkSize +
+        world.tilemap.chunkSize;
+
+      for (let i = 0; i < 20; i++) {
+        const chest = world.spawnChest(true, false);
+        assert.ok(Math.abs(chest._x - player._x) <= range);
+        assert.ok(Math.abs(chest._y - player._y) <= range);
+      }
+      assert.equal(world.tilemap.chunks.size, loaded);
+
+      const spawned = world.spawnPlayer(world.sessions.create(
+        world.nextPlayerId()));
+      assert.ok(Math.abs(spawned._x - player._x) <= range);
+    });
+
+  it('should regrow trees only on the loaded chunks.', function() {
+    const session = world.sessions.create(world.nextPlayerId());
+    const player = world.spawnPlayer(session);
+    world.loadChunksAround(3000, 3000);
+    world.tilemap.unloadExcept(new Set(world.tilemap.chunksAround(player._x,
+      player._y, world.chunkRange() + 1).map((pos) => pos.key)));
+
+    let generated = 0;
+    const generateChunk = world.tilemap.generateChunk;
+    world.tilemap.generateChunk = function(chunk) {
+      generated++;
+      return generateChunk.call(this, chunk);
+    };
+    world.treeGenChance = 1000;
+    world.spawnRandomTree();
+
+    assert.equal(generated, 0);
+  });
+});
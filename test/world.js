@@ -0,0 +1,160 @@
+const assert = require('assert');
+const fs = require('fs');
+
+const World = require('../app/game/world.js');
+const WorldStorage = require('../app/game/storage.js');
+const {fakeServer} = require('./helpers/fakes.js');
+
+/**
+ * @param world {World}
+ * @return {Array.<String>} Saved objects, in a stable order.
+ */
+function objectsOf(world) {
+  return world.objectContainer.toJSON().map((obj) => {
+    return JSON.stringify(obj);
+  }).sort();
+}
+
+/**
+ * Loads every chunk of a small world, which plants its trees.
+ * @param world {World}
+ * @return {World}
+ */
+function populated(world) {
+  world.loadChunksAround(0, 0, Infinity);
+  return world;
+}
+
+describe('World', function() {
+  describe('#constructor', function() {
+    it('should generate the same world from the same seed.', function() {
+      const a = populated(new World(fakeServer, {seed: 'alterrain'}));
+      const b = populated(new World(fakeServer, {seed: 'alterrain'}));
+
+      assert.deepEqual(a.tilemap.getData(), b.tilemap.getData());
+      assert.deepEqual(objectsOf(a), objectsOf(b));
+    });
+
+    it('should generate different worlds from different seeds.', function() {
+      const a = new World(fakeServer, {seed: 1});
+      const b = new World(fakeServer, {seed: 2});
+
+      assert.notDeepEqual(a.tilemap.getData(), b.tilemap.getData());
+    });
+
+    it('should generate a world of the size asked for.', function() {
+      const world = populated(new World(fakeServer,
+        {seed: 3, width: 40, height: 120}));
+      const tiles = world.tilemap.getData();
+
+      assert.equal(tiles.length, 40);
+      tiles.forEach((column) => {
+        assert.equal(column.length, 120);
+        column.forEach((tile) => assert.ok(Number.isInteger(tile)));
+      });
+      world.objectContainer.objects.forEach((obj) => {
+        assert.ok(world.isValidTile(obj._x, obj._y));
+      });
+    });
+  });
+
+  describe('#spawnPlayer', function() {
+    it('should turn a returning player the way they faced.', function() {
+      const world = new World(fakeServer, {seed: 'facing', width: 64,
+        height: 64});
+      const session = world.sessions.create(world.nextPlayerId());
+      // facing left, the default is down
+      session.d = 4;
+
+      const player = world.spawnPlayer(session);
+
+      assert.equal(player._direction, 4);
+      assert.ok(Array.isArray(player.inventory));
+    });
+  });
+
+  describe('#save', function() {
+    const name = 'mocha-test-world';
+    const storage = new WorldStorage(name);
+
+    afterEach(function() {
+      [storage.filename, storage.journalFilename].forEach((file) => {
+        if (fs.existsSync(file)) {
+          fs.unlinkSync(file);
+        }
+      });
+    });
+
+    it('should write a new world to data/ when generated.', function() {
+      new World(fakeServer, {filename: name});
+
+      assert.ok(storage.exists());
+    });
+
+    it('should reload the same tiles, trees and chests.', function(done) {
+      const world = populated(new World(fakeServer, {filename: name}));
+
+      world.changeTile(0, 0, 9);
+      world.getTreePosArray()[0].durability = 1;
+      world.getChestPosArray()[0].playerHistory.push(42);
+      world.currentWeather = World.WEATHER.RAIN;
+      world.stepCount = 1234;
+
+      world.save((err) => {
+        assert.ifError(err);
+
+        const loaded = new World(fakeServer, {filename: name});
+
+        assert.deepEqual(loaded.tilemap.getData(), world.tilemap.getData());
+        assert.deepEqual(objectsOf(loaded), objectsOf(world));
+        assert.equal(loaded.tilemap.getTileAt(0, 0), 9);
+        assert.equal(loaded.currentWeather, World.WEATHER.RAIN);
+        assert.equal(loaded.stepCount, 1234);
+        done();
+      });
+    });
+
+    it('should recover unsaved changes from the journal.', function() {
+      const world = populated(new World(fakeServer, {filename: name}));
+      const tree = world.getTreePosArray()[0];
+
+      world.changeTile(1, 1, 9);
+      world.emit('objectRemoval', tree);
+      world.spawnTree(0, 0);
+      world.step(0);
+      world.storage.closeJournal();
+
+      const loaded = new World(fakeServer, {filename: name});
+
+      assert.equal(loaded.tilemap.getTileAt(1, 1), 9);
+      assert.ok(!loaded.objectContainer.colliding(tree._x, tree._y));
+      assert.equal(loaded.objectContainer.colliding(0, 0).type, 'tree');
+      assert.deepEqual(objectsOf(loaded), objectsOf(world));
+    });
+
+    it('should resume players who left before the restart.', function(done) {
+      const world = new World(fakeServer, {filename: name});
+      const session = world.sessions.create(world.nextPlayerId());
+      const player = world.spawnPlayer(session);
+
+      player.inventory[0] = 33;
+      world.leavePlayer(session.token, player.id);
+
+      world.save((err) => {
+        assert.ifError(err);
+
+        const loaded = new World(fakeServer, {filename: name});
+        const resumed = loaded.sessions.resume(session.token);
+        const again = loaded.spawnPlayer(resumed);
+
+        assert.equal(resumed.playerId, player.id);
+        assert.equal(again._x, player._x);
+        assert.equal(again._y, player._y);
+        assert.equal(again.inventory[0], 33);
+        assert.notEqual(loaded.nextPlayerId(), player.id);
+        assert.equal(loaded.sessions.resume(session.token), null);
+        done();
+      });
+    });
+  });
+});